@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+// Compiles the ES2015 sources on the fly, then hands over to the runner. The
+// sources are compiled even where the package is installed under
+// node_modules, which babel-register skips by default.
+var path = require("path");
+var src = path.join(__dirname, "..", "src").replace(/\\/g, "/") + "/";
+
+require("babel-register")({
+  only: function(filename) {
+    return filename.indexOf(src) === 0;
+  }
+});
+
+process.exitCode = require("../src/cli").default(process.argv.slice(2));
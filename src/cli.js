@@ -0,0 +1,261 @@
+// Command-line runner for headless Genetic Sandbox simulations. Run it from a
+// clone of the repository with `npm run sim -- run --seed 42 --ticks 1000`,
+// or through bin/genetic-sandbox.js.
+
+import fs from "fs";
+import path from "path";
+import createHeadlessApp, { loadHeadlessApp } from "./headless";
+import config from "./modules/config";
+import { exportGenome } from "./modules/plugins/creatures/genome";
+
+/**
+ * Exit code of a simulation that ran for every requested tick
+ * @type {number}
+ */
+export const EXIT_COMPLETED = 0;
+
+/**
+ * Exit code of a run that failed, such as on invalid arguments
+ * @type {number}
+ */
+export const EXIT_ERROR = 1;
+
+/**
+ * Exit code of a simulation in which every creature died
+ * @type {number}
+ */
+export const EXIT_EXTINCT = 2;
+
+const USAGE = `Usage: genetic-sandbox run [options]
+
+Runs a headless simulation, printing population stats as it goes.
+
+Options:
+  --seed <n>      seed for the random number generator (default: random)
+  --ticks <n>     number of ticks to run for (default: 1000)
+  --config <file> JSON file of config overrides, e.g. {"creatures": {"creatureRate": 0.1}}
+  --resume <file> snapshot file written to --out to resume the simulation of, up to --ticks
+  --every <n>     ticks between stats and snapshots (default: 100)
+  --out <dir>     directory to write snapshots and results to (default: none)
+  --quiet         don't print stats
+  --help          show this message
+
+Exit codes: ${EXIT_COMPLETED} completed, ${EXIT_EXTINCT} extinct, ${EXIT_ERROR} error`;
+
+/**
+ * Parses the command-line arguments of the runner
+ * @example
+ * parseArgs(["run", "--seed", "42", "--ticks", "100"]);
+ * // { command: "run", seed: 42, ticks: 100, every: 100, ... }
+ * @param {string[]} argv - arguments, without the node and script paths
+ * @returns {Object} the parsed options
+ * @throws {Error} if an argument is unknown or invalid
+ */
+export function parseArgs(argv) {
+  const options = {
+    command: undefined,
+    seed: undefined,
+    ticks: 1000,
+    config: undefined,
+    resume: undefined,
+    every: 100,
+    out: undefined,
+    quiet: false,
+    help: false
+  };
+
+  const integer = (name, value) => {
+    const n = Number(value);
+    if (value === undefined || !Number.isInteger(n) || n < 0) {
+      throw new Error("--" + name + " expects a non-negative integer");
+    }
+    return n;
+  };
+  const string = (name, value) => {
+    if (value === undefined) {
+      throw new Error("--" + name + " expects a value");
+    }
+    return value;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case "--seed": options.seed = integer("seed", argv[++i]); break;
+      case "--ticks": options.ticks = integer("ticks", argv[++i]); break;
+      case "--every": options.every = Math.max(1, integer("every", argv[++i])); break;
+      case "--config": options.config = string("config", argv[++i]); break;
+      case "--resume": options.resume = string("resume", argv[++i]); break;
+      case "--out": options.out = string("out", argv[++i]); break;
+      case "--quiet": options.quiet = true; break;
+      case "--help": options.help = true; break;
+      default:
+        if (arg.startsWith("--") || options.command !== undefined) {
+          throw new Error("unknown argument " + arg);
+        }
+        options.command = arg;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Merges the given config overrides into the config of every plugin
+ * @param {Object} overrides - map of plugin name to config keys to override
+ * @throws {Error} if the overrides name a plugin that doesn't exist
+ */
+export function applyConfig(overrides) {
+  Object.keys(overrides).forEach((pluginName) => {
+    if (!config.hasOwnProperty(pluginName)) {
+      throw new Error("config names unknown plugin \"" + pluginName + "\"");
+    }
+    Object.assign(config[pluginName], overrides[pluginName]);
+  });
+}
+
+/**
+ * Gathers population statistics of the given app
+ * @param {App} app - a running app
+ * @returns {Object} the statistics
+ */
+export function populationStats(app) {
+  const creatures = app.world.getEntitiesWith("creature");
+  const species = {};
+  let energy = 0;
+
+  creatures.forEach((creature) => {
+    const membership = creature.getComponent("species");
+    if (membership !== null) {
+      species[membership.id] = true;
+    }
+    energy += creature.getComponent("energy").level;
+  });
+
+  return {
+    tick: app.clock.tick,
+    generation: app.clock.generation,
+    creatures: creatures.length,
+    plants: app.world.getEntitiesWith("plant").length,
+    species: Object.keys(species).length,
+    meanEnergy: creatures.length === 0 ? 0 : energy / creatures.length
+  };
+}
+
+/**
+ * Runs a simulation with the given options, reporting through the given
+ * functions so that callers decide where output goes. Snapshots are only
+ * made when an output directory is given, since saving the whole app, which
+ * every snapshot holds so that the simulation can be resumed from it, takes
+ * a while.
+ * @param {Object} options - options as returned by parseArgs()
+ * @param {Object} [options.snapshot] - snapshot made by App#save() to resume
+ * the simulation of, in place of starting a new one
+ * @param {Object} io - output functions
+ * @param {Function} io.log - called with each line of progress output
+ * @param {Function} io.write - called with a file name and the JSON object to
+ * write to it
+ * @returns {number} the exit code of the run
+ */
+export function run(options, io) {
+  let app;
+  if (options.snapshot === undefined) {
+    app = createHeadlessApp(options.seed === undefined ? Math.floor(Math.random() * 0xFFFFFFFF) : options.seed);
+  } else {
+    app = loadHeadlessApp(options.snapshot);
+  }
+  const { seed } = app;
+  const history = [];
+
+  const report = () => {
+    const stats = populationStats(app);
+    history.push(stats);
+    if (!options.quiet) {
+      io.log("tick " + stats.tick + ", generation " + stats.generation + ": " + stats.creatures +
+             " creatures, " + stats.plants + " plants, " + stats.species + " species, mean energy " +
+             stats.meanEnergy.toFixed(2));
+    }
+    if (options.out !== undefined) {
+      io.write("snapshot-" + stats.tick + ".json", {
+        seed,
+        stats,
+        genomes: app.world.getEntitiesWith("creature", "dna").map((creature) => {
+          return JSON.parse(exportGenome(creature.getComponent("dna")));
+        }),
+        app: app.save()
+      });
+    }
+    return stats;
+  };
+
+  io.log("seed " + seed);
+  if (options.snapshot !== undefined) {
+    io.log("resuming from tick " + app.clock.tick);
+  }
+  let extinct = report().creatures === 0;
+  app.addListener("extinction", () => { extinct = true; });
+
+  while (app.clock.tick < options.ticks) {
+    if (extinct) break;
+    app.step();
+
+    const tick = app.clock.tick;
+    if (extinct || tick % options.every === 0 || tick === options.ticks) {
+      report();
+    }
+  }
+
+  const tick = app.clock.tick;
+  io.write("results.json", { seed, ticks: tick, generations: app.clock.generation, extinct, history });
+  io.log(extinct ? "extinct after " + tick + " ticks" : "completed " + tick + " ticks");
+
+  return extinct ? EXIT_EXTINCT : EXIT_COMPLETED;
+}
+
+/**
+ * Entry point of the command-line runner
+ * @param {string[]} argv - arguments, without the node and script paths
+ * @returns {number} the exit code
+ */
+export default function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+    if (options.help) {
+      console.log(USAGE);
+      return EXIT_COMPLETED;
+    }
+    if (options.command !== "run") {
+      throw new Error(options.command === undefined ? "missing command" : "unknown command " + options.command);
+    }
+    if (options.resume !== undefined) {
+      if (options.seed !== undefined || options.config !== undefined) {
+        throw new Error("--resume can't be combined with --seed or --config, which the snapshot holds");
+      }
+      options.snapshot = JSON.parse(fs.readFileSync(options.resume, "utf8")).app;
+    }
+    if (options.config !== undefined) {
+      applyConfig(JSON.parse(fs.readFileSync(options.config, "utf8")));
+    }
+    if (options.out !== undefined && !fs.existsSync(options.out)) {
+      fs.mkdirSync(options.out);
+    }
+  } catch (e) {
+    console.error("genetic-sandbox: " + e.message + "\n\n" + USAGE);
+    return EXIT_ERROR;
+  }
+
+  try {
+    return run(options, {
+      log: (line) => console.log(line),
+      write: (name, data) => {
+        if (options.out !== undefined) {
+          fs.writeFileSync(path.join(options.out, name), JSON.stringify(data));
+        }
+      }
+    });
+  } catch (e) {
+    console.error("genetic-sandbox: " + (e.stack || e.message));
+    return EXIT_ERROR;
+  }
+}
@@ -0,0 +1,212 @@
+import main, { parseArgs, applyConfig, populationStats, run, EXIT_COMPLETED, EXIT_ERROR, EXIT_EXTINCT } from "./cli";
+import createHeadlessApp from "./headless";
+import config from "./modules/config";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { expect } from "chai";
+import { spy, stub } from "sinon";
+
+describe("Command-line runner", () => {
+  let savedConfig;
+
+  beforeEach(() => {
+    savedConfig = JSON.parse(JSON.stringify(config));
+    config.core.gridRadius = 3;
+    config.creatures.creatureRate = 0.3;
+  });
+
+  afterEach(() => {
+    Object.keys(savedConfig).forEach((name) => Object.assign(config[name], savedConfig[name]));
+  });
+
+  describe("parseArgs", () => {
+    it("falls back to the default options", () => {
+      expect(parseArgs(["run"])).to.eql({
+        command: "run",
+        seed: undefined,
+        ticks: 1000,
+        config: undefined,
+        resume: undefined,
+        every: 100,
+        out: undefined,
+        quiet: false,
+        help: false
+      });
+    });
+
+    it("parses every flag", () => {
+      const argv = ["run", "--seed", "42", "--ticks", "50", "--config", "exp.json", "--every", "0",
+                    "--out", "results", "--resume", "snapshot-10.json", "--quiet", "--help"];
+      expect(parseArgs(argv)).to.eql({
+        command: "run",
+        seed: 42,
+        ticks: 50,
+        config: "exp.json",
+        resume: "snapshot-10.json",
+        every: 1,
+        out: "results",
+        quiet: true,
+        help: true
+      });
+    });
+
+    it("throws given an invalid number", () => {
+      expect(() => parseArgs(["run", "--seed", "-1"])).to.throw(Error, "--seed expects a non-negative integer");
+      expect(() => parseArgs(["run", "--ticks", "1.5"])).to.throw(Error, "--ticks expects a non-negative integer");
+      expect(() => parseArgs(["run", "--every"])).to.throw(Error, "--every expects a non-negative integer");
+    });
+
+    it("throws given a flag without its value", () => {
+      expect(() => parseArgs(["run", "--out"])).to.throw(Error, "--out expects a value");
+    });
+
+    it("throws given an unknown flag or a second command", () => {
+      expect(() => parseArgs(["run", "--fast"])).to.throw(Error, "unknown argument --fast");
+      expect(() => parseArgs(["run", "walk"])).to.throw(Error, "unknown argument walk");
+    });
+  });
+
+  describe("applyConfig", () => {
+    it("overrides config keys of the named plugins", () => {
+      const { initialEnergy } = config.creatures;
+      applyConfig({ creatures: { creatureRate: 0.5 }, core: { gridRadius: 10 } });
+      expect(config.creatures.creatureRate).to.equal(0.5);
+      expect(config.creatures.initialEnergy).to.equal(initialEnergy);
+      expect(config.core.gridRadius).to.equal(10);
+    });
+
+    it("throws given an unknown plugin", () => {
+      expect(() => applyConfig({ fungi: {} })).to.throw(Error, "config names unknown plugin \"fungi\"");
+    });
+  });
+
+  describe("populationStats", () => {
+    it("gathers the population of a running app", () => {
+      const app = createHeadlessApp(7);
+      const stats = populationStats(app);
+      expect(stats.tick).to.equal(0);
+      expect(stats.generation).to.equal(0);
+      expect(stats.creatures).to.equal(app.world.getEntitiesWith("creature").length);
+      expect(stats.plants).to.equal(app.world.getEntitiesWith("plant").length);
+      expect(stats.meanEnergy).to.equal(config.creatures.initialEnergy);
+    });
+  });
+
+  describe("run", () => {
+    let io;
+
+    beforeEach(() => {
+      io = { log: spy(), write: spy() };
+    });
+
+    it("completes the requested ticks, reporting every few ticks", () => {
+      const options = parseArgs(["run", "--seed", "7", "--ticks", "4", "--every", "2", "--out", "results"]);
+      expect(run(options, io)).to.equal(EXIT_COMPLETED);
+
+      expect(io.log.calledWith("seed 7")).to.be.true;
+      expect(io.log.calledWith("completed 4 ticks")).to.be.true;
+      const files = io.write.args.map(([name]) => name);
+      expect(files).to.eql(["snapshot-0.json", "snapshot-2.json", "snapshot-4.json", "results.json"]);
+
+      const results = io.write.lastCall.args[1];
+      expect(results.seed).to.equal(7);
+      expect(results.ticks).to.equal(4);
+      expect(results.extinct).to.be.false;
+      expect(results.history.map((stats) => stats.tick)).to.eql([0, 2, 4]);
+    });
+
+    it("only writes the results without an output directory", () => {
+      const options = parseArgs(["run", "--seed", "7", "--ticks", "4", "--every", "2", "--quiet"]);
+      expect(run(options, io)).to.equal(EXIT_COMPLETED);
+      expect(io.write.args.map(([name]) => name)).to.eql(["results.json"]);
+    });
+
+    it("resumes a simulation from one of its snapshots", () => {
+      const options = parseArgs(["run", "--seed", "7", "--ticks", "4", "--every", "2", "--quiet", "--out", "results"]);
+      run(options, io);
+      const snapshot = JSON.parse(JSON.stringify(io.write.args[1][1].app));
+      const expected = io.write.lastCall.args[1].history[2];
+
+      const resumed = { log: spy(), write: spy() };
+      options.snapshot = snapshot;
+      expect(run(options, resumed)).to.equal(EXIT_COMPLETED);
+
+      expect(resumed.log.calledWith("seed 7")).to.be.true;
+      expect(resumed.log.calledWith("resuming from tick 2")).to.be.true;
+      const results = resumed.write.lastCall.args[1];
+      expect(results.history.map((stats) => stats.tick)).to.eql([2, 4]);
+      expect(results.history[1]).to.eql(expected);
+    });
+
+    it("stops once every creature died out", () => {
+      config.creatures.creatureRate = 0;
+      const options = parseArgs(["run", "--seed", "7", "--ticks", "4", "--quiet"]);
+      expect(run(options, io)).to.equal(EXIT_EXTINCT);
+
+      expect(io.log.calledWith("extinct after 0 ticks")).to.be.true;
+      expect(io.write.lastCall.args[1].extinct).to.be.true;
+    });
+  });
+
+  describe("main", () => {
+    beforeEach(() => {
+      stub(console, "log");
+      stub(console, "error");
+    });
+
+    afterEach(() => {
+      console.log.restore();
+      console.error.restore();
+    });
+
+    it("exits with 0 once every tick has run", () => {
+      expect(main(["run", "--seed", "7", "--ticks", "2", "--quiet"])).to.equal(EXIT_COMPLETED);
+    });
+
+    it("exits with 2 once every creature died out", () => {
+      config.creatures.creatureRate = 0;
+      expect(main(["run", "--seed", "7", "--quiet"])).to.equal(EXIT_EXTINCT);
+    });
+
+    it("exits with 1 and prints the usage on invalid arguments", () => {
+      expect(main(["run", "--ticks", "many"])).to.equal(EXIT_ERROR);
+      expect(main(["walk"])).to.equal(EXIT_ERROR);
+      expect(main([])).to.equal(EXIT_ERROR);
+      expect(console.error.args[0][0]).to.contain("--ticks expects a non-negative integer");
+      expect(console.error.args[0][0]).to.contain("Usage: genetic-sandbox run");
+      expect(console.error.args[1][0]).to.contain("unknown command walk");
+      expect(console.error.args[2][0]).to.contain("missing command");
+    });
+
+    it("resumes from a snapshot file", () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "genetic-sandbox-"));
+      try {
+        expect(main(["run", "--seed", "7", "--ticks", "2", "--every", "1", "--quiet", "--out", dir]))
+          .to.equal(EXIT_COMPLETED);
+        expect(main(["run", "--resume", path.join(dir, "snapshot-1.json"), "--ticks", "3", "--quiet"]))
+          .to.equal(EXIT_COMPLETED);
+        expect(console.log.calledWith("resuming from tick 1")).to.be.true;
+        expect(console.log.calledWith("completed 3 ticks")).to.be.true;
+      } finally {
+        fs.readdirSync(dir).forEach((name) => fs.unlinkSync(path.join(dir, name)));
+        fs.rmdirSync(dir);
+      }
+    });
+
+    it("exits with 1 when resuming with a seed or config of its own", () => {
+      expect(main(["run", "--resume", "snapshot-1.json", "--seed", "7"])).to.equal(EXIT_ERROR);
+      expect(main(["run", "--resume", "snapshot-1.json", "--config", "exp.json"])).to.equal(EXIT_ERROR);
+      expect(console.error.args[0][0]).to.contain("--resume can't be combined with --seed or --config");
+    });
+
+    it("exits with 1 when the config file can't be read", () => {
+      expect(main(["run", "--config", "/nonexistent/exp.json"])).to.equal(EXIT_ERROR);
+    });
+
+    it("exits with 0 after printing the usage", () => {
+      expect(main(["--help"])).to.equal(EXIT_COMPLETED);
+      expect(console.log.args[0][0]).to.contain("Usage: genetic-sandbox run");
+    });
+  });
+});
@@ -0,0 +1,59 @@
+// Entry point for running Genetic Sandbox without a browser, such as under
+// Node for batch experiments. Unlike main.js, nothing here touches window,
+// the DOM, or a canvas.
+
+import App from "./modules/App";
+import World from "./modules/ecs/World";
+import HexGrid from "./modules/grid/HexGrid";
+import config, { createPlugins } from "./modules/config";
+
+/**
+ * Creates and initializes a headless Genetic Sandbox app, with a world full of
+ * tiles and plugins of its own made by createPlugins() in config.js, so that
+ * several apps can run side by side. Renderer systems are skipped, and the
+ * app is stepped forward by calling step().
+ * @example
+ * import createHeadlessApp from "./headless";
+ * const app = createHeadlessApp(42);
+ * for (let i = 0; i < 1000; i++) {
+ *   app.step();
+ * }
+ * @param {number} [seed] - the seed for the random number generator
+ * @returns {App} the initialized app
+ */
+export default function createHeadlessApp(seed) {
+  const world = new World();
+  const grid = new HexGrid(config.core.gridRadius);
+  world.addEntities(grid.buildTiles());
+
+  const app = new App(world, grid);
+  app.initialize(createPlugins(), seed);
+
+  return app;
+}
+
+/**
+ * Creates a headless Genetic Sandbox app from a snapshot made by App#save(),
+ * with plugins of its own made by createPlugins() in config.js. The app
+ * resumes exactly where the saved one left off, on a grid of the saved grid
+ * radius.
+ * @example
+ * import { loadHeadlessApp } from "./headless";
+ * const app = loadHeadlessApp(JSON.parse(fs.readFileSync("snapshot.json", "utf8")));
+ * app.step();
+ * @param {Object} snapshot - a snapshot made by App#save()
+ * @returns {App} the loaded app
+ * @throws {Error} if the snapshot can't be loaded
+ */
+export function loadHeadlessApp(snapshot) {
+  // Systems may use the grid as they load, so build it from the core config
+  // as it will be once loaded, leaving it to App#load() to reject snapshots
+  const saved = snapshot !== null && typeof snapshot === "object" && Array.isArray(snapshot.plugins)
+    ? snapshot.plugins.find((plugin) => plugin.name === "core") : undefined;
+  const { gridRadius } = saved === undefined ? config.core : Object.assign({}, config.core, saved.config);
+
+  const app = new App(new World(), new HexGrid(gridRadius));
+  app.load(snapshot, createPlugins());
+
+  return app;
+}
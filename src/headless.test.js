@@ -0,0 +1,85 @@
+import createHeadlessApp, { loadHeadlessApp } from "./headless";
+import config from "./modules/config";
+import CreatureGenerator from "./modules/plugins/creatures/systems/CreatureGenerator";
+import { expect } from "chai";
+import { stub } from "sinon";
+
+describe("Headless app", () => {
+  let gridRadius, creatureRate;
+
+  const steps = (app, count) => {
+    for (let i = 0; i < count; i++) {
+      app.step();
+    }
+  };
+
+  beforeEach(() => {
+    ({ gridRadius } = config.core);
+    ({ creatureRate } = config.creatures);
+    config.core.gridRadius = 3;
+    config.creatures.creatureRate = 0.3;
+  });
+
+  afterEach(() => {
+    config.core.gridRadius = gridRadius;
+    config.creatures.creatureRate = creatureRate;
+  });
+
+  it("creates an initialized app on a grid full of tiles", () => {
+    const app = createHeadlessApp(7);
+    expect(app.headless).to.be.true;
+    expect(app.seed).to.equal(7);
+    expect(app.world.getEntitiesWith("tile")).to.have.lengthOf(37);
+  });
+
+  it("loads an app that plays out the same as the saved one", () => {
+    const original = createHeadlessApp(7);
+    steps(original, 5);
+    const snapshot = JSON.parse(JSON.stringify(original.save()));
+    steps(original, 5);
+    const expected = JSON.stringify(original.save());
+
+    const loaded = loadHeadlessApp(snapshot);
+    expect(loaded.clock.tick).to.equal(5);
+    steps(loaded, 5);
+    expect(JSON.stringify(loaded.save())).to.equal(expected);
+  });
+
+  it("loads the app onto a grid of the saved grid radius, before systems load", () => {
+    const snapshot = JSON.parse(JSON.stringify(createHeadlessApp(7).save()));
+    config.core.gridRadius = 9;
+    const { load } = CreatureGenerator.prototype;
+    let radius;
+    stub(CreatureGenerator.prototype, "load", function (app, state) {
+      radius = app.grid.radius;
+      return load.call(this, app, state);
+    });
+
+    try {
+      const loaded = loadHeadlessApp(snapshot);
+      expect(radius).to.equal(3);
+      expect(loaded.grid.radius).to.equal(3);
+      expect(config.core.gridRadius).to.equal(3);
+    } finally {
+      CreatureGenerator.prototype.load.restore();
+    }
+  });
+
+  it("runs apps side by side as if each ran alone", () => {
+    const alone = createHeadlessApp(7);
+    steps(alone, 10);
+    const expected = JSON.stringify(alone.save());
+
+    const first = createHeadlessApp(7);
+    const second = createHeadlessApp(8);
+    for (let i = 0; i < 10; i++) {
+      first.step();
+      second.step();
+    }
+    expect(JSON.stringify(first.save())).to.equal(expected);
+  });
+
+  it("throws given something other than a snapshot", () => {
+    expect(() => loadHeadlessApp(null)).to.throw(Error, /not a Genetic Sandbox snapshot/);
+  });
+});
@@ -35,7 +35,11 @@ window.GeneticSandbox = function (canvas, seed) {
   world.addEntities(grid.buildTiles());
 
   // Finally, create an instance of App and initialize it
-  const app = new App(world, grid, paperScope);
+  // Sync the processing loop with the display
+  const app = new App(world, grid, paperScope, {
+    request: (frame) => window.requestAnimationFrame(frame),
+    cancel: (id) => window.cancelAnimationFrame(id)
+  });
   app.initialize(plugins, seed);
 
   return app;
@@ -1,20 +1,66 @@
 import Random from "random-js";
+import EventEmitter from "wolfy87-eventemitter";
+import Clock from "./Clock";
+import InnovationRegistry from "./genetics/InnovationRegistry";
+import Scheduler from "./ecs/Scheduler";
+import Plugin from "./plugins/Plugin";
+import Serializable from "./util/Serializable";
 
 /**
- * The context and heartbeat of the Genetic Sandbox simulation
+ * Schedules frames of the processing loop on a timer at 60 frames per second,
+ * for where there's no display to sync frames to
+ * @private
+ * @type {Object}
+ */
+const timerFrameScheduler = {
+  request: (frame) => setTimeout(frame, 1000 / 60),
+  cancel: (id) => clearTimeout(id)
+};
+
+/**
+ * Identifies an object as a snapshot of a Genetic Sandbox app
+ * @type {string}
+ */
+export const SNAPSHOT_FORMAT = "genetic-sandbox/snapshot";
+
+/**
+ * The current version of the snapshot format. Bump this whenever the format
+ * changes in a way older versions of App#load() can't read.
+ * @type {number}
+ */
+export const SNAPSHOT_VERSION = 1;
+
+/**
+ * The context and heartbeat of the Genetic Sandbox simulation. Systems, the
+ * UI and analytics can follow the simulation by listening to its events.
+ * @example
+ * app.addListener("tickEnd", ({ tick }) => console.log("finished tick " + tick));
+ * @extends EventEmitter
  * @see {@link World}
  * @see {@link HexGrid}
  * @see {@link Plugin}
  */
-class App {
+class App extends EventEmitter {
   /**
-   * Creates a new App, setting up the context for the rest of the simulation
+   * Creates a new App, setting up the context for the rest of the simulation.
+   * Without a Paper.js graphics context the app runs headless: renderer
+   * systems and the draw phase are skipped entirely, so that the simulation
+   * can run where there is no canvas, such as under Node.
    * @param {World} world - world instance
    * @param {HexGrid} grid - grid implementation to use for grid-related
    * computation
-   * @param {PaperScope} paperScope - Paper.js graphics context
+   * @param {PaperScope} [paperScope] - Paper.js graphics context, or nothing
+   * to run headless
+   * @param {Object} [frameScheduler] - schedules frames of the processing
+   * loop, such as one built on requestAnimationFrame in the browser. Defaults
+   * to a timer at 60 frames per second.
+   * @param {Function} frameScheduler.request - takes a function to call on
+   * the next frame and returns an ID for cancelling it
+   * @param {Function} frameScheduler.cancel - cancels the frame of the given ID
    */
-  constructor(world, grid, paperScope) {
+  constructor(world, grid, paperScope, frameScheduler = timerFrameScheduler) {
+    super();
+
     /**
      * The World, or manager of all entities
      * @type {World}
@@ -33,20 +79,74 @@ class App {
      * @type {PaperScope}
      */
     this.paper = paperScope;
+
+    /**
+     * True if this app runs without rendering anything, false otherwise
+     * @type {boolean}
+     */
+    this.headless = paperScope === undefined || paperScope === null;
+
+    /**
+     * Schedules frames of the processing loop
+     * @type {Object}
+     */
+    this.frameScheduler = frameScheduler;
+
+    /**
+     * Number of ticks run per second at a speed of 1
+     * @type {number}
+     */
+    this.ticksPerSecond = 10;
+
+    /**
+     * Multiple of ticksPerSecond the processing loop runs the simulation at,
+     * 0 when paused, or Infinity to run as many ticks as fit in every frame
+     * @type {number}
+     */
+    this.speed = 1;
+
+    /**
+     * Milliseconds of every frame that may be spent running ticks, so that
+     * rendering keeps up even at the highest speeds
+     * @type {number}
+     */
+    this.frameBudget = 12;
+
+    /**
+     * Simulation time, counted in ticks and generations
+     * @type {Clock}
+     */
+    this.clock = new Clock();
+
+    /**
+     * Numbers of input and output neurons the systems of this app reserved
+     * in every creature's brain
+     * @type {Object}
+     * @property {number} inputs - number of reserved input neurons
+     * @property {number} outputs - number of reserved output neurons
+     */
+    this.neurons = { inputs: 0, outputs: 0 };
+
+    /**
+     * True while the processing loop is running, false otherwise
+     * @private
+     * @type {boolean}
+     */
+    this._running = false;
   }
 
   /**
    * Helper function for calling the given function with every system
-   * in all enabled plugins as an argument
+   * in all enabled plugins as an argument, in the scheduled order of the
+   * given phase
    * @private
    * @param {Function} func - the function to apply with every system
+   * @param {string} [phase="initialize"] - one of {@link Scheduler.phases}
    */
-  _forEachSystem(func) {
-    this.plugins.forEach((plugin) => {
-      if (plugin.enabled) {
-        plugin.systems.forEach((system) => {
-          func(system);
-        });
+  _forEachSystem(func, phase = "initialize") {
+    this._schedules[phase].forEach(({ plugin, system }) => {
+      if (plugin.enabled && system.enabled) {
+        func(system);
       }
     });
   }
@@ -55,58 +155,563 @@ class App {
    * Initializes all enabled plugins passed by calling *reserve()* and
    * *initialize()* on their constituent systems. Can optionally be passed a
    * seed to prime the random number generator with for this simulation.
+   * Systems run in the order the {@link Scheduler} computes for every phase
+   * from their ordering options, and are initialized in the order of the
+   * initialize phase. Disabled systems reserve their brain neurons too, so
+   * that they can be enabled later on, but are only initialized once they
+   * are first enabled.
+   * Plugins are validated and sorted so that every plugin is initialized
+   * after the plugins it depends on. Systems keep state for the app they run
+   * in, so apps running side by side each need plugins of their own, such as
+   * those made by createPlugins() in config.js.
    * @param {Plugin[]} plugins - the plugins to be included in the main
    * processing loop
    * @param {number} [seed] - the seed for the random number generator
+   * @throws {Error} if a plugin is missing a dependency or required config
+   * key, or if plugin dependencies or system ordering constraints form a cycle
    */
   initialize(plugins, seed) {
+    this._setUp(plugins);
+
+    /**
+    * The seed the random number generator was primed with
+    * @type {number}
+    */
+    this.seed = seed === undefined ? Random.engines.nativeMath() >>> 0 : seed;
+
+    /**
+    * A seeded instance of the random-js Mersenne Twister engine for
+    * generating random numbers
+    */
+    this.random = new Random(Random.engines.mt19937().seed(this.seed));
+
+    /**
+    * The history of structural mutations shared by every strand of genes in
+    * this simulation
+    * @type {InnovationRegistry}
+    */
+    this.innovations = new InnovationRegistry();
+
+    /**
+    * The systems that have been initialized so far
+    * @private
+    * @type {Set}
+    */
+    this._initialized = new Set();
+
+    this._forEachSystem((system) => {
+      system.initialize(this);
+      this._initialized.add(system);
+    });
+  }
+
+  /**
+   * Resolves and schedules the given plugins, then has every scheduled system
+   * reserve its brain neurons
+   * @private
+   * @param {Plugin[]} plugins - the plugins to be included in the main
+   * processing loop
+   * @throws {Error} if a plugin is missing a dependency or required config
+   * key, or if plugin dependencies or system ordering constraints form a cycle
+   */
+  _setUp(plugins) {
     /**
-    * Array of plugins included in the main processing loop
+    * Array of plugins included in the main processing loop, in dependency
+    * order
     * @type {Plugin[]}
     */
-    this.plugins = plugins;
+    this.plugins = Plugin.resolve(plugins);
 
-    if (seed === undefined) {
-      /**
-      * A seeded instance of the random-js Mersenne Twister engine for
-      * generating random numbers
-      */
-      this.random = new Random(Random.engines.mt19937().autoSeed());
-    } else {
-      this.random = new Random(Random.engines.mt19937().seed(seed));
+    const pluginOf = new Map();
+    this.plugins.forEach((plugin) => {
+      plugin.systems.forEach((system) => {
+        if (!this.headless || system.tag !== "renderer") {
+          pluginOf.set(system, plugin);
+        }
+      });
+    });
+
+    /**
+    * Every system of every plugin in the order they run in during each phase,
+    * keyed by phase, each paired with the plugin it belongs to. Renderers are
+    * left out when running headless.
+    * @private
+    * @type {Object}
+    */
+    this._schedules = {};
+    const scheduler = new Scheduler();
+    Scheduler.phases.forEach((phase) => {
+      this._schedules[phase] = scheduler.schedule(Array.from(pluginOf.keys()), phase).map((system) => {
+        return { plugin: pluginOf.get(system), system };
+      });
+    });
+
+    /**
+    * The schedule of the initialize phase, which orders the lifecycle hooks
+    * of systems
+    * @private
+    * @type {Object[]}
+    */
+    this._schedule = this._schedules.initialize;
+
+    // Reservations start over, so that setting up again, as load() does on
+    // an initialized app, hands out the same neurons
+    this.neurons = { inputs: 0, outputs: 0 };
+    this._schedule.forEach(({ system }) => system.reserve(this));
+  }
+
+  /**
+   * Saves a snapshot of this app between ticks: the world with all of its
+   * entities, the state of the random number generator, the clock, the
+   * innovation history, the config and enabled state of every plugin, and the
+   * state of every system. Loading the snapshot with load() resumes the
+   * simulation exactly where it left off.
+   * @example
+   * fs.writeFileSync("snapshot.json", JSON.stringify(app.save()));
+   * @returns {Object} the snapshot, ready for JSON.stringify()
+   * @throws {Error} if changes are still queued in the world's command buffer
+   */
+  save() {
+    return {
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      seed: this.seed,
+      randomUseCount: this.random.engine.getUseCount(),
+      clock: JSON.parse(this.clock.serialize()),
+      innovations: JSON.parse(this.innovations.serialize()),
+      plugins: this.plugins.map((plugin) => {
+        return {
+          name: plugin.name,
+          enabled: plugin.enabled,
+          config: JSON.parse(JSON.stringify(plugin.config))
+        };
+      }),
+      systems: this._schedule.map(({ system }) => {
+        const initialized = this._initialized.has(system);
+        return {
+          name: system.name,
+          enabled: system.enabled,
+          initialized,
+          state: initialized ? system.save(this) : undefined
+        };
+      }),
+      world: this.world.save()
+    };
+  }
+
+  /**
+   * Loads a snapshot made by save() into this app, in place of initialize().
+   * The config and enabled state of the given plugins are overwritten with
+   * those of the snapshot, and the world is replaced with the saved one.
+   * Systems have *load()* called instead of *initialize()*. The grid of this
+   * app must be of the grid radius in the saved core config.
+   * The whole snapshot is checked before anything is loaded, including the
+   * *validate()* hook of every saved system, so that a snapshot that can't be
+   * loaded leaves the world and the config of the plugins as they were. The
+   * systems of this app have reserved their brain neurons by then, as they
+   * do in initialize().
+   * @example
+   * app.load(JSON.parse(fs.readFileSync("snapshot.json", "utf8")), plugins);
+   * app.tick();
+   * @param {Object} snapshot - a snapshot made by save()
+   * @param {Plugin[]} plugins - the plugins of the saved app
+   * @throws {Error} if the snapshot is not a snapshot of a supported version,
+   * if it includes a plugin or system that isn't given, if the grid of this
+   * app is of another radius than the saved one, if it can't be restored, if
+   * a system rejects its saved state, or if the plugins can't be resolved or
+   * scheduled
+   */
+  load(snapshot, plugins) {
+    if (snapshot === null || typeof snapshot !== "object" || snapshot.format !== SNAPSHOT_FORMAT) {
+      throw new Error("App: not a Genetic Sandbox snapshot");
+    }
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+      throw new Error("App: unsupported snapshot version " + snapshot.version +
+                      " (expected " + SNAPSHOT_VERSION + ")");
+    }
+
+    const savedPlugins = snapshot.plugins.map((saved) => {
+      const plugin = plugins.find((plugin) => plugin.name === saved.name);
+      if (plugin === undefined) {
+        throw new Error("App: the snapshot includes plugin " + saved.name + ", which is missing");
+      }
+      return { plugin, saved };
+    });
+
+    const core = savedPlugins.find(({ plugin }) => plugin.name === "core");
+    if (core !== undefined) {
+      const { gridRadius } = Object.assign({}, core.plugin.config, core.saved.config);
+      if (this.grid.radius !== gridRadius) {
+        throw new Error("App: the snapshot's grid radius " + gridRadius +
+                        " doesn't match this app's grid radius " + this.grid.radius);
+      }
     }
 
-    this._forEachSystem((system) => system.reserve(this));
-    this._forEachSystem((system) => system.initialize(this));
+    const savedSystems = {};
+    snapshot.systems.forEach((saved) => {
+      const isSaved = (system) => system.name === saved.name;
+      if (!plugins.some((plugin) => plugin.systems.some(isSaved))) {
+        throw new Error("App: the snapshot includes system " + saved.name + ", which is missing");
+      }
+      savedSystems[saved.name] = saved;
+    });
+
+    const clock = Serializable.restore(JSON.stringify(snapshot.clock));
+    const innovations = Serializable.restore(JSON.stringify(snapshot.innovations));
+
+    this._setUp(plugins);
+
+    // Systems of the snapshot that aren't scheduled, such as renderers of a
+    // snapshot loaded headless, are left out
+    this._schedule.forEach(({ system }) => {
+      const saved = savedSystems[system.name];
+      if (saved !== undefined && saved.initialized) {
+        system.validate(this, saved.state);
+      }
+    });
+
+    this.world.load(snapshot.world);
+
+    // The snapshot checks out, so only now is it applied to the plugins
+    savedPlugins.forEach(({ plugin, saved }) => {
+      plugin.enabled = saved.enabled;
+      Object.assign(plugin.config, saved.config);
+    });
+
+    this.seed = snapshot.seed;
+    this.random = new Random(Random.engines.mt19937().seed(this.seed).discard(snapshot.randomUseCount));
+    this.clock = clock;
+    this.innovations = innovations;
+
+    // Systems missing from the snapshot, such as renderers of a snapshot made
+    // headless, are initialized as usual
+    this._schedule.forEach(({ system }) => {
+      if (savedSystems.hasOwnProperty(system.name)) {
+        system.enabled = savedSystems[system.name].enabled;
+      }
+    });
+
+    this._initialized = new Set();
+    this._schedule.forEach(({ plugin, system }) => {
+      const saved = savedSystems[system.name];
+      if (saved === undefined) {
+        if (plugin.enabled && system.enabled) {
+          system.initialize(this);
+          this._initialized.add(system);
+        }
+      } else if (saved.initialized) {
+        system.load(this, saved.state);
+        this._initialized.add(system);
+      }
+    });
+  }
+
+  /**
+   * Enables the named plugin at runtime. Its enabled systems are initialized
+   * if they haven't been yet, and have their *onEnable()* hook called.
+   * @example
+   * app.enablePlugin("plants");
+   * @param {string} name - name of the plugin
+   * @throws {Error} if there is no plugin of that name
+   */
+  enablePlugin(name) {
+    this._toggle(() => { this._findPlugin(name).enabled = true; });
+  }
+
+  /**
+   * Disables the named plugin at runtime. Its enabled systems have their
+   * *onDisable()* hook called and are excluded from the processing loop.
+   * @example
+   * // Observe starvation
+   * app.disablePlugin("plants");
+   * @param {string} name - name of the plugin
+   * @throws {Error} if there is no plugin of that name
+   */
+  disablePlugin(name) {
+    this._toggle(() => { this._findPlugin(name).enabled = false; });
+  }
+
+  /**
+   * Enables the named system at runtime. Unless its plugin is disabled, it is
+   * initialized if it hasn't been yet, and has its *onEnable()* hook called.
+   * @example
+   * app.enableSystem("SpriteRenderer");
+   * @param {string} name - name of the system
+   * @throws {Error} if there is no system of that name
+   */
+  enableSystem(name) {
+    this._toggle(() => { this._findSystem(name).enabled = true; });
   }
 
   /**
-   * Ticks the simulation forward by one full iteration
+   * Disables the named system at runtime. Unless its plugin is disabled
+   * already, it has its *onDisable()* hook called and is excluded from the
+   * processing loop.
+   * @example
+   * app.disableSystem("SpriteRenderer");
+   * @param {string} name - name of the system
+   * @throws {Error} if there is no system of that name
+   */
+  disableSystem(name) {
+    this._toggle(() => { this._findSystem(name).enabled = false; });
+  }
+
+  /**
+   * Applies the given change to the enabled flags of plugins or systems, then
+   * calls the lifecycle hooks of every system that was started or stopped by
+   * the change
+   * @private
+   * @param {Function} change - function changing enabled flags
+   */
+  _toggle(change) {
+    const isRunning = ({ plugin, system }) => plugin.enabled && system.enabled;
+    const wasRunning = this._schedule.map(isRunning);
+
+    change();
+
+    this._schedule.forEach((entry, i) => {
+      const { system } = entry;
+      if (isRunning(entry) && !wasRunning[i]) {
+        if (!this._initialized.has(system)) {
+          system.initialize(this);
+          this._initialized.add(system);
+        }
+        system.onEnable(this);
+      } else if (!isRunning(entry) && wasRunning[i]) {
+        system.onDisable(this);
+      }
+    });
+
+    this.world.flush();
+  }
+
+  /**
+   * Finds the plugin of the given name
+   * @private
+   * @param {string} name - name of the plugin
+   * @returns {Plugin} the plugin
+   * @throws {Error} if there is no plugin of that name
+   */
+  _findPlugin(name) {
+    const plugin = this.plugins.find((plugin) => plugin.name === name);
+    if (plugin === undefined) {
+      throw new Error("App: no plugin named " + name);
+    }
+    return plugin;
+  }
+
+  /**
+   * Finds the system of the given name
+   * @private
+   * @param {string} name - name of the system
+   * @returns {System} the system
+   * @throws {Error} if there is no system of that name
+   */
+  _findSystem(name) {
+    const entry = this._schedule.find(({ system }) => system.name === name);
+    if (entry === undefined) {
+      throw new Error("App: no system named " + name);
+    }
+    return entry.system;
+  }
+
+  /**
+   * Ticks the simulation forward by one full iteration and renders the
+   * result. While the processing loop is paused, this single-steps the
+   * simulation for debugging.
+   * @example
+   * app.setSpeed(0);
+   * app.tick();
    */
   tick() {
-    this.world.update();
-    this._forEachSystem((system) => system.update(this));
-    this._forEachSystem((system) => system.draw(this));
-    this.paper.view.draw();
-    this._forEachSystem((system) => system.sense(this));
-    this._forEachSystem((system) => system.think(this));
-    this._forEachSystem((system) => system.attempt(this));
+    this.step();
+    this.render();
   }
 
   /**
-   * Kicks off the processing loop to continously update all systems
+   * Runs the simulation forward by one iteration without drawing anything,
+   * advancing the clock. Changes systems queue in the world's command buffer
+   * are applied at the end of every phase.
+   * @fires App#tickStart
+   * @fires App#tickEnd
+   */
+  step() {
+    const tick = this.clock.advance();
+
+    /**
+     * Fired when a tick starts, before any system runs
+     * @event App#tickStart
+     * @type {object}
+     * @property {number} tick - number of the tick
+     */
+    this.emitEvent("tickStart", [{ tick }]);
+
+    this._runPhase("update");
+    this._runPhase("sense");
+    this._runPhase("think");
+    this._runPhase("attempt");
+
+    /**
+     * Fired when a tick ends, once every system has run and every queued
+     * change has been applied to the world
+     * @event App#tickEnd
+     * @type {object}
+     * @property {number} tick - number of the tick
+     */
+    this.emitEvent("tickEnd", [{ tick }]);
+  }
+
+  /**
+   * Draws the current state of the simulation by running the draw phase,
+   * then redrawing the Paper.js view. Does nothing when running headless.
+   */
+  render() {
+    if (!this.headless) {
+      this._runPhase("draw");
+      this.paper.view.draw();
+    }
+  }
+
+  /**
+   * Runs one phase of a tick by calling the method of that name on every
+   * system in the order scheduled for it, then applies the changes queued by
+   * the systems during that phase
+   * @private
+   * @param {string} phase - one of {@link Scheduler.phases}
+   */
+  _runPhase(phase) {
+    this._forEachSystem((system) => system[phase](this), phase);
+    this.world.flush();
+  }
+
+  /**
+   * Sets the speed of the processing loop as a multiple of ticksPerSecond.
+   * A speed of 0 pauses the simulation, while "max" runs as many ticks as fit
+   * in every frame.
+   * @example
+   * app.setSpeed(10);
+   * app.setSpeed("max");
+   * @param {number|string} speed - a non-negative number, or "max"
+   * @throws {Error} if the speed is neither a non-negative number nor "max"
+   */
+  setSpeed(speed) {
+    if (speed === "max") {
+      speed = Infinity;
+    }
+    if (typeof speed !== "number" || !(speed >= 0)) {
+      throw new Error("App: invalid speed " + speed);
+    }
+    this._changePlayback(() => { this.speed = speed; });
+  }
+
+  /**
+   * True unless the processing loop is running at a speed above 0
+   * @returns {boolean} whether the simulation is paused
+   */
+  get paused() {
+    return !this._running || this.speed === 0;
+  }
+
+  /**
+   * Kicks off the processing loop, which runs as many ticks per frame as the
+   * current speed calls for and renders once per frame. Frames are scheduled
+   * by the frame scheduler of this app.
    */
   run() {
-    this._timer = setInterval(this.tick.bind(this), 100);
-    this.tick();
+    this.stop();
+    this._lastFrameTime = Date.now();
+    this._pendingSteps = 0;
+    this.render();
+    this._requestFrame();
+    this._changePlayback(() => { this._running = true; });
   }
 
   /**
    * Stops the processing loop, essentially pausing the entire simulation
    */
   stop() {
-    if (this._timer) {
-      clearInterval(this._timer);
+    if (this._cancelFrame) {
+      this._cancelFrame();
+      this._cancelFrame = undefined;
+    }
+    this._changePlayback(() => { this._running = false; });
+  }
+
+  /**
+   * Applies the given change to the state of the processing loop, then fires
+   * an event if the change paused or resumed the simulation
+   * @private
+   * @param {Function} change - function changing the speed or running state
+   * @fires App#paused
+   * @fires App#resumed
+   */
+  _changePlayback(change) {
+    const wasPaused = this.paused;
+
+    change();
+
+    if (this.paused && !wasPaused) {
+      /**
+       * Fired when the simulation is paused, either by stopping the
+       * processing loop or by setting its speed to 0
+       * @event App#paused
+       * @type {object}
+       * @property {number} tick - number of the last tick run
+       */
+      this.emitEvent("paused", [{ tick: this.clock.tick }]);
+    } else if (!this.paused && wasPaused) {
+      /**
+       * Fired when the simulation resumes after being paused
+       * @event App#resumed
+       * @type {object}
+       * @property {number} tick - number of the last tick run
+       */
+      this.emitEvent("resumed", [{ tick: this.clock.tick }]);
+    }
+  }
+
+  /**
+   * Schedules the next frame of the processing loop
+   * @private
+   */
+  _requestFrame() {
+    const { request, cancel } = this.frameScheduler;
+    const id = request(() => this._frame());
+    this._cancelFrame = () => cancel(id);
+  }
+
+  /**
+   * Runs one frame of the processing loop: the ticks that came due since the
+   * last frame, for at most frameBudget milliseconds, followed by a render if
+   * anything changed. Ticks that don't fit in the budget are dropped, so that
+   * the simulation slows down rather than the page locking up.
+   * @private
+   */
+  _frame() {
+    const start = Date.now();
+    // Don't try to catch up on time spent in a background tab
+    const elapsed = Math.min(start - this._lastFrameTime, 250);
+    this._lastFrameTime = start;
+
+    let due = Infinity;
+    if (this.speed !== Infinity) {
+      this._pendingSteps += elapsed / 1000 * this.ticksPerSecond * this.speed;
+      due = Math.floor(this._pendingSteps);
+      this._pendingSteps -= due;
+    }
+
+    let steps = 0;
+    // Listeners may stop the loop, or pause it, in the middle of a frame
+    while (steps < due && !this.paused && (steps === 0 || Date.now() - start < this.frameBudget)) {
+      this.step();
+      steps++;
+    }
+    if (steps > 0) {
+      this.render();
+    }
+
+    if (this._running) {
+      this._requestFrame();
     }
   }
 }
@@ -0,0 +1,55 @@
+import Serializable from "./util/Serializable";
+
+/**
+ * Keeps simulation time: the number of the tick being run, and the highest
+ * generation of creatures reached so far. Every App owns one, which systems
+ * can read through *app.clock*.
+ * @extends Serializable
+ * @see {@link App}
+ */
+class Clock extends Serializable {
+  /**
+   * Constructs a new Clock, set to before the first tick
+   * @example
+   * const clock = new Clock();
+   * clock.advance();
+   * clock.tick; // 1
+   */
+  constructor() {
+    super();
+
+    /**
+     * Number of the current tick, counting from 1, or 0 before the first tick
+     * @type {number}
+     */
+    this.tick = 0;
+
+    /**
+     * The highest generation of creatures reached so far, where the initial
+     * population is generation 0
+     * @type {number}
+     */
+    this.generation = 0;
+  }
+
+  /**
+   * Advances the clock to the next tick
+   * @returns {number} the number of the new tick
+   */
+  advance() {
+    return ++this.tick;
+  }
+
+  /**
+   * Records the birth of a creature of the given generation, advancing the
+   * generation count if it's the first of its generation
+   * @param {number} generation - generation of the newborn creature
+   */
+  recordGeneration(generation) {
+    this.generation = Math.max(this.generation, generation);
+  }
+}
+
+Serializable.register(Clock, "Clock");
+
+export default Clock;
@@ -1,8 +1,13 @@
 import App from "./App";
 import Plugin from "./plugins/Plugin";
 import System from "./ecs/System";
+import InnovationRegistry from "./genetics/InnovationRegistry";
+import Clock from "./Clock";
+import World from "./ecs/World";
+import HexGrid from "./grid/HexGrid";
+import config, { createPlugins } from "./config";
 import { expect } from "chai";
-import { spy, stub } from "sinon";
+import { spy, stub, useFakeTimers } from "sinon";
 
 describe("App", () => {
   let app, world, grid, plugins, systems, paper;
@@ -19,7 +24,7 @@ describe("App", () => {
 
   beforeEach(() => {
     world = {
-      update: spy()
+      flush: spy()
     };
     grid = {};
 
@@ -36,6 +41,8 @@ describe("App", () => {
     ];
 
     systems.forEach((system) => {
+      spy(system, "onEnable");
+      spy(system, "onDisable");
       spy(system, "reserve");
       spy(system, "initialize");
       spy(system, "update");
@@ -77,6 +84,33 @@ describe("App", () => {
     expect(app.paper).to.be.ok;
   });
 
+  it("starts its clock before the first tick", () => {
+    expect(app.clock).to.be.an.instanceof(Clock);
+    expect(app.clock.tick).to.equal(0);
+  });
+
+  it("runs headless when given no Paper.js graphics context", () => {
+    expect(app.headless).to.be.false;
+    expect(new App(world, grid).headless).to.be.true;
+  });
+
+  it("should skip renderers and the draw phase when running headless", () => {
+    const renderer = new FakeSystem("renderer");
+    spy(renderer, "initialize");
+    spy(renderer, "draw");
+    plugins.push(new Plugin("render", [renderer], {}));
+    app = new App(world, grid);
+    app.initialize(plugins);
+    app.tick();
+
+    expect(renderer.initialize.called).to.be.false;
+    expect(renderer.draw.called).to.be.false;
+    systems.forEach((system) => {
+      expect(system.update.calledOnce).to.be.true;
+      expect(system.draw.called).to.be.false;
+    });
+  });
+
   it("should skip disabled plugins in its processing loop", () => {
     plugins[0].enabled = false;
     app.initialize(plugins);
@@ -110,6 +144,18 @@ describe("App", () => {
       expect(app1.random.real(0, 100)).to.equal(app2.random.real(0, 100));
     });
 
+    it("gives every app its own innovation registry", () => {
+      const app1 = new App();
+      const app2 = new App();
+      app1.initialize([]);
+      app2.initialize([]);
+
+      expect(app1.innovations instanceof InnovationRegistry).to.be.true;
+      expect(app1.innovations).to.not.equal(app2.innovations);
+      app1.innovations.innovationNumber(1, 2);
+      expect(app2.innovations.innovationNumber(3, 4)).to.equal(1);
+    });
+
     it("should call reserve() on every system in every enabled plugin", () => {
       app.initialize(plugins);
       systems.forEach((system) => {
@@ -117,6 +163,52 @@ describe("App", () => {
       });
     });
 
+    it("should order plugins by their dependencies", () => {
+      plugins[0].dependencies = ["fakest"];
+      app.initialize(plugins);
+      expect(app.plugins).to.eql([plugins[1], plugins[2], plugins[0]]);
+    });
+
+    it("should throw if a plugin is missing a dependency", () => {
+      plugins[0].dependencies = ["missing"];
+      expect(() => app.initialize(plugins)).to.throw(Error, /missing/);
+    });
+
+    it("should run systems in scheduled order", () => {
+      systems[0].after = ["last"];
+      systems[8].name = "last";
+      systems[8].priority = 1;
+      app.initialize(plugins);
+
+      const order = [];
+      app._forEachSystem((system) => order.push(system));
+      expect(order[0]).to.equal(systems[8]);
+      expect(order.indexOf(systems[0])).to.be.above(0);
+      expect(order.slice(2)).to.eql(systems.slice(1, 8));
+    });
+
+    it("should run every phase in the order scheduled for it", () => {
+      systems[0].name = "first";
+      systems[1].name = "second";
+      systems[0].after = [{ name: "second", phases: ["update"] }];
+      systems[1].after = [{ name: "first", phases: ["attempt"] }];
+      app.initialize(plugins);
+
+      app.step();
+      expect(systems[1].update.calledBefore(systems[0].update)).to.be.true;
+      expect(systems[0].sense.calledBefore(systems[1].sense)).to.be.true;
+      expect(systems[0].attempt.calledBefore(systems[1].attempt)).to.be.true;
+      expect(systems[0].initialize.calledBefore(systems[1].initialize)).to.be.true;
+    });
+
+    it("should throw if the ordering constraints of systems form a cycle", () => {
+      systems[0].name = "first";
+      systems[1].name = "second";
+      systems[0].after = ["second"];
+      systems[1].after = ["first"];
+      expect(() => app.initialize(plugins)).to.throw(Error, /cyclic/);
+    });
+
     it("should call initialize() on every system in every enabled plugin", () => {
       app.initialize(plugins);
       systems.forEach((system) => {
@@ -125,14 +217,82 @@ describe("App", () => {
     });
   });
 
-  describe("tick", () => {
+  describe("enabling and disabling", () => {
     beforeEach(() => {
+      systems.forEach((system, i) => { system.name = "fake" + (i + 1); });
+    });
+
+    it("should disable a plugin at runtime", () => {
+      app.initialize(plugins);
+      app.disablePlugin("faker");
+      app.tick();
+
+      systems.slice(3, 6).forEach((system) => {
+        expect(system.onDisable.calledOnce).to.be.true;
+        expect(system.update.called).to.be.false;
+      });
+      expect(systems[0].onDisable.called).to.be.false;
+      expect(systems[0].update.calledOnce).to.be.true;
+      expect(world.flush.called).to.be.true;
+    });
+
+    it("should enable a plugin at runtime, initializing its systems the first time", () => {
+      plugins[1].enabled = false;
       app.initialize(plugins);
+      systems.slice(3, 6).forEach((system) => {
+        expect(system.reserve.calledOnce).to.be.true;
+        expect(system.initialize.called).to.be.false;
+      });
+
+      app.enablePlugin("faker");
+      app.disablePlugin("faker");
+      app.enablePlugin("faker");
+      app.tick();
+
+      systems.slice(3, 6).forEach((system) => {
+        expect(system.initialize.calledOnce).to.be.true;
+        expect(system.initialize.calledBefore(system.onEnable)).to.be.true;
+        expect(system.onEnable.calledTwice).to.be.true;
+        expect(system.update.calledOnce).to.be.true;
+      });
     });
 
-    it("should udpate the world", () => {
+    it("should enable and disable a single system at runtime", () => {
+      app.initialize(plugins);
+      app.disableSystem("fake2");
       app.tick();
-      expect(world.update.calledOnce).to.be.true;
+      expect(systems[1].onDisable.calledOnce).to.be.true;
+      expect(systems[1].update.called).to.be.false;
+
+      app.enableSystem("fake2");
+      app.tick();
+      expect(systems[1].onEnable.calledOnce).to.be.true;
+      expect(systems[1].update.calledOnce).to.be.true;
+    });
+
+    it("should not call lifecycle hooks of systems whose plugin is disabled", () => {
+      app.initialize(plugins);
+      app.disablePlugin("fake");
+      app.disableSystem("fake1");
+      app.enableSystem("fake1");
+      expect(systems[0].onDisable.calledOnce).to.be.true;
+      expect(systems[0].onEnable.called).to.be.false;
+
+      app.enableSystem("fake1");
+      app.enablePlugin("fake");
+      expect(systems[0].onEnable.calledOnce).to.be.true;
+    });
+
+    it("should throw given an unknown plugin or system", () => {
+      app.initialize(plugins);
+      expect(() => app.disablePlugin("nope")).to.throw(Error, /no plugin named nope/);
+      expect(() => app.enableSystem("nope")).to.throw(Error, /no system named nope/);
+    });
+  });
+
+  describe("tick", () => {
+    beforeEach(() => {
+      app.initialize(plugins);
     });
 
     it("should call update() on every system in every enabld plugin", () => {
@@ -169,37 +329,363 @@ describe("App", () => {
         expect(system.attempt.calledOnce).to.be.true;
       });
     });
+
+    it("should apply queued world changes after every phase", () => {
+      app.tick();
+      expect(world.flush.callCount).to.equal(5);
+      expect(world.flush.calledAfter(systems[8].update)).to.be.true;
+      expect(world.flush.calledBefore(systems[0].draw)).to.be.true;
+      expect(world.flush.calledAfter(systems[8].attempt)).to.be.true;
+    });
+  });
+
+  describe("step and render", () => {
+    beforeEach(() => {
+      app.initialize(plugins);
+    });
+
+    it("should step the simulation without drawing", () => {
+      app.step();
+      systems.forEach((system) => {
+        expect(system.update.calledOnce).to.be.true;
+        expect(system.attempt.calledOnce).to.be.true;
+        expect(system.draw.called).to.be.false;
+      });
+      expect(paper.view.draw.called).to.be.false;
+    });
+
+    it("should advance the clock with every step", () => {
+      app.step();
+      app.step();
+      expect(app.clock.tick).to.equal(2);
+    });
+
+    it("should fire tickStart before and tickEnd after every system runs", () => {
+      const tickStart = spy();
+      const tickEnd = spy();
+      app.addListener("tickStart", tickStart);
+      app.addListener("tickEnd", tickEnd);
+      app.step();
+
+      expect(tickStart.calledWith({ tick: 1 })).to.be.true;
+      expect(tickStart.calledBefore(systems[0].update)).to.be.true;
+      expect(tickEnd.calledWith({ tick: 1 })).to.be.true;
+      expect(tickEnd.calledAfter(systems[8].attempt)).to.be.true;
+      expect(tickEnd.calledAfter(world.flush)).to.be.true;
+    });
+
+    it("should render without stepping the simulation", () => {
+      app.render();
+      systems.forEach((system) => {
+        expect(system.draw.calledOnce).to.be.true;
+        expect(system.update.called).to.be.false;
+      });
+      expect(paper.view.draw.calledOnce).to.be.true;
+    });
+  });
+
+  describe("setSpeed", () => {
+    it("should accept non-negative numbers and \"max\"", () => {
+      app.setSpeed(0);
+      expect(app.speed).to.equal(0);
+      app.setSpeed(2.5);
+      expect(app.speed).to.equal(2.5);
+      app.setSpeed("max");
+      expect(app.speed).to.equal(Infinity);
+    });
+
+    it("should throw given an invalid speed", () => {
+      expect(() => app.setSpeed(-1)).to.throw(Error, /invalid speed -1/);
+      expect(() => app.setSpeed(NaN)).to.throw(Error, /invalid speed/);
+      expect(() => app.setSpeed("fast")).to.throw(Error, /invalid speed fast/);
+    });
   });
 
   describe("run and stop", () => {
-    let stubSetInterval, stubClearInterval;
+    let clock;
 
     beforeEach(() => {
       app.initialize(plugins);
-      stubSetInterval = stub(global, "setInterval").returns({});
-      stubClearInterval = stub(global, "clearInterval");
+      clock = useFakeTimers();
+      stub(app, "step");
+      stub(app, "render");
     });
 
     afterEach(() => {
-      stubSetInterval.restore();
-      stubClearInterval.restore();
+      app.stop();
+      clock.restore();
+    });
+
+    it("should render once when started", () => {
+      app.run();
+      expect(app.render.calledOnce).to.be.true;
+      expect(app.step.called).to.be.false;
+    });
+
+    it("should run ticksPerSecond ticks per second at a speed of 1", () => {
+      app.run();
+      clock.tick(1000);
+      expect(app.step.callCount).to.be.within(9, 10);
+    });
+
+    it("should run several ticks per frame at higher speeds", () => {
+      app.setSpeed(10);
+      app.run();
+      clock.tick(1000);
+      expect(app.step.callCount).to.be.within(99, 100);
+      // Rendering is bound to the frame rate, not the tick rate
+      expect(app.render.callCount).to.be.below(app.step.callCount);
+    });
+
+    it("should run no ticks while paused", () => {
+      app.setSpeed(0);
+      app.run();
+      clock.tick(1000);
+      expect(app.step.called).to.be.false;
+      expect(app.render.calledOnce).to.be.true;
     });
 
-    it("should start an interval timer to tick the simulation", () => {
+    it("should run ticks for the frame budget at max speed", () => {
+      app.step.restore();
+      stub(app, "step", () => { clock.tick(1); });
+      app.setSpeed("max");
       app.run();
-      expect(app._timer).to.be.ok;
-      expect(stubSetInterval.calledOnce).to.be.true;
+      clock.tick(17);
+      expect(app.step.callCount).to.equal(app.frameBudget);
     });
 
-    it("should clear the previously set interval", () => {
+    it("should stop running ticks once stopped", () => {
       app.run();
+      clock.tick(1000);
       app.stop();
-      expect(stubClearInterval.calledWith(app._timer)).to.be.true;
+      const steps = app.step.callCount;
+      clock.tick(1000);
+      expect(app.step.callCount).to.equal(steps);
     });
 
-    it("should do nothing if no timer is set", () => {
+    it("should schedule frames with the given frame scheduler", () => {
+      const frameScheduler = {
+        request: stub().returns(42),
+        cancel: spy()
+      };
+      app = new App(world, grid, paper, frameScheduler);
+      stub(app, "render");
+      app.run();
+      expect(frameScheduler.request.calledOnce).to.be.true;
+
+      frameScheduler.request.args[0][0]();
+      expect(frameScheduler.request.calledTwice).to.be.true;
       app.stop();
-      expect(stubClearInterval.called).to.be.false;
+      expect(frameScheduler.cancel.calledWith(42)).to.be.true;
+    });
+
+    it("should do nothing if it isn't running", () => {
+      expect(() => app.stop()).to.not.throw();
+    });
+
+    it("should be paused unless running at a speed above 0", () => {
+      expect(app.paused).to.be.true;
+      app.run();
+      expect(app.paused).to.be.false;
+      app.setSpeed(0);
+      expect(app.paused).to.be.true;
+      app.setSpeed(1);
+      app.stop();
+      expect(app.paused).to.be.true;
+    });
+
+    it("should fire paused and resumed events", () => {
+      const paused = spy();
+      const resumed = spy();
+      app.addListener("paused", paused);
+      app.addListener("resumed", resumed);
+
+      app.run();
+      expect(resumed.callCount).to.equal(1);
+      app.setSpeed(0);
+      expect(paused.callCount).to.equal(1);
+      app.stop();
+      expect(paused.callCount).to.equal(1);
+      app.setSpeed(2);
+      expect(resumed.callCount).to.equal(1);
+      app.run();
+      expect(resumed.callCount).to.equal(2);
+      app.stop();
+      expect(paused.callCount).to.equal(2);
+    });
+
+    it("should stop running ticks when a listener stops it mid-frame", () => {
+      let ticks = 0;
+      app.step.restore();
+      stub(app, "step", () => {
+        if (++ticks === 3) app.stop();
+      });
+      app.setSpeed(10);
+      app.run();
+      clock.tick(1000);
+      expect(app.step.callCount).to.equal(3);
+    });
+  });
+
+  describe("save and load", () => {
+    let gridRadius, creatureRate;
+
+    const createApp = () => new App(new World(), new HexGrid(config.core.gridRadius));
+    const steps = (app, count) => {
+      for (let i = 0; i < count; i++) {
+        app.step();
+      }
+    };
+
+    beforeEach(() => {
+      systems.forEach((system, i) => { system.name = "fake" + (i + 1); });
+      ({ gridRadius } = config.core);
+      ({ creatureRate } = config.creatures);
+      config.core.gridRadius = 4;
+      config.creatures.creatureRate = 0.3;
+    });
+
+    afterEach(() => {
+      config.core.gridRadius = gridRadius;
+      config.creatures.creatureRate = creatureRate;
+    });
+
+    it("resumes a simulation from a snapshot exactly where it left off", () => {
+      const original = createApp();
+      original.world.addEntities(original.grid.buildTiles());
+      original.initialize(createPlugins(), 7);
+      steps(original, 10);
+      const snapshot = JSON.parse(JSON.stringify(original.save()));
+      steps(original, 10);
+      const expected = JSON.stringify(original.save());
+
+      // Loading restores the saved config too
+      config.creatures.creatureRate = 0.9;
+      const resumed = createApp();
+      resumed.load(snapshot, createPlugins());
+      expect(config.creatures.creatureRate).to.equal(0.3);
+      expect(resumed.clock.tick).to.equal(10);
+      steps(resumed, 10);
+
+      expect(resumed.world.getEntitiesWith("creature")).to.not.be.empty;
+      expect(JSON.stringify(resumed.save())).to.equal(expected);
+    });
+
+    it("loads a snapshot into an app that is already running", () => {
+      const original = createApp();
+      original.world.addEntities(original.grid.buildTiles());
+      original.initialize(createPlugins(), 7);
+      steps(original, 5);
+      const snapshot = JSON.parse(JSON.stringify(original.save()));
+      steps(original, 5);
+      const expected = JSON.stringify(original.save());
+
+      const resumed = createApp();
+      resumed.world.addEntities(resumed.grid.buildTiles());
+      const plugins = createPlugins();
+      resumed.initialize(plugins, 8);
+      steps(resumed, 3);
+      const { neurons } = resumed;
+      resumed.load(snapshot, plugins);
+      expect(resumed.neurons).to.eql(neurons);
+      steps(resumed, 5);
+
+      expect(JSON.stringify(resumed.save())).to.equal(expected);
+    });
+
+    it("throws given a snapshot of a grid of another radius", () => {
+      const original = createApp();
+      original.initialize(createPlugins(), 7);
+      const snapshot = JSON.parse(JSON.stringify(original.save()));
+
+      const loaded = new App(new World(), new HexGrid(5));
+      expect(() => loaded.load(snapshot, createPlugins())).to.throw(Error,
+        "App: the snapshot's grid radius 4 doesn't match this app's grid radius 5");
+      expect(loaded.plugins).to.be.undefined;
+    });
+
+    it("loads the enabled state and state of every system", () => {
+      const state = { answer: 42 };
+      systems[1].save = () => state;
+      systems.forEach((system) => spy(system, "load"));
+      world.save = () => ({ entities: [] });
+      world.load = spy();
+      plugins[1].enabled = false;
+      app.initialize(plugins, 1);
+      app.disableSystem("fake9");
+      app.random.integer(0, 10);
+      app.step();
+      const snapshot = JSON.parse(JSON.stringify(app.save()));
+
+      plugins.forEach((plugin) => { plugin.enabled = true; });
+      systems.forEach((system) => { system.enabled = true; });
+      const loaded = new App(world, grid, paper);
+      loaded.load(snapshot, plugins);
+
+      expect(loaded.clock.tick).to.equal(1);
+      expect(loaded.random.integer(0, 1000)).to.equal(app.random.integer(0, 1000));
+      expect(plugins[1].enabled).to.be.false;
+      expect(systems[8].enabled).to.be.false;
+      expect(systems[1].load.calledWith(loaded, state)).to.be.true;
+      // Systems that were never initialized aren't loaded either
+      expect(systems[3].load.called).to.be.false;
+      expect(world.load.calledWith(snapshot.world)).to.be.true;
+    });
+
+    it("throws given something other than a snapshot of a supported version", () => {
+      expect(() => app.load({}, plugins)).to.throw(Error, /not a Genetic Sandbox snapshot/);
+      expect(() => app.load({ format: "genetic-sandbox/snapshot", version: 99 }, plugins))
+        .to.throw(Error, /unsupported snapshot version 99/);
+    });
+
+    it("throws given a snapshot of a plugin that's missing", () => {
+      world.save = () => ({});
+      app.initialize(plugins);
+      const snapshot = app.save();
+      expect(() => new App(world, grid, paper).load(snapshot, plugins.slice(1)))
+        .to.throw(Error, /plugin fake, which is missing/);
+    });
+
+    describe("given a snapshot that can't be loaded", () => {
+      let snapshot, loaded;
+
+      beforeEach(() => {
+        world.save = () => ({ entities: [] });
+        world.load = spy();
+        plugins[0].config.answer = 42;
+        app.initialize(plugins);
+        snapshot = JSON.parse(JSON.stringify(app.save()));
+        plugins[0].config.answer = 0;
+        plugins[1].enabled = false;
+        loaded = new App(world, grid, paper);
+      });
+
+      afterEach(() => {
+        // Nothing of the snapshot was applied
+        expect(plugins[0].config.answer).to.equal(0);
+        expect(plugins[1].enabled).to.be.false;
+        systems.forEach((system) => {
+          expect(system.initialize.calledOnce).to.be.true;
+        });
+      });
+
+      it("throws given a snapshot of a system that's missing", () => {
+        snapshot.systems[0].name = "fake0";
+        expect(() => loaded.load(snapshot, plugins)).to.throw(Error, /system fake0, which is missing/);
+        expect(world.load.called).to.be.false;
+      });
+
+      it("throws if a system rejects its saved state", () => {
+        stub(systems[4], "validate").throws(new Error("FakeSystem: no way"));
+        expect(() => loaded.load(snapshot, plugins)).to.throw(Error, /no way/);
+        expect(systems[4].validate.calledWith(loaded)).to.be.true;
+        expect(world.load.called).to.be.false;
+      });
+
+      it("throws if the world can't be restored", () => {
+        world.load = stub().throws(new Error("Serializable: unknown ctor"));
+        expect(() => loaded.load(snapshot, plugins)).to.throw(Error, /unknown ctor/);
+      });
     });
   });
 });
@@ -0,0 +1,37 @@
+import Clock from "./Clock";
+import Serializable from "./util/Serializable";
+import { expect } from "chai";
+
+describe("Clock", () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = new Clock();
+  });
+
+  it("should start before the first tick, at generation 0", () => {
+    expect(clock.tick).to.equal(0);
+    expect(clock.generation).to.equal(0);
+  });
+
+  it("should advance to the next tick", () => {
+    expect(clock.advance()).to.equal(1);
+    expect(clock.advance()).to.equal(2);
+    expect(clock.tick).to.equal(2);
+  });
+
+  it("should keep the highest generation recorded", () => {
+    clock.recordGeneration(2);
+    clock.recordGeneration(1);
+    expect(clock.generation).to.equal(2);
+  });
+
+  it("can be serialized and restored", () => {
+    clock.advance();
+    clock.recordGeneration(3);
+    const restored = Serializable.restore(clock.serialize());
+    expect(restored).to.be.an.instanceof(Clock);
+    expect(restored.tick).to.equal(1);
+    expect(restored.generation).to.equal(3);
+  });
+});
@@ -1,13 +1,31 @@
-import core from "./plugins/core";
-import plants from "./plugins/plants";
-import creatures from "./plugins/creatures";
+import createCorePlugin from "./plugins/core";
+import createPlantsPlugin from "./plugins/plants";
+import createCreaturesPlugin from "./plugins/creatures";
 
-/* Here is where you can add your plugin! */
-export const plugins = [
-  core,
-  plants,
-  creatures
-];
+/**
+ * Creates an instance of every plugin, for an app of its own. Systems keep
+ * state for the app they run in, so apps running side by side, such as
+ * parallel experiments in one process, each need their own plugins. Every
+ * instance of a plugin shares the same config, though.
+ * @example
+ * const app = new App(world, grid);
+ * app.initialize(createPlugins(), seed);
+ * @returns {Plugin[]} the plugins
+ */
+export function createPlugins() {
+  /* Here is where you can add your plugin! */
+  return [
+    createCorePlugin(),
+    createPlantsPlugin(),
+    createCreaturesPlugin()
+  ];
+}
+
+/**
+ * An instance of every plugin, for the app running on the page
+ * @type {Plugin[]}
+ */
+export const plugins = createPlugins();
 
 /**
  * An aggregation of all plugin configuration options, and the main interface
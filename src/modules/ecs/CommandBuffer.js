@@ -0,0 +1,135 @@
+/**
+ * A queue of changes to the entities of a {@link World} that are applied
+ * together at a well-defined point, rather than immediately. Systems queue
+ * their changes here instead of changing the world while iterating over its
+ * entities, and the App flushes the queue after every phase of a tick.
+ * @see {@link World#commands}
+ */
+class CommandBuffer {
+  /**
+   * Constructs a new, empty CommandBuffer
+   */
+  constructor() {
+    /**
+     * Queued commands in the order they were queued, each a function taking
+     * the world to apply it to
+     * @private
+     * @type {Function[]}
+     */
+    this._commands = [];
+
+    /**
+     * Every entity queued for addition, in the order they were queued
+     * @private
+     * @type {Entity[]}
+     */
+    this._additions = [];
+
+    /**
+     * Map of entity ID to entity for every entity queued for removal
+     * @private
+     * @type {Object}
+     */
+    this._removals = {};
+  }
+
+  /**
+   * Number of commands currently queued
+   * @type {number}
+   */
+  get length() {
+    return this._commands.length;
+  }
+
+  /**
+   * Queues the given entity to be added to the world
+   * @example
+   * world.commands.addEntity(buildCreature(dna, coord));
+   * @param {Entity} entity - the entity to add
+   */
+  addEntity(entity) {
+    this._additions.push(entity);
+    this._commands.push((world) => world.addEntity(entity));
+  }
+
+  /**
+   * Queues the given entity to be removed from the world
+   * @example
+   * world.commands.removeEntity(creature);
+   * @param {Entity} entity - the entity to remove
+   */
+  removeEntity(entity) {
+    this._removals[entity.id] = entity;
+    this._commands.push((world) => world.removeEntity(entity));
+  }
+
+  /**
+   * Queues the given component to be added to the given entity
+   * @param {Entity} entity - the entity to add the component to
+   * @param {Component} component - the component instance to add
+   */
+  addComponent(entity, component) {
+    this._commands.push(() => entity.addComponent(component));
+  }
+
+  /**
+   * Queues the named component to be removed from the given entity
+   * @param {Entity} entity - the entity to remove the component from
+   * @param {string} name - name of the component to remove
+   */
+  removeComponent(entity, name) {
+    this._commands.push(() => entity.removeComponent(name));
+  }
+
+  /**
+   * Whether the given entity is queued for removal. Systems should skip such
+   * entities, as they are as good as gone.
+   * @example
+   * world.getEntitiesWith("plant").filter((plant) => !world.commands.isRemoving(plant));
+   * @param {Entity} entity - the entity to check
+   * @returns {boolean} true if the entity is queued for removal
+   */
+  isRemoving(entity) {
+    return this._removals.hasOwnProperty(entity.id);
+  }
+
+  /**
+   * Returns every entity queued for addition. Systems that place entities
+   * should treat these as already in the world, as they will be once the
+   * queue is flushed.
+   * @example
+   * world.commands.getAdditions().filter((entity) => entity.hasComponent("creature"));
+   * @returns {Entity[]} the entities queued for addition, in the order they
+   * were queued
+   */
+  getAdditions() {
+    return this._additions.slice();
+  }
+
+  /**
+   * Applies every queued command to the given world in the order they were
+   * queued, then empties the queue. Commands queued while flushing are applied
+   * as part of the same flush.
+   * @param {World} world - the world to apply the commands to
+   */
+  flush(world) {
+    for (let i = 0; i < this._commands.length; i++) {
+      this._commands[i](world);
+    }
+
+    this._commands = [];
+    this._additions = [];
+    this._removals = {};
+  }
+
+  /**
+   * Discards every queued command without applying it
+   */
+  clear() {
+    this._commands = [];
+    this._additions = [];
+    this._removals = {};
+  }
+}
+
+export default CommandBuffer;
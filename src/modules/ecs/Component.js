@@ -24,6 +24,16 @@ class Component extends Serializable {
       throw new TypeError("Cannot construct Component instances directly");
     }
   }
+
+  /**
+   * Hook called when a world is loaded from a save, once every component of
+   * the entity this component belongs to has been restored. Override it to
+   * rebuild state that isn't serialized, such as state derived from other
+   * components.
+   * @param {Entity} entity - the entity this component belongs to
+   */
+  onRestore(entity) {
+  }
 }
 
 export default Component;
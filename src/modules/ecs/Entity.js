@@ -15,7 +15,8 @@ class Entity extends EventEmitter {
     super();
 
     /**
-     * Unique ID of this entity
+     * ID of this entity, unique within the world it was added to. Until then,
+     * the ID is unique among every entity created.
      * @type {number}
      */
     this.id = Entity._id++;
@@ -39,6 +40,14 @@ class Entity extends EventEmitter {
     return this.hasComponent(name) ? this._components[name] : null;
   }
 
+  /**
+   * Returns every component of this entity
+   * @returns {Component[]} array of components, in the order they were added
+   */
+  getComponents() {
+    return Object.keys(this._components).map((name) => this._components[name]);
+  }
+
   /**
    * Returns true if this entity has the given component, false otherwise
    * @param {string} name - the name of the component to check for
@@ -93,7 +102,8 @@ class Entity extends EventEmitter {
 }
 
 /**
-* Counter providing unique IDs to each new entity
+* Counter providing unique IDs to each new entity, until a world gives it an
+* ID of its own
 * @private
 * @type {number}
 */
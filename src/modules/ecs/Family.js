@@ -1,32 +1,65 @@
+import EventEmitter from "wolfy87-eventemitter";
+
 /**
- * A collection of entities containing all of the specified components
+ * A collection of entities matching a query on their components: entities
+ * must contain all of the query's required components, none of its excluded
+ * components, and at least one of its optional components if it has any
+ * @extends EventEmitter
  * @see {Entity}
  * @see {Component}
  */
-class Family {
+class Family extends EventEmitter {
   /**
    * Creates a new family matching entities containing all of the given
-   * components
+   * components, or matching the given query
    * @example
    * const family = new Family(["creature", "plant"]);
-   * @param {string[]} componentNames - the names of the components that an
-   * entity must contain all of to be included in this family
+   * @example
+   * const family = new Family({ all: ["creature"], none: ["dead"], any: ["plant", "corpse"] });
+   * @param {string[]|Object} query - the names of the components that an
+   * entity must contain all of to be included in this family, or a query
+   * @param {string[]} [query.all] - the names of the components that an entity
+   * must contain all of
+   * @param {string[]} [query.none] - the names of the components that an
+   * entity must contain none of
+   * @param {string[]} [query.any] - the names of the components that an entity
+   * must contain at least one of, unless empty
    */
-  constructor(componentNames) {
+  constructor(query) {
+    super();
+
+    const { all = [], none = [], any = [] } = Array.isArray(query) ? { all: query } : query;
+
     /**
      * The names of the components that an entity must contain all of to be
      * included in this family
      * @private
      * @type {string[]}
      */
-    this._componentNames = componentNames;
+    this._componentNames = all;
+
+    /**
+     * The names of the components that an entity must contain none of to be
+     * included in this family
+     * @private
+     * @type {string[]}
+     */
+    this._excludedNames = none;
 
     /**
-     * Hash key representation of this family. Two families that require
-     * the same components of their entities will hash to the same value.
+     * The names of the components that an entity must contain at least one of
+     * to be included in this family. Ignored if empty.
+     * @private
+     * @type {string[]}
+     */
+    this._optionalNames = any;
+
+    /**
+     * Hash key representation of this family. Two families with the same
+     * query will hash to the same value.
      * @type {string}
      */
-    this.hash = Family.hashComponentNames(this._componentNames);
+    this.hash = Family.hashQuery({ all, none, any });
 
     /**
      * Map of entity IDs to entities
@@ -37,24 +70,43 @@ class Family {
   }
 
   /**
-   * Adds the given entity to this family if it contains all of its specified
-   * components
+   * Whether the given entity matches the query of this family
+   * @example
+   * const family = new Family({ all: ["creature"], none: ["dead"] });
+   * family.matches(myEntity);
+   * @param {Entity} entity - the entity to test
+   * @returns {boolean} true if the entity matches
+   */
+  matches(entity) {
+    const has = (name) => entity.hasComponent(name);
+    return this._componentNames.every(has) &&
+           !this._excludedNames.some(has) &&
+           (this._optionalNames.length === 0 || this._optionalNames.some(has));
+  }
+
+  /**
+   * Adds the given entity to this family if it matches the query of this
+   * family
    * @example
    * const myEntity = new Entity();
    * myEntity.addComponent(new Plant(10));
    * const family = new Family(["plant"]);
    * family.addEntityIfMatch(myEntity);
+   * @fires Family#entityAdded
    * @param {Entity} entity - the entity to add
    */
   addEntityIfMatch(entity) {
-    if (!this._entities.hasOwnProperty(entity.id)) {
-      let matches = this._componentNames.every((name) => {
-        return entity.hasComponent(name);
-      });
+    if (!this._entities.hasOwnProperty(entity.id) && this.matches(entity)) {
+      this._entities[entity.id] = entity;
 
-      if (matches) {
-        this._entities[entity.id] = entity;
-      }
+      /**
+       * Fired when an entity joins this family
+       * @event Family#entityAdded
+       * @type {object}
+       * @property {Family} family - the family that was joined
+       * @property {Entity} entity - the entity that joined
+       */
+      this.emitEvent("entityAdded", [{ family: this, entity }]);
     }
   }
 
@@ -66,11 +118,21 @@ class Family {
    * const family = new Family(["plant"]);
    * family.addEntityIfMatch(myEntity);
    * family.removeEntity(myEntity);
+   * @fires Family#entityRemoved
    * @param {Entity} entity - the entity to remove
    */
   removeEntity(entity) {
     if (this._entities.hasOwnProperty(entity.id)) {
       delete this._entities[entity.id];
+
+      /**
+       * Fired when an entity leaves this family
+       * @event Family#entityRemoved
+       * @type {object}
+       * @property {Family} family - the family that was left
+       * @property {Entity} entity - the entity that left
+       */
+      this.emitEvent("entityRemoved", [{ family: this, entity }]);
     }
   }
 
@@ -88,10 +150,29 @@ class Family {
     });
   }
 
+  /**
+   * Event handler to be called when a component is added to an entity. If the
+   * entity now matches this family it is added to the family, and if the
+   * component added is excluded by this family the entity is removed from it.
+   * @example
+   * myEntity.addListener("componentAdded", family.onComponentAdded.bind(family));
+   * @param {Object} event - event object
+   * @param {Entity} event.entity - the entity to which the component was added
+   * @param {Component} event.component - the component that was added
+   */
+  onComponentAdded({ entity, component }) {
+    if (this._excludedNames.includes(component.name)) {
+      this.removeEntity(entity);
+    } else {
+      this.addEntityIfMatch(entity);
+    }
+  }
+
   /**
    * Event handler to be called when a component is removed from an entity.
    * If the component removed was required to qualify for this family,
-   * the entity is removed from the family.
+   * the entity is removed from the family. If it was excluded by this family,
+   * the entity may now qualify for it.
    * @example
    * myEntity.addListener("componentRemoved", family.onComponentRemoved.bind(family));
    * @param {Object} event - event object
@@ -100,8 +181,13 @@ class Family {
    * @param {Component} event.component - the component that was removed
    */
   onComponentRemoved({ entity, component }) {
-    if (this._componentNames.includes(component.name)) {
-      this.removeEntity(entity);
+    if (this._componentNames.includes(component.name) ||
+        this._optionalNames.includes(component.name)) {
+      if (!this.matches(entity)) {
+        this.removeEntity(entity);
+      }
+    } else if (this._excludedNames.includes(component.name)) {
+      this.addEntityIfMatch(entity);
     }
   }
 
@@ -116,6 +202,28 @@ class Family {
   static hashComponentNames(componentNames) {
     return "$" + componentNames.sort().join(",");
   }
+
+  /**
+   * Hash key representation of a query. A query with only required components
+   * hashes to the same value as the array of those component names.
+   * @example
+   * Family.hashQuery({ all: ["b", "a"], none: ["c"] }); // "$a,b!c"
+   * @param {Object} query - the query
+   * @param {string[]} [query.all] - names of the required components
+   * @param {string[]} [query.none] - names of the excluded components
+   * @param {string[]} [query.any] - names of the optional components
+   * @returns {string} hash key representation of the query
+   */
+  static hashQuery({ all = [], none = [], any = [] }) {
+    let hash = Family.hashComponentNames(all.slice());
+    if (none.length > 0) {
+      hash += "!" + none.slice().sort().join(",");
+    }
+    if (any.length > 0) {
+      hash += "?" + any.slice().sort().join(",");
+    }
+    return hash;
+  }
 }
 
 export default Family;
@@ -0,0 +1,111 @@
+/**
+ * Computes the order [Systems]{@link System} run in during each phase of a
+ * tick from their ordering options. Before and after constraints always hold;
+ * among the systems free to run next, the one with the highest priority runs
+ * first, and systems of equal priority keep the order they were given in.
+ *
+ * Every phase is scheduled separately. A constraint given as a name holds in
+ * every phase, while one given as { name, phases } only holds in the phases
+ * it lists, so that two systems may run in one order while updating and the
+ * other while attempting actions.
+ * @example
+ * // Eats after moving while updating, in whatever order in the other phases
+ * { name: "EatingProcessor", after: [{ name: "MovementProcessor", phases: ["update"] }] }
+ * @see {@link System}
+ */
+class Scheduler {
+  /**
+   * Sorts the given systems into the order they should run in during the
+   * given phase. Constraints naming systems that aren't among the given ones
+   * are ignored, so plugins may refer to systems of plugins that aren't
+   * loaded.
+   * @example
+   * const order = new Scheduler().schedule(systems, "update");
+   * @param {System[]} systems - the systems to schedule, in their default order
+   * @param {string} [phase] - one of {@link Scheduler.phases}, or nothing to
+   * apply the constraints of every phase at once
+   * @returns {System[]} the systems in the order they should run in
+   * @throws {Error} if a constraint names an unknown phase, or if the
+   * constraints of the systems form a cycle
+   */
+  schedule(systems, phase) {
+    // Map of system name to the indices of all systems with that name
+    const indicesByName = {};
+    systems.forEach((system, i) => {
+      if (!indicesByName.hasOwnProperty(system.name)) {
+        indicesByName[system.name] = [];
+      }
+      indicesByName[system.name].push(i);
+    });
+    const indicesOf = (name) => indicesByName.hasOwnProperty(name) ? indicesByName[name] : [];
+
+    // successors[i] lists the indices of the systems that must run after i
+    const successors = systems.map(() => []);
+    const pending = systems.map(() => 0);
+    const link = (first, then) => {
+      if (first !== then) {
+        successors[first].push(then);
+        pending[then]++;
+      }
+    };
+    // Constraints given as a name hold in every phase
+    const applies = (system, constraint) => {
+      if (typeof constraint === "string") {
+        return true;
+      }
+      constraint.phases.forEach((name) => {
+        if (!Scheduler.phases.includes(name)) {
+          throw new Error("Scheduler: " + system.name + " is ordered in unknown phase " + name);
+        }
+      });
+      return phase === undefined || constraint.phases.includes(phase);
+    };
+    const nameOf = (constraint) => typeof constraint === "string" ? constraint : constraint.name;
+    systems.forEach((system, i) => {
+      system.before.filter((constraint) => applies(system, constraint)).forEach((constraint) => {
+        indicesOf(nameOf(constraint)).forEach((j) => link(i, j));
+      });
+      system.after.filter((constraint) => applies(system, constraint)).forEach((constraint) => {
+        indicesOf(nameOf(constraint)).forEach((j) => link(j, i));
+      });
+    });
+
+    const order = [];
+    let ready = systems.map((system, i) => i).filter((i) => pending[i] === 0);
+
+    while (ready.length > 0) {
+      // Pick the ready system with the highest priority, earliest given first
+      const next = ready.reduce((best, i) => {
+        return systems[i].priority > systems[best].priority ? i : best;
+      });
+      ready = ready.filter((i) => i !== next);
+      order.push(systems[next]);
+
+      successors[next].forEach((i) => {
+        pending[i]--;
+        if (pending[i] === 0) {
+          ready.push(i);
+        }
+      });
+      ready.sort((a, b) => a - b);
+    }
+
+    if (order.length < systems.length) {
+      const cycle = systems.filter((system) => !order.includes(system)).map((system) => system.name);
+      throw new Error("Scheduler: cyclic ordering constraints between systems " + cycle.join(", ") +
+                      (phase === undefined ? "" : " in the " + phase + " phase"));
+    }
+
+    return order;
+  }
+}
+
+/**
+ * The phases systems are scheduled for. Besides the phases of a tick, the
+ * initialize phase orders the lifecycle hooks of systems, such as *reserve()*,
+ * *initialize()*, *save()* and *load()*.
+ * @type {string[]}
+ */
+Scheduler.phases = ["initialize", "update", "sense", "think", "attempt", "draw"];
+
+export default Scheduler;
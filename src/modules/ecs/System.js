@@ -7,10 +7,29 @@
 class System {
   /**
    * System can not be instantiated directly, but instead should be extended
-   * and its instance methods overridden.
+   * and its instance methods overridden. Systems run in every phase in an
+   * order computed by the {@link Scheduler} from their ordering options. A
+   * constraint given as a name holds in every phase, while one given as
+   * { name, phases } only holds in the phases it lists.
+   * @example
+   * class EatingProcessor extends System {
+   *   constructor() {
+   *     super("processor", { name: "EatingProcessor", after: ["MovementProcessor"] });
+   *   }
+   * }
    * @param {string} tag - one of "renderer", "generator", or "processor"
+   * @param {Object} [options={}] - ordering options
+   * @param {string} [options.name] - name other systems refer to this system
+   * by, defaulting to the name of its class. Class names don't survive
+   * minification, so set this for any system others may refer to.
+   * @param {number} [options.priority=0] - systems with a higher priority run
+   * earlier, unless that would break a before or after constraint
+   * @param {Array<string|Object>} [options.before=[]] - systems this system
+   * must run before, each given by name or as { name, phases }
+   * @param {Array<string|Object>} [options.after=[]] - systems this system
+   * must run after, each given by name or as { name, phases }
    */
-  constructor(tag) {
+  constructor(tag, { name, priority = 0, before = [], after = [] } = {}) {
     if (this.constructor === System) {
       throw new TypeError("Cannot construct System instances directly");
     }
@@ -21,6 +40,43 @@ class System {
      * @type {string}
      */
     this.tag = tag;
+
+    /**
+     * Name other systems refer to this system by in their before and after
+     * constraints
+     * @type {string}
+     */
+    this.name = name === undefined ? this.constructor.name : name;
+
+    /**
+     * Systems with a higher priority run earlier, unless that would break a
+     * before or after constraint
+     * @type {number}
+     */
+    this.priority = priority;
+
+    /**
+     * Systems this system must run before, each given by name, or as
+     * { name, phases } to hold only in the listed phases
+     * @type {Array<string|Object>}
+     */
+    this.before = before;
+
+    /**
+     * Systems this system must run after, each given by name, or as
+     * { name, phases } to hold only in the listed phases
+     * @type {Array<string|Object>}
+     */
+    this.after = after;
+
+    /**
+     * True if this system is enabled, false otherwise. A disabled system is
+     * excluded from the processing loop. Toggle it at runtime through
+     * {@link App#enableSystem} and {@link App#disableSystem} so that the
+     * lifecycle hooks are called.
+     * @type {boolean}
+     */
+    this.enabled = true;
   }
 
   /**
@@ -37,6 +93,57 @@ class System {
   initialize(app) {
   }
 
+  /**
+   * Hook called every time this system is enabled at runtime, after
+   * *initialize()* has been called on it at least once
+   * @param {App} app - the currently running GS app
+   */
+  onEnable(app) {
+  }
+
+  /**
+   * Hook called every time this system is disabled at runtime, allowing it to
+   * undo any visible effects it has on the simulation
+   * @param {App} app - the currently running GS app
+   */
+  onDisable(app) {
+  }
+
+  /**
+   * Hook for saving the state this system builds up over the course of the
+   * simulation, for inclusion in a snapshot of the app
+   * @param {App} app - the currently running GS app
+   * @returns {*} the state, ready for JSON.stringify(), or undefined if this
+   * system has none
+   */
+  save(app) {
+  }
+
+  /**
+   * Hook for checking that the state *save()* returned can be loaded into the
+   * given app. Called on every system saved in a snapshot once the systems
+   * of the app have reserved their brain neurons, but before any of the
+   * snapshot is loaded, so that a snapshot that can't be loaded leaves the
+   * app and its config as they were.
+   * @param {App} app - the currently running GS app
+   * @param {*} state - the state returned by save()
+   * @throws {Error} if the state can't be loaded
+   */
+  validate(app, state) {
+  }
+
+  /**
+   * Hook called instead of *initialize()* when the app is loaded from a
+   * snapshot, given the state *save()* returned. Calls *initialize()* by
+   * default, so override it for systems that fill the world with entities
+   * upon initialization, as the loaded world holds those already.
+   * @param {App} app - the currently running GS app
+   * @param {*} state - the state returned by save()
+   */
+  load(app, state) {
+    this.initialize(app);
+  }
+
   /**
    * Hook for updating the state of the world
    * @param {App} app - the currently running GS app
@@ -1,17 +1,25 @@
+import EventEmitter from "wolfy87-eventemitter";
+import Entity from "./Entity";
 import Family from "./Family";
+import CommandBuffer from "./CommandBuffer";
 import CoordEntityIndex from "../util/CoordEntityIndex";
+import HexGrid from "../grid/HexGrid";
+import Serializable from "../util/Serializable";
 
 /**
  * World is a container of all entities in existence, and provides super fast
  * lookup of entities by component
+ * @extends EventEmitter
  * @see {Entity}
  * @see {System}
  */
-class World {
+class World extends EventEmitter {
   /**
    * And on the seventh day...
    */
   constructor() {
+    super();
+
     /**
      * Map of family hash to family instance
      * @private
@@ -27,42 +35,100 @@ class World {
     this._entities = {};
 
     /**
-     * An index mapping coordinates to entities for fast lookup by position
+     * Map of entity ID to the component listeners this world attached to that
+     * entity, so that they can be detached again upon removal
+     * @private
+     * @type {Object}
+     */
+    this._entityListeners = {};
+
+    /**
+     * An index mapping coordinates to entities for fast lookup by position,
+     * kept current as entities are added, removed and moved
      * @private
      * @type {CoordEntityIndex}
      */
     this._coordEntityIndex = new CoordEntityIndex();
+
+    /**
+     * The ID to give the next entity added to this world
+     * @private
+     * @type {number}
+     */
+    this._nextEntityID = 1;
+
+    /**
+     * Queue of deferred changes to this world's entities. Systems should queue
+     * their changes here rather than adding or removing entities while
+     * iterating over them. The queue is applied by calling flush().
+     * @type {CommandBuffer}
+     */
+    this.commands = new CommandBuffer();
   }
 
   /**
-   * Updates the world
+   * Applies every change queued in this world's command buffer
    */
-  update() {
-    this._coordEntityIndex.rebuild(this.getEntities());
+  flush() {
+    this.commands.flush(this);
   }
 
   /**
    * Adds the given entity to this world, or does nothing if that entity
-   * is already in the world
+   * is already in the world. The entity is given the next ID of this world,
+   * so that worlds running side by side number their entities alike.
+   * @fires World#entityAdded
    * @param {Entity} entity - the entity to add
    */
   addEntity(entity) {
-    if (!this._entities.hasOwnProperty(entity.id)) {
-      this._attemptAddToAllFamilies(entity);
+    if (this._entities[entity.id] !== entity) {
+      entity.id = this._nextEntityID++;
+      this._insertEntity(entity);
+    }
+  }
 
-      // Keep the families updated when adding/removing components to/from this
-      // entity
-      entity.addListener("componentAdded", ({ entity }) => {
-        this._attemptAddToAllFamilies(entity);
-      });
-      entity.addListener("componentRemoved", (e) => {
+  /**
+   * Inserts the given entity into this world under the ID it already has
+   * @private
+   * @fires World#entityAdded
+   * @param {Entity} entity - the entity to insert
+   */
+  _insertEntity(entity) {
+    this._attemptAddToAllFamilies(entity);
+
+    // Keep the families updated when adding/removing components to/from this
+    // entity
+    const listeners = {
+      componentAdded: (e) => {
+        if (e.component.name === "coord") {
+          this._indexCoord(e.entity);
+        }
+        for (let key in this._families) {
+          this._families[key].onComponentAdded(e);
+        }
+      },
+      componentRemoved: (e) => {
+        if (e.component.name === "coord") {
+          this._unindexCoord(e.entity, e.component);
+        }
         for (let key in this._families) {
           this._families[key].onComponentRemoved(e);
         }
-      });
+      }
+    };
+    entity.addListeners(listeners);
+    this._indexCoord(entity);
 
-      this._entities[entity.id] = entity;
-    }
+    this._entities[entity.id] = entity;
+    this._entityListeners[entity.id] = listeners;
+
+    /**
+     * Fired when an entity is added to the world
+     * @event World#entityAdded
+     * @type {object}
+     * @property {Entity} entity - the entity that was added
+     */
+    this.emitEvent("entityAdded", [{ entity }]);
   }
 
   /**
@@ -77,21 +143,31 @@ class World {
   }
 
   /**
-   * Removes the given entity from this world
+   * Removes the given entity from this world, or does nothing if that entity
+   * is not in the world
+   * @fires World#entityRemoved
    * @param {Entity} entity - the entity to remove
    */
   removeEntity(entity) {
-    // Clean up the entity's sprite if it has one
-    if (entity.hasComponent("sprite")) {
-      entity.getComponent("sprite").release();
-    }
+    if (this._entities[entity.id] === entity) {
+      for (let key in this._families) {
+        let family = this._families[key];
+        family.removeEntity(entity);
+      }
 
-    for (let key in this._families) {
-      let family = this._families[key];
-      family.removeEntity(entity);
-    }
+      entity.removeListeners(this._entityListeners[entity.id]);
+      this._unindexCoord(entity, entity.getComponent("coord"));
+      delete this._entityListeners[entity.id];
+      delete this._entities[entity.id];
 
-    delete this._entities[entity.id];
+      /**
+       * Fired when an entity is removed from the world
+       * @event World#entityRemoved
+       * @type {object}
+       * @property {Entity} entity - the entity that was removed
+       */
+      this.emitEvent("entityRemoved", [{ entity }]);
+    }
   }
 
   /**
@@ -104,24 +180,123 @@ class World {
     });
   }
 
+  /**
+   * Saves every entity in this world, along with all of their components, to
+   * a plain object ready for JSON.stringify(). Entities are listed in the
+   * order that keeps entities sharing a coordinate in the same order once
+   * loaded, so that a loaded world behaves exactly like this one.
+   * @example
+   * const json = JSON.stringify(world.save());
+   * @returns {Object} the save
+   * @throws {Error} if changes are still queued in the command buffer
+   */
+  save() {
+    if (this.commands.length > 0) {
+      throw new Error("World: can't save while changes are queued in the command buffer");
+    }
+
+    const entities = this._coordEntityIndex.getEntities().concat(this.getEntities().filter((entity) => {
+      return !entity.hasComponent("coord");
+    }));
+
+    return {
+      nextEntityID: this._nextEntityID,
+      entities: entities.map((entity) => {
+        return {
+          id: entity.id,
+          components: entity.getComponents().map((component) => JSON.parse(component.serialize()))
+        };
+      })
+    };
+  }
+
+  /**
+   * Replaces every entity in this world with the entities of a save made by
+   * save(). Entities keep their IDs, and every restored component has its
+   * *onRestore()* hook called once the rest of its entity is restored. The
+   * constructors of all saved components must have been registered under the
+   * names they were saved with, which importing the plugins they belong to
+   * takes care of. Every entity is restored before this world is changed, so
+   * that a save that can't be restored leaves this world as it was.
+   * @example
+   * world.load(JSON.parse(json));
+   * @param {Object} save - a save made by save()
+   * @throws {Error} if a saved component can't be restored
+   */
+  load(save) {
+    const entities = save.entities.map(({ id, components }) => {
+      const entity = new Entity();
+      entity.id = id;
+      const restored = components.map((component) => Serializable.restore(JSON.stringify(component)));
+      restored.forEach((component) => entity.addComponent(component));
+      restored.forEach((component) => component.onRestore(entity));
+      return entity;
+    });
+
+    this.getEntities().forEach((entity) => this.removeEntity(entity));
+    this.commands.clear();
+    this._nextEntityID = save.nextEntityID;
+
+    entities.forEach((entity) => this._insertEntity(entity));
+  }
+
   /**
    * Retrieves an array of all entities that contain ALL of the given components
    * @param {...string} componentNames - The name of a component
    * @returns {Entity[]} the array of entities
    */
   getEntitiesWith(...componentNames) {
-    let familyHash = Family.hashComponentNames(componentNames);
+    return this.getFamily(...componentNames).getEntities();
+  }
+
+  /**
+   * Retrieves an array of all entities matching the given query. Queries are
+   * cached just like the families of getEntitiesWith(), so repeating the same
+   * query every tick is cheap.
+   * @example
+   * world.query({ all: ["creature"], none: ["dead"], any: ["plant", "corpse"] });
+   * @param {Object} query - the query
+   * @param {string[]} [query.all] - names of the components an entity must
+   * contain all of
+   * @param {string[]} [query.none] - names of the components an entity must
+   * contain none of
+   * @param {string[]} [query.any] - names of the components an entity must
+   * contain at least one of, unless empty
+   * @returns {Entity[]} the array of entities
+   */
+  query(query) {
+    return this.getFamily(query).getEntities();
+  }
+
+  /**
+   * Retrieves the family of all entities that contain ALL of the given
+   * components, or that match the given query, creating it if it does not
+   * exist yet. Listen to the family's entityAdded and entityRemoved events to
+   * react to entities joining or leaving it.
+   * @example
+   * world.getFamily("creature", "energy").addListener("entityRemoved", ({ entity }) => {
+   *   // A creature died or lost its energy component
+   * });
+   * @example
+   * world.getFamily({ all: ["creature"], none: ["dead"] });
+   * @param {...string|Object} componentNames - The name of a component, or
+   * a single query as accepted by query()
+   * @returns {Family} the family
+   */
+  getFamily(...componentNames) {
+    const query = typeof componentNames[0] === "object" ? componentNames[0] : { all: componentNames };
+    const familyHash = Family.hashQuery(query);
 
-    // Ensure that a family exists for these component names
+    // Ensure that a family exists for this query
     if (!this._families.hasOwnProperty(familyHash)) {
-      let family = new Family(componentNames);
+      let family = new Family(query);
       this._families[familyHash] = family;
       this.getEntities().forEach((entity) => {
         family.addEntityIfMatch(entity);
       });
     }
 
-    return this._families[familyHash].getEntities();
+    return this._families[familyHash];
   }
 
   /**
@@ -133,6 +308,88 @@ class World {
     return this._coordEntityIndex.findEntitiesAt(coord);
   }
 
+  /**
+   * Retrieves an array of all entities located at most the given number of
+   * tiles away from the given coordinates, optionally only those that contain
+   * ALL of the given components. Entities are ordered by their distance from
+   * the given coordinates.
+   * @example
+   * const visiblePlants = world.getEntitiesWithin(coord, 3, "plant");
+   * @param {Coord} coord - coordinates at the center of the range
+   * @param {number} radius - maximum distance from the center in tiles
+   * @param {...string} componentNames - The name of a component
+   * @returns {Entity[]} the array of entities
+   */
+  getEntitiesWithin(coord, radius, ...componentNames) {
+    return this._getEntitiesAtAll(HexGrid.spiral(coord, radius), componentNames);
+  }
+
+  /**
+   * Retrieves an array of all entities located exactly the given number of
+   * tiles away from the given coordinates, optionally only those that contain
+   * ALL of the given components
+   * @example
+   * const nearbyCreatures = world.getEntitiesInRing(coord, 2, "creature");
+   * @param {Coord} coord - coordinates at the center of the ring
+   * @param {number} radius - distance of the ring from its center in tiles
+   * @param {...string} componentNames - The name of a component
+   * @returns {Entity[]} the array of entities
+   */
+  getEntitiesInRing(coord, radius, ...componentNames) {
+    return this._getEntitiesAtAll(HexGrid.ring(coord, radius), componentNames);
+  }
+
+  /**
+   * Retrieves an array of all entities located at any of the given coordinates
+   * that contain ALL of the given components
+   * @private
+   * @param {Coord[]} coords - coordinates to lookup
+   * @param {string[]} componentNames - names of the required components
+   * @returns {Entity[]} the array of entities
+   */
+  _getEntitiesAtAll(coords, componentNames) {
+    const entities = [];
+    coords.forEach((coord) => {
+      this._coordEntityIndex.findEntitiesAt(coord).forEach((entity) => {
+        if (componentNames.every((name) => entity.hasComponent(name))) {
+          entities.push(entity);
+        }
+      });
+    });
+    return entities;
+  }
+
+  /**
+   * Indexes the given entity by its Coord component, if it has one, and hooks
+   * into that component to keep the index current as the entity moves
+   * @private
+   * @param {Entity} entity - the entity to index
+   */
+  _indexCoord(entity) {
+    const coord = entity.getComponent("coord");
+    this._coordEntityIndex.remove(entity);
+
+    if (coord !== null) {
+      this._coordEntityIndex.add(entity);
+      coord.setMoveHook(() => this._coordEntityIndex.move(entity));
+    }
+  }
+
+  /**
+   * Removes the given entity from the coordinate index and unhooks its Coord
+   * component
+   * @private
+   * @param {Entity} entity - the entity to remove from the index
+   * @param {?Coord} coord - the Coord component of the entity, if any
+   */
+  _unindexCoord(entity, coord) {
+    this._coordEntityIndex.remove(entity);
+
+    if (coord !== null) {
+      coord.setMoveHook(null);
+    }
+  }
+
   /**
    * Attempts to add the given entity to every family
    * @private
@@ -0,0 +1,85 @@
+import CommandBuffer from "./CommandBuffer";
+import World from "./World";
+import Entity from "./Entity";
+import Component from "./Component";
+import { expect } from "chai";
+
+describe("CommandBuffer", () => {
+  let commands, world, entity;
+
+  class CompA extends Component { constructor() { super("a"); } }
+
+  beforeEach(() => {
+    commands = new CommandBuffer();
+    world = new World();
+    entity = new Entity();
+  });
+
+  it("queues entity additions until flushed", () => {
+    commands.addEntity(entity);
+    expect(commands.length).to.equal(1);
+    expect(world.getEntities()).to.have.lengthOf(0);
+
+    commands.flush(world);
+    expect(commands.length).to.equal(0);
+    expect(world.getEntities()).to.eql([entity]);
+  });
+
+  it("keeps track of the entities queued for addition until flushed", () => {
+    const other = new Entity();
+    commands.addEntity(entity);
+    commands.addEntity(other);
+    expect(commands.getAdditions()).to.eql([entity, other]);
+
+    commands.flush(world);
+    expect(commands.getAdditions()).to.eql([]);
+
+    commands.addEntity(entity);
+    commands.clear();
+    expect(commands.getAdditions()).to.eql([]);
+  });
+
+  it("queues entity removals until flushed", () => {
+    world.addEntity(entity);
+    commands.removeEntity(entity);
+    expect(commands.isRemoving(entity)).to.be.true;
+    expect(world.getEntities()).to.have.lengthOf(1);
+
+    commands.flush(world);
+    expect(commands.isRemoving(entity)).to.be.false;
+    expect(world.getEntities()).to.have.lengthOf(0);
+  });
+
+  it("queues component changes until flushed", () => {
+    world.addEntity(entity);
+    commands.addComponent(entity, new CompA());
+    expect(world.getEntitiesWith("a")).to.have.lengthOf(0);
+    commands.flush(world);
+    expect(world.getEntitiesWith("a")).to.eql([entity]);
+
+    commands.removeComponent(entity, "a");
+    expect(world.getEntitiesWith("a")).to.have.lengthOf(1);
+    commands.flush(world);
+    expect(world.getEntitiesWith("a")).to.have.lengthOf(0);
+  });
+
+  it("applies commands in the order they were queued", () => {
+    commands.addEntity(entity);
+    commands.addComponent(entity, new CompA());
+    commands.removeEntity(entity);
+    commands.flush(world);
+
+    expect(world.getEntities()).to.have.lengthOf(0);
+    expect(entity.hasComponent("a")).to.be.true;
+  });
+
+  it("can discard every queued command", () => {
+    commands.addEntity(entity);
+    commands.removeEntity(entity);
+    commands.clear();
+    commands.flush(world);
+
+    expect(commands.isRemoving(entity)).to.be.false;
+    expect(world.getEntities()).to.have.lengthOf(0);
+  });
+});
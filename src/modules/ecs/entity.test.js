@@ -60,6 +60,17 @@ describe("Entity", () => {
     expect(entity.getComponent("d")).to.be.null;
   });
 
+  it("can return all of its components", () => {
+    const entity = new Entity();
+    const compA = new CompA();
+    const compB = new CompB();
+    entity.addComponent(compA);
+    entity.addComponent(compB);
+
+    expect(entity.getComponents()).to.eql([compA, compB]);
+    expect(new Entity().getComponents()).to.eql([]);
+  });
+
   it("should emit an event when adding a component", () => {
     const entity = new Entity();
     const component = new CompA();
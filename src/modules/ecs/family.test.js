@@ -2,6 +2,7 @@ import Family from "./Family";
 import Entity from "./Entity";
 import Component from "./Component";
 import { expect } from "chai";
+import { spy } from "sinon";
 
 describe("Family", () => {
   let entity1, entity2, entity3;
@@ -58,6 +59,26 @@ describe("Family", () => {
     expect(family._entities[entity3.id]).to.eql(entity3);
   });
 
+  it("emits entityAdded and entityRemoved when its membership changes", () => {
+    const family = new Family(["a", "b"]);
+    const added = spy();
+    const removed = spy();
+    family.addListener("entityAdded", added);
+    family.addListener("entityRemoved", removed);
+
+    family.addEntityIfMatch(entity1);
+    family.addEntityIfMatch(entity1);
+    family.addEntityIfMatch(entity3);
+    expect(added.calledOnce).to.be.true;
+    expect(added.firstCall.args[0]).to.eql({ family, entity: entity1 });
+
+    family.removeEntity(entity1);
+    family.removeEntity(entity1);
+    family.removeEntity(entity3);
+    expect(removed.calledOnce).to.be.true;
+    expect(removed.firstCall.args[0]).to.eql({ family, entity: entity1 });
+  });
+
   it("can return an array of all its entities", () => {
     const family = new Family(["a"]);
     family.addEntityIfMatch(entity1);
@@ -93,7 +114,8 @@ describe("Family", () => {
     family.addEntityIfMatch(entity2);
     expect(family.getEntities()).to.include.members([entity2]);
 
-    // Adding a component can never disqualify an entity from a family
+    // Adding a component never disqualifies an entity from a family that
+    // excludes no components
     entity2.addComponent(new CompC());
 
     expect(family.getEntities()).to.include.members([entity2]);
@@ -106,4 +128,56 @@ describe("Family", () => {
     family = new Family(["b", "a", "d", "r", "k"]);
     expect(family.hash).to.equal("$a,b,d,k,r");
   });
+
+  describe("with a query", () => {
+    it("matches entities with all required, none of the excluded, and any of the optional components", () => {
+      let family = new Family({ all: ["a"], none: ["c"] });
+      expect(family.matches(entity1)).to.be.false;
+      expect(family.matches(entity2)).to.be.true;
+      expect(family.matches(entity3)).to.be.true;
+
+      family = new Family({ all: ["a"], any: ["b", "c"] });
+      expect(family.matches(entity1)).to.be.true;
+      expect(family.matches(entity2)).to.be.true;
+      expect(family.matches(entity3)).to.be.false;
+    });
+
+    it("updates its membership as excluded components come and go", () => {
+      const family = new Family({ all: ["a"], none: ["c"] });
+      entity2.addListener("componentAdded", family.onComponentAdded.bind(family));
+      entity2.addListener("componentRemoved", family.onComponentRemoved.bind(family));
+      family.addEntityIfMatch(entity2);
+      expect(family.getEntities()).to.eql([entity2]);
+
+      entity2.addComponent(new CompC());
+      expect(family.getEntities()).to.have.lengthOf(0);
+
+      entity2.removeComponent("c");
+      expect(family.getEntities()).to.eql([entity2]);
+    });
+
+    it("updates its membership as optional components come and go", () => {
+      const family = new Family({ any: ["b", "c"] });
+      entity3.addListener("componentAdded", family.onComponentAdded.bind(family));
+      entity3.addListener("componentRemoved", family.onComponentRemoved.bind(family));
+      family.addEntityIfMatch(entity3);
+      expect(family.getEntities()).to.have.lengthOf(0);
+
+      entity3.addComponent(new CompB());
+      entity3.addComponent(new CompC());
+      expect(family.getEntities()).to.eql([entity3]);
+
+      entity3.removeComponent("b");
+      expect(family.getEntities()).to.eql([entity3]);
+      entity3.removeComponent("c");
+      expect(family.getEntities()).to.have.lengthOf(0);
+    });
+
+    it("can be hashed", () => {
+      expect(new Family({ all: ["b", "a"] }).hash).to.equal(new Family(["a", "b"]).hash);
+      expect(new Family({ all: ["a"], none: ["c", "b"] }).hash).to.equal("$a!b,c");
+      expect(new Family({ all: ["a"], any: ["c", "b"] }).hash).to.equal("$a?b,c");
+      expect(new Family({ none: ["a"], any: ["b"] }).hash).to.equal("$!a?b");
+    });
+  });
 });
@@ -0,0 +1,113 @@
+import Scheduler from "./Scheduler";
+import System from "./System";
+import { plugins } from "../config";
+import { expect } from "chai";
+
+describe("Scheduler", () => {
+  let scheduler;
+
+  class FakeSystem extends System {
+    constructor(name, options = {}) {
+      super("processor", Object.assign({ name }, options));
+    }
+  }
+
+  const namesOf = (systems) => systems.map((system) => system.name);
+
+  beforeEach(() => {
+    scheduler = new Scheduler();
+  });
+
+  it("keeps the given order of unconstrained systems", () => {
+    const systems = [new FakeSystem("a"), new FakeSystem("b"), new FakeSystem("c")];
+    expect(scheduler.schedule(systems)).to.eql(systems);
+  });
+
+  it("runs systems with a higher priority earlier", () => {
+    const systems = [
+      new FakeSystem("a"),
+      new FakeSystem("b", { priority: 1 }),
+      new FakeSystem("c", { priority: -1 }),
+      new FakeSystem("d", { priority: 1 })
+    ];
+    expect(namesOf(scheduler.schedule(systems))).to.eql(["b", "d", "a", "c"]);
+  });
+
+  it("runs systems before and after the systems they name", () => {
+    const systems = [
+      new FakeSystem("eat", { after: ["move"] }),
+      new FakeSystem("age"),
+      new FakeSystem("move"),
+      new FakeSystem("sense", { before: ["move", "eat"] })
+    ];
+    expect(namesOf(scheduler.schedule(systems))).to.eql(["age", "sense", "move", "eat"]);
+  });
+
+  it("lets constraints override priorities", () => {
+    const systems = [
+      new FakeSystem("a", { priority: 10, after: ["b"] }),
+      new FakeSystem("b")
+    ];
+    expect(namesOf(scheduler.schedule(systems))).to.eql(["b", "a"]);
+  });
+
+  it("ignores constraints naming systems that aren't scheduled", () => {
+    const systems = [new FakeSystem("a", { after: ["missing"] }), new FakeSystem("b")];
+    expect(namesOf(scheduler.schedule(systems))).to.eql(["a", "b"]);
+  });
+
+  it("throws an error naming the systems caught in a cycle", () => {
+    const systems = [
+      new FakeSystem("a", { after: ["c"] }),
+      new FakeSystem("b", { after: ["a"] }),
+      new FakeSystem("c", { after: ["b"] }),
+      new FakeSystem("d")
+    ];
+    expect(() => scheduler.schedule(systems)).to.throw(Error, /cyclic.*a, b, c$/);
+    expect(() => scheduler.schedule(systems, "sense")).to.throw(Error, /cyclic.*a, b, c in the sense phase$/);
+  });
+
+  it("applies constraints naming phases only in those phases", () => {
+    const systems = [
+      new FakeSystem("a", { after: [{ name: "b", phases: ["update", "attempt"] }] }),
+      new FakeSystem("b"),
+      new FakeSystem("c", { before: [{ name: "a", phases: ["sense"] }] })
+    ];
+    expect(namesOf(scheduler.schedule(systems, "update"))).to.eql(["b", "a", "c"]);
+    expect(namesOf(scheduler.schedule(systems, "attempt"))).to.eql(["b", "a", "c"]);
+    expect(namesOf(scheduler.schedule(systems, "sense"))).to.eql(["b", "c", "a"]);
+    expect(namesOf(scheduler.schedule(systems, "think"))).to.eql(["a", "b", "c"]);
+  });
+
+  it("applies constraints given by name in every phase", () => {
+    const systems = [new FakeSystem("a", { after: ["b"] }), new FakeSystem("b")];
+    Scheduler.phases.forEach((phase) => {
+      expect(namesOf(scheduler.schedule(systems, phase))).to.eql(["b", "a"]);
+    });
+  });
+
+  it("allows systems to run in opposite orders in different phases", () => {
+    const systems = [
+      new FakeSystem("a", { after: [{ name: "b", phases: ["update"] }] }),
+      new FakeSystem("b", { after: [{ name: "a", phases: ["attempt"] }] })
+    ];
+    expect(namesOf(scheduler.schedule(systems, "update"))).to.eql(["b", "a"]);
+    expect(namesOf(scheduler.schedule(systems, "attempt"))).to.eql(["a", "b"]);
+  });
+
+  it("throws given a constraint naming an unknown phase", () => {
+    const systems = [new FakeSystem("a", { after: [{ name: "b", phases: ["digest"] }] }), new FakeSystem("b")];
+    expect(() => scheduler.schedule(systems, "update")).to.throw(Error, "a is ordered in unknown phase digest");
+  });
+
+  it("can schedule the systems of the built-in plugins", () => {
+    const systems = plugins.reduce((all, plugin) => all.concat(plugin.systems), []);
+    const order = namesOf(scheduler.schedule(systems));
+
+    expect(order).to.have.lengthOf(systems.length);
+    expect(order.indexOf("BackgroundRenderer")).to.be.below(order.indexOf("SpriteRenderer"));
+    expect(order.indexOf("MovementProcessor")).to.be.below(order.indexOf("EatingProcessor"));
+    expect(order.indexOf("EatingProcessor")).to.be.below(order.indexOf("AgingProcessor"));
+    expect(order.indexOf("AgingProcessor")).to.be.below(order.indexOf("SpeciationProcessor"));
+  });
+});
@@ -6,4 +6,26 @@ describe("System", () => {
     expect(System instanceof Function).to.be.true;
     expect(() => new System()).to.throw(TypeError);
   });
+
+  it("should default to being named after its class with no ordering constraints", () => {
+    class MySystem extends System {}
+    const system = new MySystem("processor");
+
+    expect(system.tag).to.equal("processor");
+    expect(system.name).to.equal("MySystem");
+    expect(system.priority).to.equal(0);
+    expect(system.before).to.eql([]);
+    expect(system.after).to.eql([]);
+    expect(system.enabled).to.be.true;
+  });
+
+  it("should accept a name and ordering constraints", () => {
+    class MySystem extends System {}
+    const system = new MySystem("processor", { name: "mine", priority: 2, before: ["a"], after: ["b"] });
+
+    expect(system.name).to.equal("mine");
+    expect(system.priority).to.equal(2);
+    expect(system.before).to.eql(["a"]);
+    expect(system.after).to.eql(["b"]);
+  });
 });
@@ -2,12 +2,11 @@ import World from "./World";
 import Entity from "./Entity";
 import Component from "./Component";
 import Coord from "../plugins/core/components/Coord";
-import Sprite from "../plugins/core/components/Sprite";
 import { expect } from "chai";
-import { stub, spy } from "sinon";
+import { spy } from "sinon";
 
 describe("World", () => {
-  let world, paper;
+  let world;
 
   class CompA extends Component { constructor() { super("a"); } }
   class CompB extends Component { constructor() { super("b"); } }
@@ -38,29 +37,9 @@ describe("World", () => {
     return entity;
   }
 
-  function createEntityWithSprite() {
-    let entity = new Entity();
-    entity.addComponent(new Sprite("default"));
-    return entity;
-  }
-
   beforeEach(() => {
     world = new World();
 
-    paper = {
-      Path: {
-        Circle: stub().returns({})
-      },
-      Symbol: stub().returns({
-        place: stub().returns({
-          remove: spy(),
-          rasterize: stub().returns({
-            remove: spy()
-          })
-        })
-      })
-    };
-
     // Fill up the world with entities
     for (let i = 0; i < 10; i++) {
       world.addEntity(createEntity1());
@@ -87,6 +66,22 @@ describe("World", () => {
     expect(world.getEntities()).to.have.lengthOf(33);
   });
 
+  it("numbers the entities of every world on its own", () => {
+    const world1 = new World();
+    const world2 = new World();
+    const entity1 = new Entity();
+    const entity2 = new Entity();
+    world1.addEntity(entity1);
+    world2.addEntity(entity2);
+    expect(entity1.id).to.equal(1);
+    expect(entity2.id).to.equal(1);
+
+    // Removing an entity of another world that shares its ID does nothing
+    world2.removeEntity(entity1);
+    expect(world1.getEntities()).to.eql([entity1]);
+    expect(world2.getEntities()).to.eql([entity2]);
+  });
+
   it("can remove an entity", () => {
     const entity = new Entity();
 
@@ -99,14 +94,61 @@ describe("World", () => {
     expect(world.getEntities()).to.have.lengthOf(30);
   });
 
-  it("cleans up an entity's sprite upon removal", () => {
-    const entity = createEntityWithSprite();
-    const sprite = entity.getComponent("sprite");
-    const item = sprite.getItem(paper);
+  it("emits entityAdded when an entity is added", () => {
+    const entity = new Entity();
+    const listener = spy();
+    world.addListener("entityAdded", listener);
+
+    world.addEntity(entity);
+    world.addEntity(entity);
+    expect(listener.calledOnce).to.be.true;
+    expect(listener.firstCall.args[0].entity).to.equal(entity);
+  });
+
+  it("emits entityRemoved when an entity is removed", () => {
+    const entity = new Entity();
+    const listener = spy();
+    world.addListener("entityRemoved", listener);
     world.addEntity(entity);
 
     world.removeEntity(entity);
-    expect(item.remove.calledOnce).to.be.true;
+    world.removeEntity(entity);
+    expect(listener.calledOnce).to.be.true;
+    expect(listener.firstCall.args[0].entity).to.equal(entity);
+  });
+
+  it("stops tracking the components of a removed entity", () => {
+    const entity = createEntity2();
+    world.addEntity(entity);
+    world.removeEntity(entity);
+
+    entity.addComponent(new CompC());
+    expect(world.getEntitiesWith("a", "b", "c")).to.not.include(entity);
+  });
+
+  it("can return the family of entities with the given components", () => {
+    const family = world.getFamily("a", "b");
+    const listener = spy();
+    family.addListener("entityAdded", listener);
+    expect(family.getEntities()).to.have.lengthOf(20);
+    expect(world.getFamily("b", "a")).to.equal(family);
+
+    const entity = createEntity3();
+    world.addEntity(entity);
+    expect(listener.called).to.be.false;
+    entity.addComponent(new CompB());
+    expect(listener.calledOnce).to.be.true;
+    expect(listener.firstCall.args[0]).to.eql({ family, entity });
+  });
+
+  it("applies the changes queued in its command buffer when flushed", () => {
+    const entity = new Entity();
+    world.commands.addEntity(entity);
+    expect(world.getEntities()).to.have.lengthOf(30);
+
+    world.flush();
+    expect(world.getEntities()).to.have.lengthOf(31);
+    expect(world.commands.length).to.equal(0);
   });
 
   it("can be queried for all entities with the given components", () => {
@@ -119,6 +161,33 @@ describe("World", () => {
     expect(world.getEntitiesWith("a", "b", "c", "d")).to.have.lengthOf(0);
   });
 
+  it("can be queried for entities excluding or optionally including components", () => {
+    expect(world.query({ all: ["a"], none: ["c"] })).to.have.lengthOf(10);
+    expect(world.query({ all: ["a"], none: ["b", "c"] })).to.have.lengthOf(0);
+    expect(world.query({ any: ["b", "c"] })).to.have.lengthOf(30);
+    expect(world.query({ all: ["b"], any: ["c", "d"] })).to.have.lengthOf(10);
+    expect(world.query({ all: ["a", "b"] })).to.eql(world.getEntitiesWith("b", "a"));
+  });
+
+  it("caches families by their full query", () => {
+    const family = world.getFamily({ all: ["a"], none: ["c"] });
+    expect(world.getFamily({ none: ["c"], all: ["a"] })).to.equal(family);
+    expect(world.getFamily({ all: ["a"] })).to.equal(world.getFamily("a"));
+    expect(world.getFamily({ all: ["a"], any: ["c"] })).to.not.equal(family);
+  });
+
+  it("should keep query results current as components are added and removed", () => {
+    const entity = createEntity2();
+    world.addEntity(entity);
+    expect(world.query({ all: ["a"], none: ["c"] })).to.include(entity);
+
+    entity.addComponent(new CompC());
+    expect(world.query({ all: ["a"], none: ["c"] })).to.not.include(entity);
+
+    entity.removeComponent("c");
+    expect(world.query({ all: ["a"], none: ["c"] })).to.include(entity);
+  });
+
   it("should update all families when adding a component to an entity", () => {
     let entity2 = createEntity2();
     let entity3 = createEntity3();
@@ -143,18 +212,7 @@ describe("World", () => {
     expect(world.getEntitiesWith("a", "b", "c")).to.have.lengthOf(7);
   });
 
-  describe("update", () => {
-    it("rebuilds the coord to entity index", () => {
-      let rebuildSpy = spy(world._coordEntityIndex, "rebuild");
-      world.update();
-      world._coordEntityIndex.rebuild.restore();
-
-      expect(rebuildSpy.calledWith(world.getEntities())).to.be.true;
-    });
-  });
-
   it("can be queried for all entities at a given coordinate position", () => {
-    world.update(); // Rebuild the index
     let entities00 = world.getEntitiesAt(new Coord(0, 0));
     let entities10 = world.getEntitiesAt(new Coord(1, 0));
     let entities01 = world.getEntitiesAt(new Coord(0, 1));
@@ -165,4 +223,164 @@ describe("World", () => {
     expect(entities01).to.have.lengthOf(10);
     expect(empty).to.have.lengthOf(0);
   });
+
+  it("keeps its index of entities by position current as entities move", () => {
+    const entity = createEntity2();
+    const coord = entity.getComponent("coord");
+    world.addEntity(entity);
+    expect(world.getEntitiesAt(new Coord(1, 0))).to.include(entity);
+
+    coord.set(2, 2);
+    expect(world.getEntitiesAt(new Coord(1, 0))).to.not.include(entity);
+    expect(world.getEntitiesAt(new Coord(2, 2))).to.eql([entity]);
+
+    entity.removeComponent("coord");
+    expect(world.getEntitiesAt(new Coord(2, 2))).to.have.lengthOf(0);
+    coord.set(3, 3);
+    expect(world.getEntitiesAt(new Coord(3, 3))).to.have.lengthOf(0);
+
+    entity.addComponent(new Coord(4, 4));
+    expect(world.getEntitiesAt(new Coord(4, 4))).to.eql([entity]);
+
+    world.removeEntity(entity);
+    expect(world.getEntitiesAt(new Coord(4, 4))).to.have.lengthOf(0);
+  });
+
+  describe("save and load", () => {
+    class Mood extends Component {
+      constructor(level = 0) {
+        super("mood");
+        this.level = level;
+      }
+    }
+
+    [CompA, CompB, CompC, Mood].forEach((ctor) => Component.register(ctor));
+
+    const reload = (world) => {
+      const loaded = new World();
+      loaded.load(JSON.parse(JSON.stringify(world.save())));
+      return loaded;
+    };
+    const idsOf = (entities) => entities.map((entity) => entity.id);
+
+    it("restores every entity with its ID and components", () => {
+      const entity = world.getEntitiesWith("c")[0];
+      entity.addComponent(new Mood(3));
+      world.addEntity(new Entity());
+
+      const loaded = reload(world);
+      expect(idsOf(loaded.getEntities())).to.eql(idsOf(world.getEntities()));
+      expect(idsOf(loaded.getEntitiesWith("a", "c"))).to.eql(idsOf(world.getEntitiesWith("a", "c")));
+
+      const restored = loaded.getEntitiesWith("mood")[0];
+      expect(restored.id).to.equal(entity.id);
+      expect(restored.getComponent("mood")).to.be.an.instanceof(Mood);
+      expect(restored.getComponent("mood").level).to.equal(3);
+      expect(restored.getComponent("coord")).to.eql(new Coord(0, 0));
+    });
+
+    it("keeps entities sharing a coordinate in the same order", () => {
+      const [first, second] = world.getEntitiesAt(new Coord(0, 0));
+      first.getComponent("coord").set(5, 5);
+      first.getComponent("coord").set(0, 0);
+      expect(world.getEntitiesAt(new Coord(0, 0))[0]).to.not.equal(first);
+
+      const loaded = reload(world);
+      expect(idsOf(loaded.getEntitiesAt(new Coord(0, 0)))).to.eql(idsOf(world.getEntitiesAt(new Coord(0, 0))));
+      expect(loaded.getEntitiesAt(new Coord(0, 0))[0].id).to.equal(second.id);
+    });
+
+    it("keeps restored entities indexed as they move", () => {
+      const loaded = reload(world);
+      const entity = loaded.getEntitiesAt(new Coord(1, 0))[0];
+      entity.getComponent("coord").set(3, 3);
+      expect(loaded.getEntitiesAt(new Coord(3, 3))).to.eql([entity]);
+    });
+
+    it("calls onRestore() on every component once its entity is restored", () => {
+      const onRestore = spy(Mood.prototype, "onRestore");
+      world.getEntitiesWith("c")[0].addComponent(new Mood(1));
+
+      try {
+        const loaded = reload(world);
+        const entity = loaded.getEntitiesWith("mood")[0];
+        expect(onRestore.calledOnce).to.be.true;
+        expect(onRestore.calledWith(entity)).to.be.true;
+        expect(onRestore.firstCall.args[0].hasComponent("coord")).to.be.true;
+      } finally {
+        onRestore.restore();
+      }
+    });
+
+    it("replaces the entities the world held before", () => {
+      const loaded = new World();
+      loaded.addEntity(createEntity1());
+      loaded.load(world.save());
+      expect(idsOf(loaded.getEntities())).to.eql(idsOf(world.getEntities()));
+    });
+
+    it("leaves the world as it was given a save it can't restore", () => {
+      const save = JSON.parse(JSON.stringify(world.save()));
+      save.entities[save.entities.length - 1].components[0].ctor = "Unknown";
+      const loaded = new World();
+      const entity = createEntity1();
+      loaded.addEntity(entity);
+
+      expect(() => loaded.load(save)).to.throw(Error);
+      expect(loaded.getEntities()).to.eql([entity]);
+    });
+
+    it("hands out entity IDs where the saved world left off", () => {
+      const save = world.save();
+      const loaded = new World();
+      loaded.load(save);
+      const entity = new Entity();
+      loaded.addEntity(entity);
+      expect(entity.id).to.equal(save.nextEntityID);
+    });
+
+    it("throws an error when saving with changes still queued", () => {
+      world.commands.addEntity(new Entity());
+      expect(() => world.save()).to.throw(Error, /command buffer/);
+    });
+  });
+
+  describe("range queries", () => {
+    let near, far;
+
+    beforeEach(() => {
+      near = new Entity();
+      near.addComponent(new CompB());
+      near.addComponent(new Coord(-1, 1));
+      far = new Entity();
+      far.addComponent(new CompA());
+      far.addComponent(new Coord(2, -1));
+      world.addEntities([near, far]);
+    });
+
+    it("can find all entities within a given distance of a coordinate", () => {
+      expect(world.getEntitiesWithin(new Coord(0, 0), 0)).to.have.lengthOf(10);
+      expect(world.getEntitiesWithin(new Coord(0, 0), 1)).to.have.lengthOf(31);
+      expect(world.getEntitiesWithin(new Coord(0, 0), 2)).to.have.lengthOf(32);
+    });
+
+    it("orders entities by their distance from the coordinate", () => {
+      const within = world.getEntitiesWithin(new Coord(2, -1), 2);
+      expect(within[0]).to.equal(far);
+      expect(within[within.length - 1].getComponent("coord").x).to.be.below(2);
+    });
+
+    it("can find all entities at a given distance of a coordinate", () => {
+      expect(world.getEntitiesInRing(new Coord(0, 0), 1)).to.have.lengthOf(21);
+      expect(world.getEntitiesInRing(new Coord(0, 0), 2)).to.eql([far]);
+      expect(world.getEntitiesInRing(new Coord(0, 0), 3)).to.have.lengthOf(0);
+    });
+
+    it("can filter entities in range by component", () => {
+      expect(world.getEntitiesWithin(new Coord(0, 0), 1, "b")).to.have.lengthOf(21);
+      expect(world.getEntitiesWithin(new Coord(0, 0), 1, "b", "c")).to.have.lengthOf(10);
+      expect(world.getEntitiesInRing(new Coord(0, 0), 2, "b")).to.have.lengthOf(0);
+      expect(world.getEntitiesInRing(new Coord(0, 0), 1, "b")).to.include(near);
+    });
+  });
 });
@@ -12,14 +12,19 @@ class ConnectionGene extends Serializable {
    * @example
    * const node1 = new NodeGene(1, "input");
    * const node2 = new NodeGene(2, "output");
-   * const conn = new ConnectionGene(node1.id, node2.id, 0.2, true);
+   * const innovationNumber = innovations.innovationNumber(node1.id, node2.id);
+   * const conn = new ConnectionGene(node1.id, node2.id, 0.2, true, innovationNumber);
    * @param {number} inID - id of the source node
    * @param {number} outID - id of the destination node
    * @param {number} weight - the weight of the connection as a value between
    * 0 and 1 inclusive
    * @param {boolean} enabled - whether this gene is expressed or not
+   * @param {number} innovationNumber - ID of the historical origin of this
+   * connection gene, as given by an {@link InnovationRegistry}
+   * @param {boolean} [recurrent=false] - whether this connection feeds back
+   * into a neuron that is activated before its source neuron
    */
-  constructor(inID, outID, weight, enabled) {
+  constructor(inID, outID, weight, enabled, innovationNumber, recurrent = false) {
     super("connectionGene");
 
     if (arguments.length === 0) return;
@@ -50,46 +55,43 @@ class ConnectionGene extends Serializable {
      */
     this.enabled = enabled;
 
-    const getInnovationNumber = () => {
-      let key = this.in + "," + this.out;
-      let map = ConnectionGene._innovationMap;
-      if (!map.hasOwnProperty(key)) {
-        map[key] = ConnectionGene._nextInnovationNumber++;
-      }
-      return map[key];
-    };
-
     /**
     * ID of the historical origin, or "innovation number" of this connection
     * gene
     * @type {number}
     */
-    this.innovationNumber = getInnovationNumber();
+    this.innovationNumber = innovationNumber;
+
+    /**
+     * True if this connection feeds back into a neuron that is activated
+     * before its source neuron, such as a neuron connected to itself. A
+     * recurrent connection carries the activation of its source neuron from
+     * the previous activation of the network, giving it a memory.
+     * @type {boolean}
+     */
+    this.recurrent = recurrent;
   }
 
   /**
-  * Resets the innovation history
-  */
-  static resetInnovations () {
-    ConnectionGene._innovationMap = {};
+   * Creates a copy of this gene. The copy shares the innovation number of the
+   * original, as it represents the same historical mutation.
+   * @example
+   * const copy = conn.clone();
+   * copy.innovationNumber === conn.innovationNumber; // true
+   * @returns {ConnectionGene} the copied gene
+   */
+  clone() {
+    const gene = new ConnectionGene();
+    gene.in = this.in;
+    gene.out = this.out;
+    gene.weight = this.weight;
+    gene.enabled = this.enabled;
+    gene.innovationNumber = this.innovationNumber;
+    gene.recurrent = this.recurrent;
+    return gene;
   }
 }
 
-/**
- * The global innovation number that is incremented each time a brand new
- * connection gene mutation occurs
- * @private
- * @type {number}
- */
-ConnectionGene._nextInnovationNumber = 1;
-
-/**
- * A map that stores historic connection gene mutations
- * @private
- * @type {Object}
- */
-ConnectionGene._innovationMap = {};
-
-Serializable.register(ConnectionGene);
+Serializable.register(ConnectionGene, "ConnectionGene");
 
 export default ConnectionGene;
@@ -0,0 +1,126 @@
+import Serializable from "../util/Serializable";
+
+/**
+ * The history of structural mutations, or "innovations", shared by every
+ * strand in a single simulation. Connection genes arising from the same
+ * innovation share an innovation number, and splitting the same connection in
+ * two different strands yields the same hidden node, which allows the genes of
+ * unrelated strands to line up during crossover.
+ * @extends Serializable
+ * @see {ConnectionGene}
+ */
+class InnovationRegistry extends Serializable {
+  /**
+   * Constructs a new, empty InnovationRegistry
+   * @example
+   * const innovations = new InnovationRegistry();
+   * const strand = new Strand(2, 3, true, random, innovations);
+   */
+  constructor() {
+    super();
+
+    /**
+     * The innovation number to hand out to the next brand new connection gene
+     * mutation
+     * @private
+     * @type {number}
+     */
+    this._nextInnovationNumber = 1;
+
+    /**
+     * A map of historic connection gene mutations, from "in,out" node ID pairs
+     * to innovation numbers
+     * @private
+     * @type {Object}
+     */
+    this._innovations = {};
+
+    /**
+     * The next node ID to hand out when a connection gene is split
+     * @private
+     * @type {number}
+     */
+    this._nextNodeID = 1;
+
+    /**
+     * A map from the innovation number of a split connection gene to the ID of
+     * the hidden node that split it
+     * @private
+     * @type {Object}
+     */
+    this._splits = {};
+  }
+
+  /**
+   * Returns the innovation number of a connection between the given nodes,
+   * registering a brand new innovation if the connection has not been seen
+   * before
+   * @example
+   * const conn = new ConnectionGene(1, 2, 0.5, true, innovations.innovationNumber(1, 2));
+   * @param {number} inID - id of the source node
+   * @param {number} outID - id of the destination node
+   * @returns {number} the innovation number
+   */
+  innovationNumber(inID, outID) {
+    const key = inID + "," + outID;
+    if (!this._innovations.hasOwnProperty(key)) {
+      this._innovations[key] = this._nextInnovationNumber++;
+    }
+    return this._innovations[key];
+  }
+
+  /**
+   * Returns the ID of the hidden node created by splitting the given
+   * connection gene. Splitting the same connection in two different strands
+   * yields the same node ID.
+   * @example
+   * const nodeID = innovations.splitNodeID(conn, strand._nextNodeGeneID);
+   * @param {ConnectionGene} gene - the connection gene being split
+   * @param {number} minID - the lowest ID that a brand new node may be given
+   * @returns {number} ID of the hidden node
+   */
+  splitNodeID(gene, minID) {
+    if (!this._splits.hasOwnProperty(gene.innovationNumber)) {
+      this._splits[gene.innovationNumber] = this.nextNodeID(minID);
+    }
+    return this._splits[gene.innovationNumber];
+  }
+
+  /**
+   * Allocates a node ID that has never been handed out before
+   * @param {number} minID - the lowest ID that may be returned
+   * @returns {number} the new node ID
+   */
+  nextNodeID(minID) {
+    const id = Math.max(minID, this._nextNodeID);
+    this._nextNodeID = id + 1;
+    return id;
+  }
+
+  /**
+   * Records that the given node ID is already in use, for instance by a strand
+   * imported from elsewhere, so that it is never handed out for a different
+   * node
+   * @param {number} id - the node ID in use
+   */
+  registerNodeID(id) {
+    this._nextNodeID = Math.max(this._nextNodeID, id + 1);
+  }
+
+  /**
+   * Forgets the history of innovations, so that mutations registered after a
+   * reset are numbered as brand new innovations. Innovation numbers and node
+   * IDs keep counting up, so they never collide with earlier ones. The
+   * simulation never calls this: generations overlap in Genetic Sandbox, so
+   * the history is kept for the whole run rather than reset every generation
+   * as in NEAT.
+   */
+  reset() {
+    this._innovations = {};
+    this._splits = {};
+  }
+}
+
+Serializable.register(InnovationRegistry, "InnovationRegistry");
+
+export default InnovationRegistry;
@@ -0,0 +1,201 @@
+/**
+ * A neural network compiled into flat typed arrays for fast activation.
+ * Neurons are stored in activation order: input neurons first, followed by
+ * every other neuron in topological order of its feed forward connections.
+ * The incoming connections of each neuron are stored contiguously, so that
+ * activating the network is a single pass over both arrays. Networks are
+ * usually built by reading a {@link Strand} with a {@link Sequencer}.
+ * @see {@link Sequencer}
+ */
+class Network {
+  /**
+   * Constructs a new network with room for the given number of neurons and
+   * connections, all of which start out zeroed
+   * @example
+   * // Two inputs, one output, and a connection from each input to the output
+   * const network = new Network(3, 2, 1, 2);
+   * @param {number} neuronCount - total number of neurons
+   * @param {number} inputCount - number of input neurons
+   * @param {number} outputCount - number of output neurons
+   * @param {number} connectionCount - total number of connections
+   */
+  constructor(neuronCount, inputCount, outputCount, connectionCount) {
+    /**
+     * Number of input neurons, which occupy the first indices of the network
+     * @type {number}
+     */
+    this.inputCount = inputCount;
+
+    /**
+     * Bias of each neuron
+     * @type {Float32Array}
+     */
+    this.biases = new Float32Array(neuronCount);
+
+    /**
+     * Activation function of each neuron, as an index into
+     * {@link NodeGene.activations}
+     * @type {Uint8Array}
+     */
+    this.activations = new Uint8Array(neuronCount);
+
+    /**
+     * Index of the first incoming connection of each neuron. The incoming
+     * connections of neuron i run up to, but not including, the first incoming
+     * connection of neuron i + 1.
+     * @type {Uint32Array}
+     */
+    this.connectionStarts = new Uint32Array(neuronCount + 1);
+
+    /**
+     * Index of the source neuron of each connection
+     * @type {Uint32Array}
+     */
+    this.sources = new Uint32Array(connectionCount);
+
+    /**
+     * Weight of each connection
+     * @type {Float32Array}
+     */
+    this.weights = new Float32Array(connectionCount);
+
+    /**
+     * Whether each connection is recurrent (1) or feed forward (0). Recurrent
+     * connections read the value their source neuron had after the previous
+     * activation.
+     * @type {Uint8Array}
+     */
+    this.recurrent = new Uint8Array(connectionCount);
+
+    /**
+     * Index of each output neuron, in output order
+     * @type {Uint32Array}
+     */
+    this.outputIndices = new Uint32Array(outputCount);
+
+    /**
+     * Current value of each neuron, kept between activations
+     * @private
+     * @type {Float32Array}
+     */
+    this._values = new Float32Array(neuronCount);
+
+    /**
+     * Value of each neuron after the previous activation
+     * @private
+     * @type {Float32Array}
+     */
+    this._previous = new Float32Array(neuronCount);
+
+    /**
+     * Values of the output neurons after the latest activation
+     * @private
+     * @type {Float32Array}
+     */
+    this._outputs = new Float32Array(outputCount);
+  }
+
+  /**
+   * Activates the network on the given inputs. Missing inputs are treated as
+   * zero. The returned array is reused by the next activation, so copy it if
+   * it needs to outlive that.
+   * @example
+   * const [ output ] = network.activate([0.5, 1]);
+   * @param {number[]} inputs - a value for each input neuron
+   * @returns {Float32Array} a value for each output neuron
+   */
+  activate(inputs) {
+    const { inputCount, biases, activations, connectionStarts, sources, weights, recurrent } = this;
+    const values = this._values;
+    const previous = this._previous;
+    const neuronCount = values.length;
+
+    previous.set(values);
+
+    for (let i = 0; i < inputCount; i++) {
+      values[i] = inputs[i] || 0;
+    }
+
+    for (let i = inputCount; i < neuronCount; i++) {
+      let sum = biases[i];
+      const end = connectionStarts[i + 1];
+      for (let c = connectionStarts[i]; c < end; c++) {
+        sum += weights[c] * (recurrent[c] ? previous[sources[c]] : values[sources[c]]);
+      }
+      values[i] = Network.squash(activations[i], sum);
+    }
+
+    for (let i = 0; i < this._outputs.length; i++) {
+      this._outputs[i] = values[this.outputIndices[i]];
+    }
+
+    return this._outputs;
+  }
+
+  /**
+   * Clears the memory of the network, zeroing the value of every neuron
+   */
+  reset() {
+    this._values.fill(0);
+    this._previous.fill(0);
+  }
+
+  /**
+   * Returns the memory of the network: the value of every neuron after the
+   * latest activation, which recurrent connections feed into the next one
+   * @example
+   * const memory = network.getMemory();
+   * // ... later, in a network read from the same strand
+   * otherNetwork.setMemory(memory);
+   * @returns {number[]} the value of every neuron
+   */
+  getMemory() {
+    return Array.from(this._values);
+  }
+
+  /**
+   * Restores the memory of the network from values returned by getMemory(),
+   * along with the output values of the activation they were taken after
+   * @param {number[]} memory - the value of every neuron
+   * @returns {Float32Array} a value for each output neuron
+   */
+  setMemory(memory) {
+    this._values.set(memory);
+    for (let i = 0; i < this._outputs.length; i++) {
+      this._outputs[i] = this._values[this.outputIndices[i]];
+    }
+    return this._outputs;
+  }
+
+  /**
+   * Applies an activation function to the given value
+   * @example
+   * Network.squash(NodeGene.activations.indexOf("tanh"), 0.5);
+   * @param {number} activation - index of the activation function in
+   * {@link NodeGene.activations}
+   * @param {number} x - the value to squash
+   * @returns {number} the squashed value
+   */
+  static squash(activation, x) {
+    switch (activation) {
+      case 0: // logistic
+        return 1 / (1 + Math.exp(-x));
+      case 1: // tanh
+        return Math.tanh(x);
+      case 2: // relu
+        return x > 0 ? x : 0;
+      case 3: // identity
+        return x;
+      case 4: // step
+        return x > 0 ? 1 : 0;
+      case 5: // sine
+        return Math.sin(x);
+      case 6: // gaussian
+        return Math.exp(-x * x);
+      default:
+        return x;
+    }
+  }
+}
+
+export default Network;
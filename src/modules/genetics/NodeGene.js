@@ -9,12 +9,15 @@ class NodeGene extends Serializable {
    * Constructs a new NodeGene
    * @example
    * const node1 = new NodeGene(1, "input");
-   * const node2 = new NodeGene(2, "output");
-   * const node3 = new NodeGene(3, "hidden");
+   * const node2 = new NodeGene(2, "output", "tanh", 0.5);
+   * const node3 = new NodeGene(3, "hidden", "gaussian");
    * @param {number} [id=0] - the id of the neuron
    * @param {string} [type=hidden] - one of "input", "hidden", or "output"
+   * @param {string} [activation=logistic] - the activation function of the
+   * neuron, one of {@link NodeGene.activations}
+   * @param {number} [bias=0] - the bias of the neuron
    */
-  constructor(id = 0, type = "hidden") {
+  constructor(id = 0, type = "hidden", activation = "logistic", bias = 0) {
     super("nodeGene");
 
     /**
@@ -28,9 +31,38 @@ class NodeGene extends Serializable {
      * @type {string}
      */
     this.type = type;
+
+    /**
+     * The activation function of the neuron, one of
+     * {@link NodeGene.activations}. Ignored for input neurons.
+     * @type {string}
+     */
+    this.activation = activation;
+
+    /**
+     * The bias of the neuron. Ignored for input neurons.
+     * @type {number}
+     */
+    this.bias = bias;
+  }
+
+  /**
+   * Creates a copy of this gene
+   * @example
+   * const copy = node.clone();
+   * @returns {NodeGene} the copied gene
+   */
+  clone() {
+    return new NodeGene(this.id, this.type, this.activation, this.bias);
   }
 }
 
-Serializable.register(NodeGene);
+/**
+ * The names of every activation function a node gene may carry
+ * @type {string[]}
+ */
+NodeGene.activations = ["logistic", "tanh", "relu", "identity", "step", "sine", "gaussian"];
+
+Serializable.register(NodeGene, "NodeGene");
 
 export default NodeGene;
@@ -1,53 +1,103 @@
-import synaptic from "synaptic";
+import Network from "./Network";
+import NodeGene from "./NodeGene";
 
 /**
- * Reads in a [Strand]{@link Strand} and produces a
- * [Synaptic neural network]{@link http://synaptic.juancazala.com/#/}
+ * Reads in a [Strand]{@link Strand} and produces a compiled
+ * [Network]{@link Network}
  * @see {@link Strand}
  */
 class Sequencer {
   /**
-   * Reads in a Strand and outputs a Synaptic neural network
+   * Reads in a Strand and compiles it into a Network. Disabled connection
+   * genes are left out entirely. Recurrent connection genes feed the value a
+   * neuron had the previous time the network was activated back into the
+   * network, so the network remembers its state between activations.
    * @param {Strand} strand - strand of node and connection genes
-   * @return {Network} a Synaptic Network instance
+   * @return {Network} the compiled network
    */
   read(strand) {
-    const { Neuron, Layer, Network } = synaptic;
-    const nodeGenes = strand.nodeGenes;
-    const connGenes = strand.connectionGenes;
-    const neurons = [];
-    const inputLayer = new Layer();
-    const outputLayer = new Layer();
-    const hiddenLayer = new Layer();
-
-    // Build a neuron for each node gene
-    nodeGenes.forEach((gene) => {
-      let neuron = new Neuron();
-      neuron.squash = Neuron.squash.LOGISTIC;
-      neuron.bias = 1;
-      neurons[gene.id] = neuron;
-
-      if (gene.type === "input") {
-        inputLayer.add(neuron);
-      } else if (gene.type === "output") {
-        outputLayer.add(neuron);
-      } else if (gene.type === "hidden") {
-        hiddenLayer.add(neuron);
+    const order = this._activationOrder(strand);
+    const indices = {};
+    order.forEach((gene, i) => { indices[gene.id] = i; });
+
+    const incoming = order.map(() => []);
+    strand.connectionGenes.forEach((gene) => {
+      if (gene.enabled) {
+        incoming[indices[gene.out]].push(gene);
       }
     });
 
-    // Build a connection between neurons for every connection gene
-    connGenes.forEach((gene) => {
-      let weight = gene.enabled ? gene.weight : 0;
-      neurons[gene.in].project(neurons[gene.out], weight);
+    const inputCount = order.filter((gene) => gene.type === "input").length;
+    const outputGenes = strand.nodeGenes.filter((gene) => gene.type === "output");
+    const connectionCount = incoming.reduce((count, genes) => count + genes.length, 0);
+    const network = new Network(order.length, inputCount, outputGenes.length, connectionCount);
+
+    let c = 0;
+    order.forEach((nodeGene, i) => {
+      network.biases[i] = nodeGene.bias;
+      network.activations[i] = NodeGene.activations.indexOf(nodeGene.activation);
+      network.connectionStarts[i] = c;
+
+      incoming[i].forEach((gene) => {
+        network.sources[c] = indices[gene.in];
+        network.weights[c] = gene.weight;
+        network.recurrent[c] = gene.recurrent ? 1 : 0;
+        c++;
+      });
+    });
+    network.connectionStarts[order.length] = c;
+
+    outputGenes.forEach((gene, i) => {
+      network.outputIndices[i] = indices[gene.id];
     });
 
-    // Build and return the finished neural network
-    return new Network({
-      input: inputLayer,
-      hidden: [hiddenLayer],
-      output: outputLayer
+    return network;
+  }
+
+  /**
+   * Sorts the node genes of the given strand into the order their neurons are
+   * activated in: input node genes first, followed by the rest in topological
+   * order of the enabled, feed forward connection genes between them. Should
+   * the connection genes contain a cycle, the node genes caught in it are
+   * activated last, in the order they appear in the strand.
+   * @private
+   * @param {Strand} strand - strand of node and connection genes
+   * @returns {NodeGene[]} node genes in activation order
+   */
+  _activationOrder(strand) {
+    const inputs = strand.nodeGenes.filter((gene) => gene.type === "input");
+    const others = strand.nodeGenes.filter((gene) => gene.type !== "input");
+    const isInput = {};
+    const pending = {};
+    inputs.forEach((gene) => { isInput[gene.id] = true; });
+    others.forEach((gene) => { pending[gene.id] = 0; });
+
+    const links = strand.connectionGenes.filter((gene) => {
+      return gene.enabled && !gene.recurrent && !isInput[gene.in] && pending.hasOwnProperty(gene.out);
     });
+    links.forEach((gene) => { pending[gene.out]++; });
+
+    const order = [];
+    let remaining = others;
+    let progress = true;
+
+    while (remaining.length > 0 && progress) {
+      const ready = remaining.filter((gene) => pending[gene.id] === 0);
+      progress = ready.length > 0;
+
+      ready.forEach((node) => {
+        order.push(node);
+        links.forEach((gene) => {
+          if (gene.in === node.id) {
+            pending[gene.out]--;
+          }
+        });
+      });
+
+      remaining = remaining.filter((gene) => !ready.includes(gene));
+    }
+
+    return inputs.concat(order, remaining);
   }
 }
 
@@ -16,17 +16,19 @@ class Strand extends Serializable {
    * @example
    * // Represents a neural network with 4 input neurons, 5 output neurons,
    * // and all connection genes enabled.
-   * const strand1 = new Strand(4, 5, true, random);
+   * const strand1 = new Strand(4, 5, true, random, innovations);
    * // Represents a neural network with 2 input neurons, 4 output neurons,
    * // and all connection genes disabled.
-   * const strand2 = new Strand(2, 4, false, random);
+   * const strand2 = new Strand(2, 4, false, random, innovations);
    * @param {number} inputCount - number of input neuron genes
    * @param {number} outputCount - number of output neuron genes
    * @param {boolean} enabled - whether all connection genes are initially
    * enabled (true), or disabled (false)
    * @param {Object} random - an instance of a random-js instance
+   * @param {InnovationRegistry} innovations - the registry that hands out
+   * innovation numbers to the connection genes
    */
-  constructor(inputCount, outputCount, enabled, random) {
+  constructor(inputCount, outputCount, enabled, random, innovations) {
     super("strand");
 
     if (arguments.length === 0) return;
@@ -68,7 +70,8 @@ class Strand extends Serializable {
     inputNodeGenes.forEach((inputNodeGene) => {
       outputNodeGenes.forEach((outputNodeGene) => {
         let weight = random.real(0, 1, true);
-        let connGene = new ConnectionGene(inputNodeGene.id, outputNodeGene.id, weight, enabled);
+        let innovationNumber = innovations.innovationNumber(inputNodeGene.id, outputNodeGene.id);
+        let connGene = new ConnectionGene(inputNodeGene.id, outputNodeGene.id, weight, enabled, innovationNumber);
         connectionGenes.push(connGene);
       });
     });
@@ -103,8 +106,387 @@ class Strand extends Serializable {
     const isHiddenNodeGene = (gene) => gene.type === "hidden";
     return this.nodeGenes.filter(isHiddenNodeGene).length;
   }
+
+  /**
+   * Creates a deep copy of this strand
+   * @example
+   * const copy = strand.clone();
+   * @returns {Strand} the copied strand
+   */
+  clone() {
+    const strand = new Strand();
+    strand.nodeGenes = this.nodeGenes.map((gene) => gene.clone());
+    strand.connectionGenes = this.connectionGenes.map((gene) => gene.clone());
+    strand._nextNodeGeneID = this._nextNodeGeneID;
+    return strand;
+  }
+
+  /**
+   * Mutates the weight of each connection gene with the given probability.
+   * A mutated weight is either nudged by a small, normally distributed amount,
+   * or replaced by a brand new random weight. Weights are kept between 0 and 1
+   * inclusive.
+   * @example
+   * // 10% of weights mutate, 90% of those by nudging with a standard deviation
+   * // of 0.1, the rest by being re-randomized
+   * strand.mutateWeights(random, 0.1, 0.9, 0.1);
+   * @param {Object} random - an instance of a random-js engine
+   * @param {number} mutationRate - chance that any one weight is mutated
+   * @param {number} perturbationRate - chance that a mutated weight is nudged
+   * rather than re-randomized
+   * @param {number} perturbationPower - standard deviation of a nudge
+   */
+  mutateWeights(random, mutationRate, perturbationRate, perturbationPower) {
+    this.connectionGenes.forEach((gene) => {
+      if (!random.bool(mutationRate)) return;
+
+      let weight;
+      if (random.bool(perturbationRate)) {
+        weight = gene.weight + Strand._gaussian(random) * perturbationPower;
+      } else {
+        weight = random.real(0, 1, true);
+      }
+      gene.weight = Math.min(1, Math.max(0, weight));
+    });
+  }
+
+  /**
+   * Mutates the bias of each hidden and output node gene with the given
+   * probability. A mutated bias is either nudged by a small, normally
+   * distributed amount, or replaced by a brand new random bias. Biases are
+   * kept between -1 and 1 inclusive.
+   * @example
+   * strand.mutateBiases(random, 0.1, 0.9, 0.1);
+   * @param {Object} random - an instance of a random-js engine
+   * @param {number} mutationRate - chance that any one bias is mutated
+   * @param {number} perturbationRate - chance that a mutated bias is nudged
+   * rather than re-randomized
+   * @param {number} perturbationPower - standard deviation of a nudge
+   */
+  mutateBiases(random, mutationRate, perturbationRate, perturbationPower) {
+    this.nodeGenes.forEach((gene) => {
+      if (gene.type === "input" || !random.bool(mutationRate)) return;
+
+      let bias;
+      if (random.bool(perturbationRate)) {
+        bias = gene.bias + Strand._gaussian(random) * perturbationPower;
+      } else {
+        bias = random.real(-1, 1, true);
+      }
+      gene.bias = Math.min(1, Math.max(-1, bias));
+    });
+  }
+
+  /**
+   * Swaps the activation function of each hidden and output node gene for a
+   * different, random one with the given probability
+   * @example
+   * strand.mutateActivations(random, 0.02);
+   * @see {@link NodeGene.activations}
+   * @param {Object} random - an instance of a random-js engine
+   * @param {number} mutationRate - chance that any one activation function is
+   * swapped
+   */
+  mutateActivations(random, mutationRate) {
+    this.nodeGenes.forEach((gene) => {
+      if (gene.type === "input" || !random.bool(mutationRate)) return;
+
+      const others = NodeGene.activations.filter((name) => name !== gene.activation);
+      gene.activation = random.pick(others);
+    });
+  }
+
+  /**
+   * Toggles the enabled state of each connection gene with the given
+   * probability
+   * @example
+   * strand.mutateEnabled(random, 0.01);
+   * @param {Object} random - an instance of a random-js engine
+   * @param {number} toggleRate - chance that any one gene is toggled
+   */
+  mutateEnabled(random, toggleRate) {
+    this.connectionGenes.forEach((gene) => {
+      if (random.bool(toggleRate)) {
+        gene.enabled = !gene.enabled;
+      }
+    });
+  }
+
+  /**
+   * Structural mutation that splits a random, enabled connection gene with a
+   * new hidden node gene. The old connection gene is disabled, and replaced by
+   * two new ones: one leading into the new node with a weight of 1, and one
+   * leading out of it with the weight of the old connection. When splitting a
+   * recurrent connection, the connection leading out of the new node is the
+   * one that stays recurrent.
+   * @example
+   * const hiddenNodeGene = strand.mutateAddNode(random, innovations);
+   * @param {Object} random - an instance of a random-js engine
+   * @param {InnovationRegistry} innovations - the registry that tracks the
+   * hidden nodes and connection genes created by this mutation
+   * @returns {NodeGene} the new node gene, or null if there were no enabled
+   * connection genes to split
+   */
+  mutateAddNode(random, innovations) {
+    const enabledGenes = this.connectionGenes.filter((gene) => gene.enabled);
+    if (enabledGenes.length === 0) {
+      return null;
+    }
+
+    const gene = random.pick(enabledGenes);
+    gene.enabled = false;
+
+    let id = innovations.splitNodeID(gene, this._nextNodeGeneID);
+    if (this.nodeGenes.some((nodeGene) => nodeGene.id === id)) {
+      // This strand has split the same connection before
+      id = innovations.nextNodeID(this._nextNodeGeneID);
+    }
+    this._nextNodeGeneID = Math.max(this._nextNodeGeneID, id + 1);
+
+    const nodeGene = new NodeGene(id, "hidden");
+    this.nodeGenes.push(nodeGene);
+    this.connectionGenes.push(new ConnectionGene(gene.in, id, 1, true,
+      innovations.innovationNumber(gene.in, id)));
+    this.connectionGenes.push(new ConnectionGene(id, gene.out, gene.weight, true,
+      innovations.innovationNumber(id, gene.out), gene.recurrent));
+
+    return nodeGene;
+  }
+
+  /**
+   * Structural mutation that connects two random, previously unconnected node
+   * genes with a new connection gene of random weight. Connections never lead
+   * into an input node. A feed forward connection never leads out of an output
+   * node, and is never allowed to form a cycle. A recurrent connection, on the
+   * other hand, always forms a cycle, and may connect a node to itself.
+   * @example
+   * const connectionGene = strand.mutateAddConnection(random, innovations);
+   * const recurrentGene = strand.mutateAddConnection(random, innovations, true);
+   * @param {Object} random - an instance of a random-js engine
+   * @param {InnovationRegistry} innovations - the registry that hands out the
+   * innovation number of the new connection gene
+   * @param {boolean} [recurrent=false] - whether to add a recurrent connection
+   * rather than a feed forward one
+   * @returns {ConnectionGene} the new connection gene, or null if every
+   * possible connection already exists
+   */
+  mutateAddConnection(random, innovations, recurrent = false) {
+    const candidates = [];
+
+    this.nodeGenes.forEach((from) => {
+      if (from.type === "input" && recurrent) return;
+      if (from.type === "output" && !recurrent) return;
+      this.nodeGenes.forEach((to) => {
+        if (to.type === "input" || this._isConnected(from.id, to.id)) return;
+
+        const formsCycle = from.id === to.id || from.type === "output" ||
+                           this._isReachable(to.id, from.id);
+        if (formsCycle === recurrent) {
+          candidates.push([from.id, to.id]);
+        }
+      });
+    });
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const [inID, outID] = random.pick(candidates);
+    const weight = random.real(0, 1, true);
+    const connGene = new ConnectionGene(inID, outID, weight, true,
+      innovations.innovationNumber(inID, outID), recurrent);
+    this.connectionGenes.push(connGene);
+
+    return connGene;
+  }
+
+  /**
+   * Determines whether a connection gene from one node to another already
+   * exists, regardless of whether it is enabled
+   * @private
+   * @param {number} inID - id of the source node
+   * @param {number} outID - id of the destination node
+   * @returns {boolean} True if the connection exists, false otherwise
+   */
+  _isConnected(inID, outID) {
+    return this.connectionGenes.some((gene) => {
+      return gene.in === inID && gene.out === outID;
+    });
+  }
+
+  /**
+   * Determines whether there is a path of feed forward connection genes
+   * leading from one node to another
+   * @private
+   * @param {number} fromID - id of the node to start from
+   * @param {number} toID - id of the node to search for
+   * @returns {boolean} True if toID can be reached from fromID, false otherwise
+   */
+  _isReachable(fromID, toID) {
+    const visited = {};
+    const stack = [fromID];
+
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (id === toID) return true;
+      if (visited[id]) continue;
+      visited[id] = true;
+
+      this.connectionGenes.forEach((gene) => {
+        if (gene.in === id && !gene.recurrent) {
+          stack.push(gene.out);
+        }
+      });
+    }
+
+    return false;
+  }
+
+  /**
+   * Produces a child strand by lining up the genes of two parent strands as
+   * described by NEAT. Connection genes are aligned by innovation number, and
+   * node genes by ID. Matching genes are inherited randomly from either parent,
+   * while disjoint and excess genes are inherited from the fitter parent only.
+   * Matching connection genes keep whether they are recurrent from the fitter
+   * parent, though, since that depends on the structure the child inherits.
+   * A connection gene that is disabled in either parent has a 75% chance of
+   * being disabled in the child.
+   * @example
+   * // strand1 belongs to the fitter parent
+   * const childStrand = Strand.crossover(strand1, strand2, random);
+   * @param {Strand} fitter - strand of the fitter parent
+   * @param {Strand} other - strand of the less fit parent
+   * @param {Object} random - an instance of a random-js engine
+   * @returns {Strand} the child strand
+   */
+  static crossover(fitter, other, random) {
+    const child = new Strand();
+    const otherConnectionGenes = {};
+    const otherNodeGenes = {};
+
+    other.connectionGenes.forEach((gene) => {
+      otherConnectionGenes[gene.innovationNumber] = gene;
+    });
+    other.nodeGenes.forEach((gene) => {
+      otherNodeGenes[gene.id] = gene;
+    });
+
+    child.connectionGenes = fitter.connectionGenes.map((gene) => {
+      const match = otherConnectionGenes[gene.innovationNumber];
+
+      // Disjoint or excess gene
+      if (match === undefined) {
+        return gene.clone();
+      }
+
+      // Matching gene. Whether it's recurrent depends on the rest of the
+      // structure, which is the fitter parent's, so only its weight and
+      // enabled state may come from the other parent.
+      const inherited = gene.clone();
+      if (!random.bool()) {
+        inherited.weight = match.weight;
+        inherited.enabled = match.enabled;
+      }
+      if (!gene.enabled || !match.enabled) {
+        inherited.enabled = !random.bool(0.75);
+      }
+      return inherited;
+    });
+
+    // Every connection gene of the child comes from the structure of the fitter
+    // parent, so its node genes are all that's needed
+    child.nodeGenes = fitter.nodeGenes.map((gene) => {
+      const match = otherNodeGenes[gene.id];
+      if (match === undefined) {
+        return gene.clone();
+      }
+      return random.bool() ? gene.clone() : match.clone();
+    });
+
+    child._nextNodeGeneID = Math.max(fitter._nextNodeGeneID, other._nextNodeGeneID);
+
+    return child;
+  }
+
+  /**
+   * Calculates the NEAT compatibility distance between two strands, a measure
+   * of how far apart they are on the evolutionary tree. Connection genes are
+   * aligned by innovation number. Genes of one strand beyond the highest
+   * innovation number of the other are excess genes, the remaining unmatched
+   * genes are disjoint genes, and both counts are normalized by the size of
+   * the larger strand.
+   * @example
+   * const distance = Strand.compatibilityDistance(strand1, strand2, 1, 1, 0.4);
+   * const sameSpecies = distance < threshold;
+   * @param {Strand} strand1 - the first strand
+   * @param {Strand} strand2 - the second strand
+   * @param {number} excessCoefficient - importance of excess genes
+   * @param {number} disjointCoefficient - importance of disjoint genes
+   * @param {number} weightCoefficient - importance of the average weight
+   * difference of matching genes
+   * @returns {number} the compatibility distance
+   */
+  static compatibilityDistance(strand1, strand2, excessCoefficient, disjointCoefficient, weightCoefficient) {
+    const genes1 = {};
+    const genes2 = {};
+    const maxInnovation = (genes) => {
+      return genes.reduce((max, gene) => Math.max(max, gene.innovationNumber), 0);
+    };
+    const max1 = maxInnovation(strand1.connectionGenes);
+    const max2 = maxInnovation(strand2.connectionGenes);
+    let excess = 0;
+    let disjoint = 0;
+    let matching = 0;
+    let weightDifference = 0;
+
+    strand1.connectionGenes.forEach((gene) => { genes1[gene.innovationNumber] = gene; });
+    strand2.connectionGenes.forEach((gene) => { genes2[gene.innovationNumber] = gene; });
+
+    strand1.connectionGenes.forEach((gene) => {
+      const match = genes2[gene.innovationNumber];
+      if (match !== undefined) {
+        matching++;
+        weightDifference += Math.abs(gene.weight - match.weight);
+      } else if (gene.innovationNumber > max2) {
+        excess++;
+      } else {
+        disjoint++;
+      }
+    });
+
+    strand2.connectionGenes.forEach((gene) => {
+      if (genes1[gene.innovationNumber] === undefined) {
+        if (gene.innovationNumber > max1) {
+          excess++;
+        } else {
+          disjoint++;
+        }
+      }
+    });
+
+    const size = Math.max(strand1.connectionGenes.length, strand2.connectionGenes.length, 1);
+    const averageWeightDifference = matching > 0 ? weightDifference / matching : 0;
+
+    return (excessCoefficient * excess / size) +
+           (disjointCoefficient * disjoint / size) +
+           (weightCoefficient * averageWeightDifference);
+  }
+
+  /**
+   * Draws a number from the standard normal distribution using the Box-Muller
+   * transform
+   * @private
+   * @param {Object} random - an instance of a random-js engine
+   * @returns {number} normally distributed number with a mean of 0 and a
+   * standard deviation of 1
+   */
+  static _gaussian(random) {
+    const u1 = 1 - random.real(0, 1);
+    const u2 = random.real(0, 1);
+    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  }
 }
 
-Serializable.register(Strand);
+Serializable.register(Strand, "Strand");
 
 export default Strand;
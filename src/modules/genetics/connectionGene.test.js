@@ -3,13 +3,19 @@ import Serializable from "../util/Serializable";
 import { expect } from "chai";
 
 describe("ConnectionGene", () => {
-  it("is instantiable given in and out node IDs, weight, and enabled state", () => {
-    let gene = new ConnectionGene(1, 2, 0.5, false);
+  it("is instantiable given in and out node IDs, weight, enabled state, and innovation number", () => {
+    let gene = new ConnectionGene(1, 2, 0.5, false, 7);
     expect(gene).to.be.ok;
     expect(gene.in).to.equal(1);
     expect(gene.out).to.equal(2);
     expect(gene.weight).to.equal(0.5);
     expect(gene.enabled).to.equal(false);
+    expect(gene.innovationNumber).to.equal(7);
+  });
+
+  it("is not recurrent unless specified", () => {
+    expect(new ConnectionGene(1, 2, 0.5, true, 7).recurrent).to.be.false;
+    expect(new ConnectionGene(2, 2, 0.5, true, 8, true).recurrent).to.be.true;
   });
 
   it("should extend Serializable", () => {
@@ -26,42 +32,11 @@ describe("ConnectionGene", () => {
     expect(emptyConnGene).to.be.ok;
   });
 
-  describe("innovation tracking", () => {
-    beforeEach(() => {
-      ConnectionGene.resetInnovations();
-      ConnectionGene._nextInnovationNumber = 1;
-    });
-
-    it("stores a map of historic connection gene mutations", () => {
-      const connectionGene1 = new ConnectionGene(1, 2, 0.5, true); // New innovation
-      const connectionGene2 = new ConnectionGene(2, 3, 0.5, true); // New innovation
-      const connectionGene3 = new ConnectionGene(1, 2, 0.5, true); // Repeat innovation
-      const connectionGene4 = new ConnectionGene(3, 2, 0.5, true); // New innovation
-      expect(connectionGene1.innovationNumber).to.equal(1);
-      expect(connectionGene2.innovationNumber).to.equal(2);
-      expect(connectionGene3.innovationNumber).to.equal(1);
-      expect(connectionGene4.innovationNumber).to.equal(3);
-
-      // Global innovation number should be incremented
-      expect(ConnectionGene._nextInnovationNumber).to.equal(4);
-    });
-
-    it("can be reset", () => {
-      const connectionGene1 = new ConnectionGene(1, 2, 0.5, true); // New innovation
-      const connectionGene2 = new ConnectionGene(2, 3, 0.5, true); // New innovation
-      expect(connectionGene1.innovationNumber).to.equal(1);
-      expect(connectionGene2.innovationNumber).to.equal(2);
-
-      ConnectionGene.resetInnovations();
-      expect(ConnectionGene._innovationMap).to.eql({});
-      expect(ConnectionGene._nextInnovationNumber).to.equal(3);
-
-      // These innovations are "new" again, because the history was reset
-      const connectionGene3 = new ConnectionGene(1, 2, 0.5, true); // New innovation
-      const connectionGene4 = new ConnectionGene(2, 3, 0.5, true); // New innovation
-      expect(connectionGene3.innovationNumber).to.equal(3);
-      expect(connectionGene4.innovationNumber).to.equal(4);
-      expect(ConnectionGene._nextInnovationNumber).to.equal(5);
-    });
+  it("can be cloned, preserving its innovation number", () => {
+    const gene = new ConnectionGene(1, 2, 0.5, false, 7, true);
+    const copy = gene.clone();
+    expect(copy).to.not.equal(gene);
+    expect(copy).to.eql(gene);
+    expect(copy instanceof ConnectionGene).to.be.true;
   });
 });
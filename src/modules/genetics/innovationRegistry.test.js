@@ -0,0 +1,90 @@
+import InnovationRegistry from "./InnovationRegistry";
+import ConnectionGene from "./ConnectionGene";
+import Serializable from "../util/Serializable";
+import { expect } from "chai";
+
+describe("InnovationRegistry", () => {
+  let innovations;
+
+  beforeEach(() => {
+    innovations = new InnovationRegistry();
+  });
+
+  it("should extend Serializable", () => {
+    expect(innovations instanceof Serializable).to.be.true;
+  });
+
+  it("should register its constructor with Serializable", () => {
+    expect(Serializable._constructors["InnovationRegistry"]).to.eql(InnovationRegistry);
+  });
+
+  it("stores a map of historic connection gene mutations", () => {
+    expect(innovations.innovationNumber(1, 2)).to.equal(1); // New innovation
+    expect(innovations.innovationNumber(2, 3)).to.equal(2); // New innovation
+    expect(innovations.innovationNumber(1, 2)).to.equal(1); // Repeat innovation
+    expect(innovations.innovationNumber(3, 2)).to.equal(3); // New innovation
+    expect(innovations._nextInnovationNumber).to.equal(4);
+  });
+
+  it("keeps its history separate from other registries", () => {
+    const other = new InnovationRegistry();
+    innovations.innovationNumber(1, 2);
+    innovations.innovationNumber(2, 3);
+    expect(other.innovationNumber(2, 3)).to.equal(1);
+  });
+
+  it("can be reset", () => {
+    expect(innovations.innovationNumber(1, 2)).to.equal(1);
+    expect(innovations.innovationNumber(2, 3)).to.equal(2);
+
+    innovations.reset();
+    expect(innovations._innovations).to.eql({});
+    expect(innovations._splits).to.eql({});
+
+    // These innovations are "new" again, because the history was reset
+    expect(innovations.innovationNumber(1, 2)).to.equal(3);
+    expect(innovations.innovationNumber(2, 3)).to.equal(4);
+  });
+
+  it("hands out the same node ID for splits of the same connection", () => {
+    const connectionGene1 = new ConnectionGene(1, 2, 0.5, true, innovations.innovationNumber(1, 2));
+    const connectionGene2 = new ConnectionGene(1, 2, 0.5, true, innovations.innovationNumber(1, 2));
+    const connectionGene3 = new ConnectionGene(2, 3, 0.5, true, innovations.innovationNumber(2, 3));
+
+    const nodeID1 = innovations.splitNodeID(connectionGene1, 4);
+    const nodeID2 = innovations.splitNodeID(connectionGene2, 4);
+    const nodeID3 = innovations.splitNodeID(connectionGene3, 4);
+
+    expect(nodeID1).to.equal(nodeID2);
+    expect(nodeID3).to.not.equal(nodeID1);
+    expect(nodeID1).to.be.at.least(4);
+    expect(nodeID3).to.be.at.least(4);
+  });
+
+  it("never hands out the same new node ID twice", () => {
+    const id1 = innovations.nextNodeID(1);
+    const id2 = innovations.nextNodeID(1);
+    const id3 = innovations.nextNodeID(10);
+    expect(id2).to.be.above(id1);
+    expect(id3).to.equal(Math.max(10, id2 + 1));
+  });
+
+  it("never hands out node IDs registered as in use", () => {
+    innovations.registerNodeID(8);
+    expect(innovations.nextNodeID(1)).to.equal(9);
+    innovations.registerNodeID(3);
+    expect(innovations.nextNodeID(1)).to.equal(10);
+  });
+
+  it("can be serialized and restored", () => {
+    innovations.innovationNumber(1, 2);
+    innovations.innovationNumber(2, 3);
+    innovations.nextNodeID(5);
+
+    const restored = Serializable.restore(innovations.serialize());
+    expect(restored instanceof InnovationRegistry).to.be.true;
+    expect(restored.innovationNumber(2, 3)).to.equal(2);
+    expect(restored.innovationNumber(3, 4)).to.equal(3);
+    expect(restored.nextNodeID(1)).to.equal(6);
+  });
+});
@@ -0,0 +1,72 @@
+import Network from "./Network";
+import NodeGene from "./NodeGene";
+import { expect } from "chai";
+
+describe("Network", () => {
+  const code = (name) => NodeGene.activations.indexOf(name);
+  let network;
+
+  beforeEach(() => {
+    // Input 0 and a recurrent link from output 1 to itself feed output 1
+    network = new Network(2, 1, 1, 2);
+    network.activations[1] = code("identity");
+    network.biases[1] = 0.5;
+    network.connectionStarts.set([0, 0, 2]);
+    network.sources.set([0, 1]);
+    network.weights.set([2, 0.5]);
+    network.recurrent.set([0, 1]);
+    network.outputIndices[0] = 1;
+  });
+
+  it("is instantiable given the number of neurons, inputs, outputs and connections", () => {
+    const network = new Network(5, 2, 1, 4);
+    expect(network.inputCount).to.equal(2);
+    expect(network.biases).to.have.lengthOf(5);
+    expect(network.activations).to.have.lengthOf(5);
+    expect(network.connectionStarts).to.have.lengthOf(6);
+    expect(network.sources).to.have.lengthOf(4);
+    expect(network.weights).to.have.lengthOf(4);
+    expect(network.recurrent).to.have.lengthOf(4);
+    expect(network.outputIndices).to.have.lengthOf(1);
+  });
+
+  it("activates on the given inputs", () => {
+    expect(network.activate([1])[0]).to.equal(2.5);
+  });
+
+  it("treats missing inputs as zero", () => {
+    expect(network.activate([])[0]).to.equal(0.5);
+  });
+
+  it("feeds the previous activation back in through recurrent connections", () => {
+    expect(network.activate([1])[0]).to.equal(2.5);
+    expect(network.activate([1])[0]).to.equal(2.5 + 0.5 * 2.5);
+  });
+
+  it("can forget its previous activation", () => {
+    network.activate([1]);
+    network.reset();
+    expect(network.activate([1])[0]).to.equal(2.5);
+  });
+
+  it("can save and restore its memory", () => {
+    network.activate([1]);
+    const memory = network.getMemory();
+    network.activate([1]);
+
+    expect(network.setMemory(memory)[0]).to.equal(2.5);
+    expect(network.activate([1])[0]).to.equal(2.5 + 0.5 * 2.5);
+  });
+
+  it("can squash values with every activation function a node gene may carry", () => {
+    expect(Network.squash(code("logistic"), 0)).to.equal(0.5);
+    expect(Network.squash(code("tanh"), 0.5)).to.equal(Math.tanh(0.5));
+    expect(Network.squash(code("relu"), -1)).to.equal(0);
+    expect(Network.squash(code("relu"), 2)).to.equal(2);
+    expect(Network.squash(code("identity"), -3)).to.equal(-3);
+    expect(Network.squash(code("step"), -0.1)).to.equal(0);
+    expect(Network.squash(code("step"), 0.1)).to.equal(1);
+    expect(Network.squash(code("sine"), Math.PI / 2)).to.equal(1);
+    expect(Network.squash(code("gaussian"), 0)).to.equal(1);
+  });
+});
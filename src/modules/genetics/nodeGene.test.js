@@ -20,6 +20,19 @@ describe("NodeGene", () => {
     expect(gene.type).to.equal("hidden");
   });
 
+  it("can be instantiated with an activation function and bias", () => {
+    const gene = new NodeGene(2, "output", "tanh", 0.25);
+    expect(gene.activation).to.equal("tanh");
+    expect(gene.bias).to.equal(0.25);
+    expect(NodeGene.activations).to.include("tanh");
+  });
+
+  it("defaults to a logistic activation function and no bias", () => {
+    const gene = new NodeGene(1, "hidden");
+    expect(gene.activation).to.equal("logistic");
+    expect(gene.bias).to.equal(0);
+  });
+
   it("should extend Serializable", () => {
     const gene = new NodeGene(1, "input");
     expect(gene instanceof Serializable).to.be.true;
@@ -35,4 +48,12 @@ describe("NodeGene", () => {
     expect(emptyNodeGene.id).to.equal(0);
     expect(emptyNodeGene.type).to.equal("hidden");
   });
+
+  it("can be cloned", () => {
+    const gene = new NodeGene(3, "output", "sine", -0.5);
+    const copy = gene.clone();
+    expect(copy).to.not.equal(gene);
+    expect(copy).to.eql(gene);
+    expect(copy instanceof NodeGene).to.be.true;
+  });
 });
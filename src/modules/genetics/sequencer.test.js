@@ -1,63 +1,164 @@
 import Sequencer from "./Sequencer";
 import Strand from "./Strand";
+import NodeGene from "./NodeGene";
+import ConnectionGene from "./ConnectionGene";
+import Network from "./Network";
+import InnovationRegistry from "./InnovationRegistry";
 import { expect } from "chai";
 import { stub } from "sinon";
 
 describe("Sequencer", () => {
-  let random;
+  let random, innovations;
 
   beforeEach(() => {
+    innovations = new InnovationRegistry();
     random = {
       real: stub().returns(0.5)
     };
   });
 
-  it("should read in a Strand and produce a Synaptic neural network", () => {
+  const sequencerOrder = (strand) => new Sequencer()._activationOrder(strand);
+  const positionIn = (strand) => {
+    const order = sequencerOrder(strand);
+    return (id) => order.findIndex((gene) => gene.id === id);
+  };
+
+  it("should read in a Strand and produce a Network", () => {
     const sequencer = new Sequencer();
-    const strand = new Strand(3, 4, true, random);
+    const strand = new Strand(3, 4, true, random, innovations);
     const network = sequencer.read(strand);
-    // TODO: Add and test some hidden neurons too!
 
-    expect(network.inputs()).to.equal(3);
-    expect(network.outputs()).to.equal(4);
-    expect(network.layers.hidden[0].size).to.equal(0);
+    expect(network instanceof Network).to.be.true;
+    expect(network.inputCount).to.equal(3);
+    expect(network.outputIndices).to.have.lengthOf(4);
+    expect(network.biases).to.have.lengthOf(7);
+    expect(network.weights).to.have.lengthOf(12);
+    expect(network.activate([0.1, 0.2, 0.3])).to.have.lengthOf(4);
   });
 
-  it("should set all neuron biases to 1", () => {
+  it("should activate hidden neurons after the neurons feeding them", () => {
     const sequencer = new Sequencer();
-    const strand = new Strand(3, 4, true, random);
+    const strand = new Strand(2, 1, true, random, innovations);
+    random.pick = (array) => array[0];
+
+    // Split input 1 -> output 3 twice, producing the chain 1 -> h1 -> h2 -> 3
+    const hidden1 = strand.mutateAddNode(random, innovations);
+    random.pick = (array) => array[array.length - 1];
+    const hidden2 = strand.mutateAddNode(random, innovations);
+    // ...and a hidden neuron fed straight from input 2
+    random.pick = (array) => array.find((gene) => gene.in === 2);
+    const hidden3 = strand.mutateAddNode(random, innovations);
+
     const network = sequencer.read(strand);
-    network.neurons().forEach(({neuron}) => {
-      expect(neuron.bias).to.equal(1);
-    });
+    const position = positionIn(strand);
+
+    expect(position(1)).to.equal(0);
+    expect(position(2)).to.equal(1);
+    expect(position(hidden1.id)).to.be.below(position(hidden2.id));
+    expect(position(hidden2.id)).to.be.below(position(3));
+    expect(position(hidden3.id)).to.be.below(position(3));
+    expect(network.outputIndices[0]).to.equal(position(3));
+  });
+
+  it("should compute the same outputs as evaluating the strand by hand", () => {
+    const sequencer = new Sequencer();
+    const strand = new Strand(2, 1, true, random, innovations);
+    random.pick = (array) => array[0];
+    const hidden = strand.mutateAddNode(random, innovations); // 1 -> h -> 3
+    strand.nodeGenes.find((gene) => gene.id === hidden.id).bias = 0.25;
+
+    const logistic = (x) => 1 / (1 + Math.exp(-x));
+    const h = logistic(0.25 + 1 * 0.2);
+    const expected = logistic(0.5 * h + 0.5 * 0.4);
+
+    const [output] = sequencer.read(strand).activate([0.2, 0.4]);
+    expect(output).to.be.closeTo(expected, 0.0001);
+  });
+
+  it("should remember the state of recurrent connections between activations", () => {
+    const sequencer = new Sequencer();
+    const strand = new Strand(1, 1, true, random, innovations);
+    random.pick = (array) => array[0];
+    strand.mutateAddConnection(random, innovations, true); // Output to itself
+    const network = sequencer.read(strand);
+
+    const [first] = network.activate([1]);
+    const [second] = network.activate([1]);
+    expect(second).to.be.above(first);
+
+    // A feed forward network gives the same output for the same input
+    const feedForward = sequencer.read(new Strand(1, 1, true, random, innovations));
+    expect(feedForward.activate([1])[0]).to.equal(feedForward.activate([1])[0]);
+  });
+
+  it("should ignore recurrent connections when ordering neurons", () => {
+    const sequencer = new Sequencer();
+    const strand = new Strand(1, 1, true, random, innovations);
+    random.pick = (array) => array[0];
+    const hidden1 = strand.mutateAddNode(random, innovations); // 1 -> h1 -> 2
+    random.pick = (array) => array[array.length - 1];
+    const hidden2 = strand.mutateAddNode(random, innovations); // 1 -> h1 -> h2 -> 2
+    random.pick = (array) => array.find(([inID, outID]) => outID === hidden1.id);
+    const feedback = strand.mutateAddConnection(random, innovations, true); // Feeds back into h1
+
+    const network = sequencer.read(strand);
+    const position = positionIn(strand);
+    expect(position(hidden1.id)).to.be.below(position(hidden2.id));
+    expect(position(hidden2.id)).to.be.below(position(2));
+    expect(Array.from(network.recurrent)).to.include(1);
+    expect(feedback.recurrent).to.be.true;
+  });
+
+  it("should still order neurons caught in a cycle of feed forward connections", () => {
+    const strand = new Strand(1, 1, true, random, innovations);
+    strand.nodeGenes.push(new NodeGene(3, "hidden"), new NodeGene(4, "hidden"));
+    strand.connectionGenes.push(
+      new ConnectionGene(3, 4, 0.5, true, innovations.innovationNumber(3, 4)),
+      new ConnectionGene(4, 3, 0.5, true, innovations.innovationNumber(4, 3))
+    );
+
+    const order = sequencerOrder(strand).map((gene) => gene.id);
+    expect(order).to.eql([1, 2, 3, 4]);
+    expect(new Sequencer().read(strand).activate([1])).to.have.lengthOf(1);
+  });
+
+  it("should set neuron biases and activation functions from node genes", () => {
+    const sequencer = new Sequencer();
+    const strand = new Strand(1, 2, true, random, innovations);
+    strand.nodeGenes[1].activation = "tanh";
+    strand.nodeGenes[1].bias = 0.1;
+    strand.nodeGenes[2].activation = "gaussian";
+    strand.nodeGenes[2].bias = -0.1;
+    const network = sequencer.read(strand);
+
+    expect(network.activations[1]).to.equal(NodeGene.activations.indexOf("tanh"));
+    expect(network.activations[2]).to.equal(NodeGene.activations.indexOf("gaussian"));
+    expect(network.biases[1]).to.be.closeTo(0.1, 0.0001);
+    expect(network.biases[2]).to.be.closeTo(-0.1, 0.0001);
+
+    // Weights are 0.5
+    const [tanhOutput, gaussianOutput] = network.activate([1]);
+    expect(tanhOutput).to.be.closeTo(Math.tanh(0.6), 0.0001);
+    expect(gaussianOutput).to.be.closeTo(Math.exp(-0.16), 0.0001);
   });
 
   it("should set connection weights for enabled connection genes", () => {
     const sequencer = new Sequencer();
-    const strand = new Strand(3, 4, true, random);
+    const strand = new Strand(3, 4, true, random, innovations);
     const network = sequencer.read(strand);
-    network.neurons().forEach(({neuron}) => {
-      Object.values(neuron.connections.inputs).forEach((connection) => {
-        // Random number generator is stubbed to always return 0.5
-        expect(connection.weight).to.equal(0.5);
-      });
-      Object.values(neuron.connections.projected).forEach((connection) => {
-        expect(connection.weight).to.equal(0.5);
-      });
+    // Random number generator is stubbed to always return 0.5
+    Array.from(network.weights).forEach((weight) => {
+      expect(weight).to.equal(0.5);
     });
   });
 
-  it("should set connection weights to zero for disabled connection genes", () => {
+  it("should leave out disabled connection genes", () => {
     const sequencer = new Sequencer();
-    const strand = new Strand(3, 4, false, random);
+    const strand = new Strand(3, 4, false, random, innovations);
     const network = sequencer.read(strand);
-    network.neurons().forEach(({neuron}) => {
-      Object.values(neuron.connections.inputs).forEach((connection) => {
-        expect(connection.weight).to.equal(0);
-      });
-      Object.values(neuron.connections.projected).forEach((connection) => {
-        expect(connection.weight).to.equal(0);
-      });
+    expect(network.weights).to.have.lengthOf(0);
+    Array.from(network.activate([1, 1, 1])).forEach((output) => {
+      expect(output).to.equal(0.5);
     });
   });
 });
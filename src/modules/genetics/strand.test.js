@@ -1,21 +1,25 @@
 import Strand from "./Strand";
+import NodeGene from "./NodeGene";
+import ConnectionGene from "./ConnectionGene";
 import Serializable from "../util/Serializable";
+import InnovationRegistry from "./InnovationRegistry";
 import { expect } from "chai";
 import { stub } from "sinon";
 
 describe("Strand", () => {
-  let random;
+  let random, innovations;
   const isEnabled = (gene) => gene.enabled;
   const isDisabled = (gene) => !gene.enabled;
 
   beforeEach(() => {
+    innovations = new InnovationRegistry();
     random = {
       real: stub().returns(0.5)
     };
   });
 
   it("should extend Serializable", () => {
-    const strand = new Strand(4, 6, true, random);
+    const strand = new Strand(4, 6, true, random, innovations);
     expect(strand instanceof Serializable).to.be.true;
   });
 
@@ -29,14 +33,14 @@ describe("Strand", () => {
   });
 
   it("should be instantiated with the correct number of input/output node genes", () => {
-    let strand = new Strand(2, 3, true, random);
+    let strand = new Strand(2, 3, true, random, innovations);
     let nodeGenes = strand.nodeGenes;
     // 2 input neurons, 3 output neurons
     expect(nodeGenes).to.have.lengthOf(5);
     expect(strand.inputNodeGeneCount).to.equal(2);
     expect(strand.outputNodeGeneCount).to.equal(3);
 
-    strand = new Strand(6, 4, true, random);
+    strand = new Strand(6, 4, true, random, innovations);
     nodeGenes = strand.nodeGenes;
     // 6 input neurons, 4 output neurons
     expect(nodeGenes).to.have.lengthOf(10);
@@ -45,7 +49,7 @@ describe("Strand", () => {
   });
 
   it("should use sequential node gene IDs", () => {
-    let strand = new Strand(2, 3, true, random);
+    let strand = new Strand(2, 3, true, random, innovations);
     let nodeGenes = strand.nodeGenes;
 
     let id = 1;
@@ -55,34 +59,414 @@ describe("Strand", () => {
   });
 
   it("should be instantiated with zero hidden node genes", () => {
-    let strand = new Strand(2, 3, true, random);
+    let strand = new Strand(2, 3, true, random, innovations);
     expect(strand.hiddenNodeGeneCount).to.equal(0);
   });
 
   it("describes a fully connected neural network", () => {
-    let strand = new Strand(2, 3, true, random);
+    let strand = new Strand(2, 3, true, random, innovations);
     let connectionGenes = strand.connectionGenes;
     expect(connectionGenes).to.have.lengthOf(6);
 
-    strand = new Strand(9, 7, true, random);
+    strand = new Strand(9, 7, true, random, innovations);
     connectionGenes = strand.connectionGenes;
     expect(connectionGenes).to.have.lengthOf(63);
   });
 
   it("is created with either all connection genes enabled, or all connection genes disabled", () => {
-    let strand = new Strand(2, 3, false, random); // All disabled
+    let strand = new Strand(2, 3, false, random, innovations); // All disabled
     let connectionGenes = strand.connectionGenes;
     expect(connectionGenes.filter(isDisabled)).to.have.lengthOf(6);
 
-    strand = new Strand(2, 3, true, random); // All enabled
+    strand = new Strand(2, 3, true, random, innovations); // All enabled
     connectionGenes = strand.connectionGenes;
     expect(connectionGenes.filter(isEnabled)).to.have.lengthOf(6);
   });
 
   it("can count its input/output/hidden node genes", () => {
-    let strand = new Strand(2, 3, true, random);
+    let strand = new Strand(2, 3, true, random, innovations);
     expect(strand.inputNodeGeneCount).to.equal(2);
     expect(strand.outputNodeGeneCount).to.equal(3);
     expect(strand.hiddenNodeGeneCount).to.equal(0);
   });
+
+  it("can be cloned", () => {
+    const strand = new Strand(2, 3, true, random, innovations);
+    const copy = strand.clone();
+
+    expect(copy instanceof Strand).to.be.true;
+    expect(copy).to.eql(strand);
+    expect(copy.nodeGenes[0]).to.not.equal(strand.nodeGenes[0]);
+    expect(copy.connectionGenes[0]).to.not.equal(strand.connectionGenes[0]);
+  });
+
+  describe("weight mutation", () => {
+    beforeEach(() => {
+      random.bool = stub().returns(true);
+    });
+
+    it("nudges weights by a normally distributed amount", () => {
+      const strand = new Strand(2, 2, true, random, innovations);
+      // u1 = 1 - 0.5, u2 = 0 produces a standard normal value of ~1.1774
+      random.real = stub().returns(0);
+      random.real.onCall(0).returns(0.5);
+
+      strand.mutateWeights(random, 1, 1, 0.1);
+
+      expect(strand.connectionGenes[0].weight).to.be.closeTo(0.5 + 0.11774, 0.0001);
+    });
+
+    it("can re-randomize weights instead of nudging them", () => {
+      const strand = new Strand(2, 2, true, random, innovations);
+      random.bool.withArgs(0.9).returns(false);
+      random.real = stub().returns(0.8);
+
+      strand.mutateWeights(random, 0.5, 0.9, 0.1);
+
+      strand.connectionGenes.forEach((gene) => {
+        expect(gene.weight).to.equal(0.8);
+      });
+    });
+
+    it("only mutates weights at the given rate", () => {
+      const strand = new Strand(2, 2, true, random, innovations);
+      random.bool.withArgs(0.1).returns(false);
+
+      strand.mutateWeights(random, 0.1, 0.9, 0.1);
+
+      strand.connectionGenes.forEach((gene) => {
+        expect(gene.weight).to.equal(0.5);
+      });
+    });
+
+    it("keeps weights between 0 and 1", () => {
+      const strand = new Strand(2, 2, true, random, innovations);
+      random.real = stub().returns(0);
+      random.real.onCall(0).returns(0.999999);
+
+      strand.mutateWeights(random, 1, 1, 10);
+      expect(strand.connectionGenes[0].weight).to.equal(1);
+    });
+
+    it("can toggle the enabled state of connection genes", () => {
+      const strand = new Strand(2, 2, true, random, innovations);
+      random.bool = stub().returns(false);
+      random.bool.onCall(1).returns(true);
+
+      strand.mutateEnabled(random, 0.01);
+
+      expect(strand.connectionGenes.filter(isDisabled)).to.have.lengthOf(1);
+      expect(strand.connectionGenes[1].enabled).to.be.false;
+    });
+  });
+
+  describe("node mutation", () => {
+    beforeEach(() => {
+      random.bool = stub().returns(true);
+    });
+
+    it("nudges the biases of hidden and output nodes", () => {
+      const strand = new Strand(2, 2, true, random, innovations);
+      // u1 = 1 - 0.5, u2 = 0 produces a standard normal value of ~1.1774
+      random.real = stub().returns(0);
+      random.real.onCall(0).returns(0.5);
+
+      strand.mutateBiases(random, 1, 1, 0.1);
+
+      const [input1, input2, output1, output2] = strand.nodeGenes;
+      expect(input1.bias).to.equal(0);
+      expect(input2.bias).to.equal(0);
+      expect(output1.bias).to.be.closeTo(0.11774, 0.0001);
+      expect(output2.bias).to.equal(0);
+    });
+
+    it("can re-randomize biases, keeping them between -1 and 1", () => {
+      const strand = new Strand(2, 2, true, random, innovations);
+      random.bool.withArgs(0.9).returns(false);
+      random.real = stub().returns(-0.7);
+
+      strand.mutateBiases(random, 0.5, 0.9, 0.1);
+
+      strand.nodeGenes.filter((gene) => gene.type === "output").forEach((gene) => {
+        expect(gene.bias).to.equal(-0.7);
+      });
+      expect(random.real.alwaysCalledWith(-1, 1, true)).to.be.true;
+    });
+
+    it("swaps the activation functions of hidden and output nodes", () => {
+      const strand = new Strand(1, 1, true, random, innovations);
+      random.pick = (array) => array[0];
+
+      strand.mutateActivations(random, 0.02);
+
+      const [input, output] = strand.nodeGenes;
+      expect(input.activation).to.equal("logistic");
+      expect(output.activation).to.not.equal("logistic");
+      expect(NodeGene.activations).to.include(output.activation);
+    });
+
+    it("only mutates nodes at the given rate", () => {
+      const strand = new Strand(2, 2, true, random, innovations);
+      random.bool = stub().returns(false);
+
+      strand.mutateBiases(random, 0.1, 0.9, 0.1);
+      strand.mutateActivations(random, 0.02);
+
+      strand.nodeGenes.forEach((gene) => {
+        expect(gene.bias).to.equal(0);
+        expect(gene.activation).to.equal("logistic");
+      });
+    });
+  });
+
+  describe("structural mutation", () => {
+    beforeEach(() => {
+      random.pick = (array) => array[0];
+    });
+
+    it("can split a connection gene with a new hidden node gene", () => {
+      const strand = new Strand(2, 1, true, random, innovations);
+      const split = strand.connectionGenes[0];
+      const node = strand.mutateAddNode(random, innovations);
+
+      expect(node.type).to.equal("hidden");
+      expect(strand.hiddenNodeGeneCount).to.equal(1);
+      expect(split.enabled).to.be.false;
+      expect(strand.connectionGenes).to.have.lengthOf(4);
+
+      const [into, outOf] = strand.connectionGenes.slice(2);
+      expect(into.in).to.equal(split.in);
+      expect(into.out).to.equal(node.id);
+      expect(into.weight).to.equal(1);
+      expect(outOf.in).to.equal(node.id);
+      expect(outOf.out).to.equal(split.out);
+      expect(outOf.weight).to.equal(split.weight);
+      expect(strand._nextNodeGeneID).to.be.above(node.id);
+    });
+
+    it("only splits enabled connection genes", () => {
+      const strand = new Strand(2, 1, false, random, innovations);
+      expect(strand.mutateAddNode(random, innovations)).to.be.null;
+      expect(strand.hiddenNodeGeneCount).to.equal(0);
+    });
+
+    it("gives the same split the same node ID across strands", () => {
+      const strand1 = new Strand(2, 1, true, random, innovations);
+      const strand2 = new Strand(2, 1, true, random, innovations);
+      const node1 = strand1.mutateAddNode(random, innovations);
+      const node2 = strand2.mutateAddNode(random, innovations);
+      expect(node1.id).to.equal(node2.id);
+    });
+
+    it("gives a repeated split within one strand a new node ID", () => {
+      const strand = new Strand(2, 1, true, random, innovations);
+      const node1 = strand.mutateAddNode(random, innovations);
+      strand.connectionGenes[0].enabled = true;
+      random.pick = (array) => array.find((gene) => gene === strand.connectionGenes[0]);
+      const node2 = strand.mutateAddNode(random, innovations);
+      expect(node2.id).to.not.equal(node1.id);
+    });
+
+    it("can connect two previously unconnected node genes", () => {
+      const strand = new Strand(2, 1, true, random, innovations);
+      strand.mutateAddNode(random, innovations);
+      const conn = strand.mutateAddConnection(random, innovations);
+
+      expect(conn).to.be.ok;
+      expect(strand.connectionGenes).to.include(conn);
+      expect(conn.weight).to.equal(0.5);
+      expect(conn.enabled).to.be.true;
+      const duplicates = strand.connectionGenes.filter((gene) => {
+        return gene.in === conn.in && gene.out === conn.out;
+      });
+      expect(duplicates).to.have.lengthOf(1);
+    });
+
+    it("never connects into inputs, out of outputs, or in a cycle", () => {
+      const strand = new Strand(2, 1, true, random, innovations);
+      strand.mutateAddNode(random, innovations);
+      strand.mutateAddNode(random, innovations);
+      const types = {};
+      strand.nodeGenes.forEach((gene) => { types[gene.id] = gene.type; });
+
+      random.pick = (array) => {
+        array.forEach(([inID, outID]) => {
+          expect(types[inID]).to.not.equal("output");
+          expect(types[outID]).to.not.equal("input");
+          expect(strand._isReachable(outID, inID)).to.be.false;
+        });
+        return array[0];
+      };
+
+      while (strand.mutateAddConnection(random, innovations) !== null);
+    });
+
+    it("returns null when there is nothing left to connect", () => {
+      const strand = new Strand(2, 1, true, random, innovations);
+      expect(strand.mutateAddConnection(random, innovations)).to.be.null;
+    });
+
+    it("can add recurrent connections, including self-connections", () => {
+      const strand = new Strand(2, 1, true, random, innovations);
+      random.pick = (array) => array[0];
+      strand.mutateAddNode(random, innovations);
+      const types = {};
+      strand.nodeGenes.forEach((gene) => { types[gene.id] = gene.type; });
+
+      random.pick = (array) => {
+        array.forEach(([inID, outID]) => {
+          expect(types[inID]).to.not.equal("input");
+          expect(types[outID]).to.not.equal("input");
+          expect(inID === outID || types[inID] === "output" || strand._isReachable(outID, inID)).to.be.true;
+        });
+        return array[0];
+      };
+
+      const conn = strand.mutateAddConnection(random, innovations, true);
+      expect(conn.recurrent).to.be.true;
+      while (strand.mutateAddConnection(random, innovations, true) !== null);
+
+      // Every node but the inputs is now connected to itself
+      strand.nodeGenes.filter((gene) => gene.type !== "input").forEach((node) => {
+        expect(strand._isConnected(node.id, node.id)).to.be.true;
+      });
+    });
+
+    it("ignores recurrent connections when looking for cycles", () => {
+      const strand = new Strand(1, 1, true, random, innovations);
+      random.pick = (array) => array[0];
+      strand.mutateAddConnection(random, innovations, true); // 2 -> 2
+      const hidden = strand.mutateAddNode(random, innovations); // 1 -> h -> 2
+      expect(strand._isReachable(2, hidden.id)).to.be.false;
+      expect(strand.mutateAddConnection(random, innovations)).to.be.null;
+    });
+
+    it("keeps the outgoing half of a split recurrent connection recurrent", () => {
+      const strand = new Strand(1, 1, true, random, innovations);
+      const conn = strand.mutateAddConnection(random, innovations, true);
+      random.pick = (array) => conn;
+      const node = strand.mutateAddNode(random, innovations);
+
+      const into = strand.connectionGenes.find((gene) => gene.out === node.id);
+      const outOf = strand.connectionGenes.find((gene) => gene.in === node.id);
+      expect(into.recurrent).to.be.false;
+      expect(outOf.recurrent).to.be.true;
+    });
+  });
+
+  describe("crossover", () => {
+    let fitter, other;
+    const innovationsOf = (strand) => {
+      return strand.connectionGenes.map((gene) => gene.innovationNumber);
+    };
+
+    beforeEach(() => {
+      random.bool = stub().returns(true);
+
+      fitter = new Strand(2, 1, true, random, innovations);
+      other = new Strand(2, 1, true, random, innovations);
+
+      // Give each parent a hidden node and connection the other doesn't have
+      fitter.nodeGenes.push(new NodeGene(fitter._nextNodeGeneID++, "hidden"));
+      fitter.connectionGenes.push(new ConnectionGene(1, 4, 0.5, true, innovations.innovationNumber(1, 4)));
+      other.nodeGenes.push(new NodeGene(other._nextNodeGeneID++, "hidden"));
+      other.nodeGenes.push(new NodeGene(other._nextNodeGeneID++, "hidden"));
+      other.connectionGenes.push(new ConnectionGene(2, 5, 0.5, true, innovations.innovationNumber(2, 5)));
+    });
+
+    it("produces a new strand", () => {
+      const child = Strand.crossover(fitter, other, random);
+      expect(child instanceof Strand).to.be.true;
+      expect(child).to.not.equal(fitter);
+      expect(child).to.not.equal(other);
+    });
+
+    it("inherits disjoint and excess genes from the fitter parent only", () => {
+      const child = Strand.crossover(fitter, other, random);
+      expect(innovationsOf(child)).to.eql(innovationsOf(fitter));
+      expect(child.nodeGenes.map((gene) => gene.id)).to.eql([1, 2, 3, 4]);
+    });
+
+    it("inherits matching genes randomly from either parent", () => {
+      other.connectionGenes[0].weight = 0.9;
+
+      random.bool.returns(false);
+      let child = Strand.crossover(fitter, other, random);
+      expect(child.connectionGenes[0].weight).to.equal(0.9);
+
+      random.bool.returns(true);
+      child = Strand.crossover(fitter, other, random);
+      expect(child.connectionGenes[0].weight).to.equal(0.5);
+    });
+
+    it("keeps the fitter parent's recurrent flag on matching genes", () => {
+      // Only the fitter parent has a path from node 3 to node 4, which makes
+      // its connection from node 4 back to node 3 recurrent
+      fitter.connectionGenes.push(new ConnectionGene(3, 4, 0.5, true, innovations.innovationNumber(3, 4)));
+      fitter.connectionGenes.push(new ConnectionGene(4, 3, 0.5, true, innovations.innovationNumber(4, 3), true));
+      other.connectionGenes.push(new ConnectionGene(4, 3, 0.9, true, innovations.innovationNumber(4, 3)));
+
+      random.bool.returns(false);
+      const child = Strand.crossover(fitter, other, random);
+      const gene = child.connectionGenes.find((gene) => gene.in === 4 && gene.out === 3);
+      expect(gene.weight).to.equal(0.9);
+      expect(gene.recurrent).to.be.true;
+    });
+
+    it("usually disables genes that are disabled in either parent", () => {
+      other.connectionGenes[0].enabled = false;
+
+      random.bool.withArgs(0.75).returns(true);
+      let child = Strand.crossover(fitter, other, random);
+      expect(child.connectionGenes[0].enabled).to.be.false;
+
+      random.bool.withArgs(0.75).returns(false);
+      child = Strand.crossover(fitter, other, random);
+      expect(child.connectionGenes[0].enabled).to.be.true;
+    });
+
+    it("copies genes rather than sharing them with the parents", () => {
+      const child = Strand.crossover(fitter, other, random);
+      child.connectionGenes[0].weight = 0.1;
+      child.nodeGenes[0].type = "hidden";
+      expect(fitter.connectionGenes[0].weight).to.equal(0.5);
+      expect(other.connectionGenes[0].weight).to.equal(0.5);
+      expect(fitter.nodeGenes[0].type).to.equal("input");
+    });
+
+    it("continues node gene IDs where the parents left off", () => {
+      const child = Strand.crossover(fitter, other, random);
+      expect(child._nextNodeGeneID).to.equal(6);
+    });
+  });
+
+  describe("compatibility distance", () => {
+    let strand1, strand2;
+
+    beforeEach(() => {
+      strand1 = new Strand(2, 2, true, random, innovations);
+      strand2 = strand1.clone();
+    });
+
+    it("is zero between identical strands", () => {
+      expect(Strand.compatibilityDistance(strand1, strand2, 1, 1, 1)).to.equal(0);
+    });
+
+    it("accounts for the average weight difference of matching genes", () => {
+      strand2.connectionGenes[0].weight = 0.9;
+      strand2.connectionGenes[1].weight = 0.1;
+      const distance = Strand.compatibilityDistance(strand1, strand2, 1, 1, 2);
+      expect(distance).to.be.closeTo(2 * (0.4 + 0.4) / 4, 0.0001);
+    });
+
+    it("accounts for disjoint and excess genes", () => {
+      strand1.connectionGenes.sort((a, b) => a.innovationNumber - b.innovationNumber);
+      strand1.connectionGenes.splice(3, 1); // excess, as it was the newest gene
+      strand1.connectionGenes.splice(1, 1); // disjoint
+
+      expect(Strand.compatibilityDistance(strand1, strand2, 3, 0, 0)).to.equal(3 * 1 / 4);
+      expect(Strand.compatibilityDistance(strand1, strand2, 0, 5, 0)).to.equal(5 * 1 / 4);
+      expect(Strand.compatibilityDistance(strand2, strand1, 3, 5, 0)).to.equal(8 / 4);
+    });
+  });
 });
@@ -91,6 +91,33 @@ class HexGrid extends CoordEntityIndex {
     });
   }
 
+  /**
+   * Returns the Coords that are exactly the given number of tiles away from
+   * the given Coord, whether or not they lie within the grid
+   * @example
+   * let secondRing = myGrid.ringOf(new Coord(0, 0), 2); // 12 Coords
+   * @param {Coord} coord - coordinates of the tile at the center of the ring
+   * @param {number} radius - distance of the ring from its center in tiles
+   * @returns {Coord[]} The array of Coords in the ring
+   */
+  ringOf(coord, radius) {
+    return HexGrid.ring(coord, radius);
+  }
+
+  /**
+   * Returns the Coords that are at most the given number of tiles away from
+   * the given Coord, whether or not they lie within the grid. The Coords are
+   * ordered by their distance from the center, starting with the center.
+   * @example
+   * let withinTwo = myGrid.spiralOf(new Coord(0, 0), 2); // 19 Coords
+   * @param {Coord} coord - coordinates of the tile at the center of the spiral
+   * @param {number} radius - maximum distance from the center in tiles
+   * @returns {Coord[]} The array of Coords in the spiral
+   */
+  spiralOf(coord, radius) {
+    return HexGrid.spiral(coord, radius);
+  }
+
   /**
    * Calculates the distance between two Coords in tiles
    * @example
@@ -121,6 +148,52 @@ class HexGrid extends CoordEntityIndex {
     );
   }
 
+  /**
+   * Returns the Coords that are exactly the given number of tiles away from
+   * the given Coord. Does not require a grid instance.
+   * @see {@link HexGrid#ringOf}
+   * @param {Coord} coord - coordinates of the tile at the center of the ring
+   * @param {number} radius - distance of the ring from its center in tiles
+   * @returns {Coord[]} The array of Coords in the ring
+   */
+  static ring({ x: q, y: r }, radius) {
+    if (radius === 0) {
+      return [new Coord(q, r)];
+    }
+
+    // Start at one corner of the ring, then walk each of its six sides
+    const [qs, rs] = HexGrid._axialUnitDirections[4];
+    let qc = q + qs * radius;
+    let rc = r + rs * radius;
+    const ring = [];
+    HexGrid._axialUnitDirections.forEach(([qd, rd]) => {
+      for (let i = 0; i < radius; i++) {
+        ring.push(new Coord(qc, rc));
+        qc += qd;
+        rc += rd;
+      }
+    });
+
+    return ring;
+  }
+
+  /**
+   * Returns the Coords that are at most the given number of tiles away from
+   * the given Coord, ordered by their distance from it. Does not require a
+   * grid instance.
+   * @see {@link HexGrid#spiralOf}
+   * @param {Coord} coord - coordinates of the tile at the center of the spiral
+   * @param {number} radius - maximum distance from the center in tiles
+   * @returns {Coord[]} The array of Coords in the spiral
+   */
+  static spiral(coord, radius) {
+    let spiral = [];
+    for (let i = 0; i <= radius; i++) {
+      spiral = spiral.concat(HexGrid.ring(coord, i));
+    }
+    return spiral;
+  }
+
   /**
    * Internal helper function for converting from axial coordinates to cubic
    * @private
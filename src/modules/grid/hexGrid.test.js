@@ -83,6 +83,46 @@ describe("HexGrid", () => {
     });
   });
 
+  describe("rings", () => {
+    it("are made up of the coordinates at the given distance", () => {
+      const hexGrid = new HexGrid(5);
+      const center = new Coord(1, -2);
+
+      [1, 2, 3].forEach((radius) => {
+        const ring = hexGrid.ringOf(center, radius);
+        const hashes = ring.map(({ x, y }) => x + "," + y);
+        expect(ring).to.have.lengthOf(6 * radius);
+        expect(new Set(hashes).size).to.equal(6 * radius);
+        ring.forEach((coord) => {
+          expect(hexGrid.distanceBetween(center, coord)).to.equal(radius);
+        });
+      });
+    });
+
+    it("of radius 0 contain just the center", () => {
+      const hexGrid = new HexGrid(1);
+      expect(hexGrid.ringOf(new Coord(1, 0), 0)).to.deep.equal([new Coord(1, 0)]);
+    });
+
+    it("of radius 1 contain the neighbors", () => {
+      const hexGrid = new HexGrid(1);
+      const center = new Coord(0, 0);
+      expect(hexGrid.ringOf(center, 1)).to.deep.have.members(hexGrid.neighborsOf(center));
+    });
+  });
+
+  describe("spirals", () => {
+    it("are made up of every coordinate within the given distance, nearest first", () => {
+      const hexGrid = new HexGrid(2);
+      const spiral = hexGrid.spiralOf(new Coord(0, 0), 2);
+      const distances = spiral.map((coord) => hexGrid.distanceBetween(new Coord(0, 0), coord));
+
+      expect(spiral).to.have.lengthOf(19);
+      expect(distances).to.eql(distances.slice().sort());
+      expect(spiral.every((coord) => hexGrid.isValidCoord(coord))).to.be.true;
+    });
+  });
+
   it("can calculate the position of a hex from its coordinates", () => {
     const hexGrid = new HexGrid(0);
     let errorMargin = 0.001;
@@ -12,16 +12,27 @@ class Plugin {
    * const config = { someSetting: 10 };
    * const myPlugin = new Plugin("mine", systems, config);
    *
-   * // Assuming myPlugin is registered in `config.js`, in some other file
-   * // we can do:
+   * // Assuming myPlugin is created in createPlugins() of `config.js`, in
+   * // some other file we can do:
    * import config from "../config";
    * config.mine.someSetting = 12; // someSetting has been exposed via config global
+   * @example
+   * // A plugin that can't do without the core plugin and its grid radius
+   * const myPlugin = new Plugin("mine", systems, config, true, {
+   *   dependencies: ["core"],
+   *   requiredConfig: ["core.gridRadius"]
+   * });
    * @param {string} name - name of the plugin
    * @param {System[]} systems - the systems that this plugin includes
    * @param {Object} config - configuration options that this plugin exposes
    * @param {boolean} [enabled=true] - whether this plugin is enabled or not
+   * @param {Object} [options={}] - what this plugin needs of the others
+   * @param {string[]} [options.dependencies=[]] - names of the plugins this
+   * plugin depends on
+   * @param {string[]} [options.requiredConfig=[]] - paths of the config keys
+   * this plugin requires, such as "core.gridRadius"
    */
-  constructor(name, systems, config, enabled = true) {
+  constructor(name, systems, config, enabled = true, { dependencies = [], requiredConfig = [] } = {}) {
     /**
      * Name of the plugin
      * @type {string}
@@ -42,10 +53,89 @@ class Plugin {
 
     /**
      * True if this plugin is enabled, false otherwise. A disabled plugin
-     * will be excluded from the processing loop.
+     * will be excluded from the processing loop. Toggle it at runtime through
+     * {@link App#enablePlugin} and {@link App#disablePlugin} so that the
+     * lifecycle hooks of its systems are called.
      * @type {boolean}
      */
     this.enabled = enabled;
+
+    /**
+     * Names of the plugins this plugin depends on. Those plugins are
+     * initialized before this one.
+     * @type {string[]}
+     */
+    this.dependencies = dependencies;
+
+    /**
+     * Paths of the config keys this plugin requires, each the name of a plugin
+     * followed by a key of its config, such as "core.gridRadius"
+     * @type {string[]}
+     */
+    this.requiredConfig = requiredConfig;
+  }
+
+  /**
+   * Validates the given plugins and sorts them so that every plugin comes
+   * after the plugins it depends on. Plugins keep their given order where
+   * their dependencies allow.
+   * @example
+   * // creatures depends on core and plants, and plants depends on core
+   * const ordered = Plugin.resolve([creatures, plants, core]); // [core, plants, creatures]
+   * @param {Plugin[]} plugins - the plugins to resolve
+   * @returns {Plugin[]} the plugins in dependency order
+   * @throws {Error} if two plugins share a name, if a dependency or required
+   * config key is missing, or if the dependencies form a cycle
+   */
+  static resolve(plugins) {
+    const byName = {};
+    plugins.forEach((plugin) => {
+      if (byName.hasOwnProperty(plugin.name)) {
+        throw new Error("Plugin: more than one plugin is named \"" + plugin.name + "\"");
+      }
+      byName[plugin.name] = plugin;
+    });
+
+    plugins.forEach((plugin) => {
+      plugin.dependencies.forEach((name) => {
+        if (!byName.hasOwnProperty(name)) {
+          throw new Error("Plugin: \"" + plugin.name + "\" depends on plugin \"" + name +
+                          "\", which is missing");
+        }
+      });
+
+      plugin.requiredConfig.forEach((path) => {
+        const [pluginName, ...keys] = path.split(".");
+        let value = byName.hasOwnProperty(pluginName) ? byName[pluginName].config : undefined;
+        keys.forEach((key) => {
+          value = value === undefined || value === null ? undefined : value[key];
+        });
+
+        if (value === undefined) {
+          throw new Error("Plugin: \"" + plugin.name + "\" requires config key \"" + path +
+                          "\", which is missing");
+        }
+      });
+    });
+
+    const ordered = [];
+    let remaining = plugins;
+    while (remaining.length > 0) {
+      const ready = remaining.filter((plugin) => {
+        return plugin.dependencies.every((name) => ordered.includes(byName[name]));
+      });
+
+      if (ready.length === 0) {
+        throw new Error("Plugin: cyclic dependencies between plugins " +
+                        remaining.map((plugin) => plugin.name).join(", "));
+      }
+
+      // Resolve one plugin at a time to keep the given order where possible
+      ordered.push(ready[0]);
+      remaining = remaining.filter((plugin) => plugin !== ready[0]);
+    }
+
+    return ordered;
   }
 }
 
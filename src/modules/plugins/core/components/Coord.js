@@ -31,8 +31,44 @@ class Coord extends VectorMixin(Component) {
      */
     this.y = y;
   }
+
+  /**
+   * Sets the (x, y) coordinates of this coord. Always move coords through
+   * set() rather than by assigning x and y directly, so that the world can
+   * keep its index of entities by position current.
+   * @example
+   * coord.set(destination.x, destination.y);
+   * @param {number} x - x coordinate
+   * @param {number} y - y coordinate
+   * @returns {Coord} this coord
+   */
+  set(x, y) {
+    const moved = x !== this.x || y !== this.y;
+    super.set(x, y);
+
+    if (moved && this._moveHook) {
+      this._moveHook(this);
+    }
+
+    return this;
+  }
+
+  /**
+   * Sets the function called with this coord whenever it is moved through
+   * set(), replacing any previous one. The World uses this to keep its index
+   * of entities by position current. The hook is not enumerable, so it is
+   * neither serialized nor compared.
+   * @param {?Function} hook - function to call on move, or null for none
+   */
+  setMoveHook(hook) {
+    Object.defineProperty(this, "_moveHook", {
+      value: hook,
+      writable: true,
+      configurable: true
+    });
+  }
 }
 
-Component.register(Coord);
+Component.register(Coord, "Coord");
 
 export default Coord;
@@ -8,17 +8,26 @@ class Energy extends Component {
   /**
    * Constructs a new energy component with the given energy level
    * @param {number} energyLevel - level of energy to initiate this component
-   * with
+   * with, capped at the maximum energy level
+   * @param {number} [maxLevel] - the most energy this component can hold, or
+   * no limit if omitted
    */
-  constructor(energyLevel) {
+  constructor(energyLevel, maxLevel) {
     super("energy");
 
+    /**
+     * The most energy this component can hold, or undefined if unlimited
+     * @private
+     * @type {number}
+     */
+    this._max = maxLevel;
+
     /**
      * Amount of energy
      * @private
      * @type {number}
      */
-    this._level = energyLevel;
+    this._level = this._cap(energyLevel);
   }
 
   /**
@@ -30,12 +39,21 @@ class Energy extends Component {
   }
 
   /**
-   * Increases the current energy level by the given amount
+   * The most energy this component can hold, or undefined if unlimited
+   * @returns {number} maximum energy level
+   */
+  get max() {
+    return this._max;
+  }
+
+  /**
+   * Increases the current energy level by the given amount, capped at the
+   * maximum energy level
    * @param {number} amount - amount of energy to gain
    * @param {number} the updated energy level
    */
   gain(amount) {
-    return (this._level += amount);
+    return (this._level = this._cap(this._level + amount));
   }
 
   /**
@@ -50,8 +68,18 @@ class Energy extends Component {
 
     return this.level;
   }
+
+  /**
+   * Caps the given energy level at the maximum energy level, if there is one
+   * @private
+   * @param {number} level - the energy level to cap
+   * @returns {number} the capped energy level
+   */
+  _cap(level) {
+    return (this._max !== undefined && level > this._max) ? this._max : level;
+  }
 }
 
-Component.register(Energy);
+Component.register(Energy, "Energy");
 
 export default Energy;
@@ -11,8 +11,10 @@ class Sprite extends Component {
    * current theme, or falls back to the "default" graphic if not defined
    * @param {string} spriteName - the name of the graphic as defined by the
    * current theme
+   * @param {Object} [options={}] - options passed on to the theme to customize
+   * the graphic, such as its size or color
    */
-  constructor(spriteName) {
+  constructor(spriteName, options = {}) {
     super("sprite");
 
     if (arguments.length === 0) return;
@@ -23,6 +25,12 @@ class Sprite extends Component {
     * @type {string}
     */
     this.spriteName = spriteName;
+
+    /**
+     * Options passed on to the theme to customize the graphic
+     * @type {Object}
+     */
+    this.options = options;
   }
 
   /**
@@ -33,23 +41,36 @@ class Sprite extends Component {
    */
   getItem(paper) {
     if (this._item === undefined) {
-      this._item = Theme.getSprite(this.spriteName, paper);
+      this._item = Theme.getSprite(this.spriteName, paper, this.options);
     }
 
     return this._item;
   }
 
+  /**
+   * Serializes this sprite to JSON, leaving out its Paper.js Item, which is
+   * created again when the sprite is next drawn
+   * @param {string[]} [blacklist = []] - keys in this list will be excluded
+   * from the JSON string
+   * @returns {string} JSON string
+   */
+  serialize(blacklist = []) {
+    return super.serialize(blacklist.concat(["_item"]));
+  }
+
   /**
    * Releases the underlying Paper.js representation of this sprite, effectively
-   * removing it from the screen
+   * removing it from the screen. A new one is created the next time
+   * getItem() is called.
    */
   release() {
     if (this._item !== undefined) {
       this._item.remove();
+      this._item = undefined;
     }
   }
 }
 
-Component.register(Sprite);
+Component.register(Sprite, "Sprite");
 
 export default Sprite;
@@ -13,6 +13,6 @@ class Tile extends Component {
   }
 }
 
-Component.register(Tile);
+Component.register(Tile, "Tile");
 
 export default Tile;
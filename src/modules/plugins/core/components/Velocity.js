@@ -33,6 +33,6 @@ class Velocity extends VectorMixin(Component) {
   }
 }
 
-Component.register(Velocity);
+Component.register(Velocity, "Velocity");
 
 export default Velocity;
@@ -1,6 +1,7 @@
 import Coord from "./Coord";
 import Component from "../../../ecs/Component";
 import { expect } from "chai";
+import { spy } from "sinon";
 
 describe("Coord", () => {
   it("should extend Component", () => {
@@ -25,4 +26,26 @@ describe("Coord", () => {
     expect(coord.x).to.equal(10);
     expect(coord.y).to.equal(12);
   });
+
+  it("should call its move hook whenever it is moved", () => {
+    const coord = new Coord(1, 2);
+    const hook = spy();
+    coord.setMoveHook(hook);
+
+    coord.set(1, 2);
+    expect(hook.called).to.be.false;
+    coord.set(3, 4);
+    expect(hook.calledOnce).to.be.true;
+    expect(hook.calledWith(coord)).to.be.true;
+
+    coord.setMoveHook(null);
+    coord.set(5, 6);
+    expect(hook.calledOnce).to.be.true;
+  });
+
+  it("should leave its move hook out of serialization", () => {
+    const coord = new Coord(1, 2);
+    coord.setMoveHook(spy());
+    expect(JSON.parse(coord.serialize()).data).to.eql({ name: "coord", x: 1, y: 2 });
+  });
 });
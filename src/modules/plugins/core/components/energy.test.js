@@ -32,4 +32,13 @@ describe("Energy", () => {
     expect(energy.expend(100)).to.equal(0);
     expect(energy.level).to.equal(0);
   });
+
+  it("can be capped at a maximum level", () => {
+    const energy = new Energy(50, 40);
+    expect(energy.max).to.equal(40);
+    expect(energy.level).to.equal(40);
+    expect(energy.expend(15)).to.equal(25);
+    expect(energy.gain(10)).to.equal(35);
+    expect(energy.gain(10)).to.equal(40);
+  });
 });
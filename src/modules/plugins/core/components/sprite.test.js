@@ -1,6 +1,7 @@
 import Sprite from "./Sprite";
 import Component from "../../../ecs/Component";
 import Theme from "../../../themes/Theme";
+import Serializable from "../../../util/Serializable";
 import { expect } from "chai";
 import { stub, spy } from "sinon";
 
@@ -47,6 +48,20 @@ describe("Sprite", () => {
     expect(sprite.spriteName).to.equal("test");
   });
 
+  it("can be instantiated with options for the theme", () => {
+    const sprite = new Sprite("test", { size: 2 });
+    expect(sprite.options).to.eql({ size: 2 });
+    expect(new Sprite("test").options).to.eql({});
+  });
+
+  it("passes its options on to the theme", () => {
+    const getSprite = stub(Theme, "getSprite").returns(item);
+    const sprite = new Sprite("default", { size: 2 });
+    sprite.getItem(paper);
+    getSprite.restore();
+    expect(getSprite.calledWith("default", paper, { size: 2 })).to.be.true;
+  });
+
   it("can retrieve its Paper.js Item instance", () => {
     const sprite = new Sprite("default");
     const item = sprite.getItem(paper);
@@ -76,4 +91,23 @@ describe("Sprite", () => {
 
     expect(item.remove.calledOnce).to.be.true;
   });
+
+  it("creates a new Paper.js Item once released", () => {
+    const sprite = new Sprite("default");
+    sprite.getItem(paper);
+    sprite.release();
+    sprite.getItem(paper);
+
+    expect(paper.Symbol().place.callCount).to.equal(2);
+  });
+
+  it("leaves its Paper.js Item out when serialized", () => {
+    const sprite = new Sprite("default", { size: 2 });
+    sprite.getItem(paper);
+
+    const restored = Serializable.restore(sprite.serialize());
+    expect(restored.spriteName).to.equal("default");
+    expect(restored.options).to.eql({ size: 2 });
+    expect(restored._item).to.be.undefined;
+  });
 });
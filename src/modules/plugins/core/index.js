@@ -1,5 +1,14 @@
 import Plugin from "../Plugin";
-import systems from "./systems";
+import createSystems from "./systems";
 import config from "./config";
 
-export default new Plugin("core", systems, config);
+/**
+ * Creates the core plugin, with systems of its own for one app. Every
+ * instance of the plugin shares the same config.
+ * @returns {Plugin} the plugin
+ */
+export default function createCorePlugin() {
+  return new Plugin("core", createSystems(), config, true, {
+    requiredConfig: ["core.gridRadius", "core.hexRadius"]
+  });
+}
@@ -10,7 +10,7 @@ class BackgroundRenderer extends System {
    * Constructs a new BackgroundRenderer
    */
   constructor() {
-    super("renderer");
+    super("renderer", { name: "BackgroundRenderer" });
   }
 
   /**
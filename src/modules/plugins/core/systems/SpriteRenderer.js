@@ -10,7 +10,31 @@ class SpriteRenderer extends System {
    * Constructs a new SpriteRenderer
    */
   constructor() {
-    super("renderer");
+    super("renderer", { name: "SpriteRenderer", after: ["BackgroundRenderer"] });
+  }
+
+  /**
+   * Releases the sprite of every entity removed from the world, so that its
+   * graphic stops being drawn
+   * @param {App} app - the currently running GS app
+   */
+  initialize(app) {
+    app.world.addListener("entityRemoved", ({ entity }) => {
+      if (entity.hasComponent("sprite")) {
+        entity.getComponent("sprite").release();
+      }
+    });
+  }
+
+  /**
+   * Releases the sprite of every entity, clearing them all from the screen.
+   * They are drawn anew once this system is enabled again.
+   * @param {App} app - the currently running GS app
+   */
+  onDisable(app) {
+    app.world.getEntitiesWith("sprite").forEach((entity) => {
+      entity.getComponent("sprite").release();
+    });
   }
 
   /**
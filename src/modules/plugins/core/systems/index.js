@@ -1,9 +1,13 @@
 import BackgroundRenderer from "./BackgroundRenderer";
 import SpriteRenderer from "./SpriteRenderer";
 
-const systems = [
-  new BackgroundRenderer(),
-  new SpriteRenderer()
-];
-
-export default systems;
+/**
+ * Creates the systems of the core plugin, for a plugin of its own
+ * @returns {System[]} the systems
+ */
+export default function createSystems() {
+  return [
+    new BackgroundRenderer(),
+    new SpriteRenderer()
+  ];
+}
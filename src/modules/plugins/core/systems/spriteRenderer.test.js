@@ -1,5 +1,7 @@
 import SpriteRenderer from "./SpriteRenderer";
 import World from "../../../ecs/World";
+import Entity from "../../../ecs/Entity";
+import Sprite from "../components/Sprite";
 import HexGrid from "../../../grid/HexGrid";
 import { Point } from "paper";
 import { expect } from "chai";
@@ -37,6 +39,33 @@ describe("SpriteRenderer", () => {
     expect(sys.tag).to.equal("renderer");
   });
 
+  describe("initialize", () => {
+    it("should release the sprite of every entity removed from the world", () => {
+      const entity = new Entity();
+      const sprite = new Sprite("default");
+      entity.addComponent(sprite);
+      const release = stub(sprite, "release");
+      world.addEntity(entity);
+
+      sys.initialize(app);
+      world.removeEntity(entity);
+      expect(release.calledOnce).to.be.true;
+    });
+  });
+
+  describe("onDisable", () => {
+    it("should release the sprite of every entity", () => {
+      const releaseStubs = world.getEntitiesWith("sprite").map((entity) => {
+        return stub(entity.getComponent("sprite"), "release");
+      });
+
+      sys.onDisable(app);
+      releaseStubs.forEach((release) => {
+        expect(release.calledOnce).to.be.true;
+      });
+    });
+  });
+
   describe("draw", () => {
     it("should fetch all entities containing Coord and Sprite components", () => {
       const getEntitiesWithSpy = spy(world, "getEntitiesWith");
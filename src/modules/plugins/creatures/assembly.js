@@ -2,6 +2,7 @@ import Entity from "../../ecs/Entity";
 import Creature from "./components/Creature";
 import Brain from "./components/Brain";
 import DNA from "./components/DNA";
+import Phenotype from "./components/Phenotype";
 import Coord from "../core/components/Coord";
 import Energy from "../core/components/Energy";
 import Sprite from "../core/components/Sprite";
@@ -13,15 +14,22 @@ import config from "../../config";
  * Builds a creature entity with the given DNA at the given position
  * @param {DNA} dna - genetic representation of the creature
  * @param {Coord} coord - coordinate to place the creature entity at
+ * @param {number} [energyLevel=config.creatures.initialEnergy] - initial energy
+ * level of the creature
+ * @param {number} [generation=0] - generation the creature belongs to
  * @returns {Entity} the built creature entity
  */
-export function buildCreature(dna, coord) {
+export function buildCreature(dna, coord, energyLevel = config.creatures.initialEnergy, generation = 0) {
   const entity = new Entity();
-  entity.addComponent(new Creature());
+  const sequencer = new Sequencer();
+  const phenotype = new Phenotype(dna, sequencer);
+  const { size, hue, maxEnergy } = phenotype;
+  entity.addComponent(new Creature(generation));
   entity.addComponent(dna);
-  entity.addComponent(new Brain(dna, new Sequencer()));
-  entity.addComponent(new Energy(config.creatures.initialEnergy));
-  entity.addComponent(new Sprite("creature"));
+  entity.addComponent(new Brain(dna, sequencer));
+  entity.addComponent(phenotype);
+  entity.addComponent(new Energy(energyLevel, maxEnergy));
+  entity.addComponent(new Sprite("creature", { size, hue }));
   entity.addComponent(new Velocity());
   entity.addComponent(new Coord(coord.x, coord.y));
   return entity;
@@ -31,17 +39,32 @@ export function buildCreature(dna, coord) {
  * Builds a creature entity with the default initial DNA at the given position
  * @param {Coord} coord - coordinate to place the creature entity at
  * @param {Object} random - an instance of a random-js engine
+ * @param {InnovationRegistry} innovations - the registry that hands out
+ * innovation numbers to the creature's genes
+ * @param {Object} neurons - the numbers of brain neurons reserved, such as
+ * {@link App#neurons}
+ * @param {number} neurons.inputs - number of reserved input neurons
+ * @param {number} neurons.outputs - number of reserved output neurons
  * @returns {Entity} the built creature entity
  */
-export function buildDefaultCreature(coord, random) {
-  const entity = new Entity();
-  const dna = new DNA(Brain.inputNeuronCount, Brain.outputNeuronCount, random);
-  entity.addComponent(new Creature());
-  entity.addComponent(dna);
-  entity.addComponent(new Brain(dna, new Sequencer()));
-  entity.addComponent(new Energy(config.creatures.initialEnergy));
-  entity.addComponent(new Sprite("creature"));
-  entity.addComponent(new Velocity());
-  entity.addComponent(new Coord(coord.x, coord.y));
-  return entity;
+export function buildDefaultCreature(coord, random, innovations, neurons) {
+  const dna = new DNA(neurons.inputs, neurons.outputs, random, innovations);
+  return buildCreature(dna, coord);
+}
+
+/**
+ * Whether no creature occupies the given tile, including creatures queued for
+ * addition to the world. Systems that spawn creatures share the command buffer
+ * within a phase, so checking it keeps them from placing two creatures onto
+ * the same tile before the buffer is flushed.
+ * @param {World} world - the world the tile belongs to
+ * @param {Coord} coord - coordinate of the tile
+ * @returns {boolean} true if the tile is free of creatures
+ */
+export function isVacant(world, coord) {
+  const isCreatureAt = (entity) => {
+    return entity.hasComponent("creature") && entity.getComponent("coord").equalTo(coord);
+  };
+  return !world.getEntitiesAt(coord).some(isCreatureAt) &&
+         !world.commands.getAdditions().some(isCreatureAt);
 }
@@ -1,21 +1,23 @@
-import { buildCreature, buildDefaultCreature } from "./assembly";
+import { buildCreature, buildDefaultCreature, isVacant } from "./assembly";
+import World from "../../ecs/World";
 import DNA from "./components/DNA";
-import Brain from "./components/Brain";
 import Coord from "../core/components/Coord";
+import InnovationRegistry from "../../genetics/InnovationRegistry";
 import { expect } from "chai";
 import { stub } from "sinon";
 
 describe("Creature assembly", () => {
-  let random;
+  let random, innovations;
 
   beforeEach(() => {
+    innovations = new InnovationRegistry();
     random = {
       real: stub().returns(0.5)
     };
   });
 
   it("can build creature entities from DNA", () => {
-    let dna = new DNA(2, 3, random);
+    let dna = new DNA(2, 3, random, innovations);
     let coord = new Coord(0, 0);
     let creature = buildCreature(dna, coord);
     expect(creature.hasComponent("creature")).to.be.true;
@@ -27,15 +29,45 @@ describe("Creature assembly", () => {
     expect(creature.getComponent("coord")).to.eql(coord);
   });
 
-  it("can build the default creature", () => {
-    Brain.reserveInput();
-    Brain.reserveInput();
-    Brain.reserveInput();
-    Brain.reserveOutput();
-    Brain.reserveOutput();
+  it("expresses the phenotype of creatures built from DNA", () => {
+    let dna = new DNA(2, 3, random, innovations);
+    let creature = buildCreature(dna, new Coord(0, 0));
+    let phenotype = creature.getComponent("phenotype");
+    expect(phenotype).to.be.ok;
+    expect(creature.getComponent("energy").max).to.equal(phenotype.maxEnergy);
+    expect(creature.getComponent("sprite").options).to.eql({
+      size: phenotype.size,
+      hue: phenotype.hue
+    });
+  });
+
+  it("can build creature entities with a given energy level", () => {
+    let dna = new DNA(2, 3, random, innovations);
+    let creature = buildCreature(dna, new Coord(0, 0), 42);
+    expect(creature.getComponent("energy").level).to.equal(42);
+  });
+
+  it("can build creature entities of a given generation", () => {
+    let dna = new DNA(2, 3, random, innovations);
+    expect(buildCreature(dna, new Coord(0, 0)).getComponent("creature").generation).to.equal(0);
+    expect(buildCreature(dna, new Coord(0, 0), 42, 7).getComponent("creature").generation).to.equal(7);
+  });
+
+  it("considers tiles with creatures on them or queued for them occupied", () => {
+    const world = new World();
+    const dna = new DNA(2, 3, random, innovations);
+    expect(isVacant(world, new Coord(0, 0))).to.be.true;
 
+    world.addEntity(buildCreature(dna, new Coord(0, 0)));
+    world.commands.addEntity(buildCreature(dna, new Coord(1, 0)));
+    expect(isVacant(world, new Coord(0, 0))).to.be.false;
+    expect(isVacant(world, new Coord(1, 0))).to.be.false;
+    expect(isVacant(world, new Coord(0, 1))).to.be.true;
+  });
+
+  it("can build the default creature", () => {
     let coord = new Coord(0, 0);
-    let creature = buildDefaultCreature(coord, random);
+    let creature = buildDefaultCreature(coord, random, innovations, { inputs: 3, outputs: 2 });
     let dna = creature.getComponent("dna");
 
     expect(creature.hasComponent("creature")).to.be.true;
@@ -1,8 +1,10 @@
 import Component from "../../../ecs/Component";
+import Sequencer from "../../../genetics/Sequencer";
 
 /**
  * A neural network that receives sense input from the environment and produces
- * actions on the behalf of a creature
+ * actions on the behalf of a creature. The neural network isn't serialized,
+ * but read from the creature's {@link DNA} again when a world is loaded.
  * @extends Component
  */
 class Brain extends Component {
@@ -25,13 +27,6 @@ class Brain extends Component {
      */
     this._net = sequencer.read(dna.brainStrand);
 
-    /**
-     * The optimized function equivalent of the internal neural network
-     * @private
-     * @type {Function}
-     */
-    this._activate = this._net.standalone();
-
     /**
      * Input values waiting to be activated by the brain
      * @private
@@ -51,7 +46,7 @@ class Brain extends Component {
    * Inputs the given sense value to the specified neuron
    * @example
    * // Called in the System#reserve() method
-   * const mySenseID = Brain.reserveInput();
+   * const mySenseID = Brain.reserveInput(app);
    * // ...
    * myBrain.input(mySenseID, 0.5);
    * @param {number} id - id of neuron
@@ -65,7 +60,7 @@ class Brain extends Component {
    * Fetches the output value of the given neuron
    * @example
    * // Called in the System#reserve() method
-   * const myOutputID = Brain.reserveOutput();
+   * const myOutputID = Brain.reserveOutput(app);
    * // ...
    * const outputValue = myBrain.output(myOutputID);
    * @param {number} id - id of neuron
@@ -75,67 +70,71 @@ class Brain extends Component {
   }
 
   /**
-   * Activates the brain on the inputs entered thus far
+   * Activates the brain on the inputs entered thus far. The internal neural
+   * network keeps the state of its neurons between activations, which
+   * recurrent connections feed back in as a memory of the previous tick.
    */
   activate() {
-    this._outputs = this._activate(this._inputs);
+    this._outputs = this._net.activate(this._inputs);
   }
 
   /**
-  * Reserves a single input neuron. This function is expected to be called only
-  * once in the reservation step by systems that will be feeding sense data into
-  * the brain.
-  * @example
-  * const senseID = Brain.reserveInput();
-  * @returns {number} the ID of the reserved input neuron
-  */
-  static reserveInput() {
-    return Brain._inputNeuronCount++;
+   * Serializes this brain to JSON, leaving out the neural network but
+   * including its memory of the previous activation
+   * @param {string[]} [blacklist = []] - keys in this list will be excluded
+   * from the JSON string
+   * @returns {string} JSON string
+   */
+  serialize(blacklist = []) {
+    const output = JSON.parse(super.serialize(blacklist.concat(["_net", "_outputs"])));
+    // A brain that was never activated has neither memory nor outputs yet
+    output.data._memory = Array.isArray(this._outputs) ? null : this._net.getMemory();
+    return JSON.stringify(output);
   }
 
   /**
-  * Reserves a single output neuron. This function is expected to be called only
-  * once in the reservation step by systems that will be feeding sense data into
-  * the brain.
-  * @example
-  * const actionID = Brain.reserveOutput();
-  * @returns {number} the ID of the reserved output neuron
-  */
-  static reserveOutput() {
-    return Brain._outputNeuronCount++;
+   * Reads the neural network from the creature's DNA again, and restores its
+   * memory of the previous activation
+   * @param {Entity} entity - the creature this brain belongs to
+   */
+  onRestore(entity) {
+    const dna = entity.getComponent("dna");
+    this._net = new Sequencer().read(dna.brainStrand);
+    if (this._memory === null) {
+      this._outputs = new Array(dna.brainStrand.outputNeuronCount);
+    } else {
+      this._outputs = this._net.setMemory(this._memory);
+    }
+    delete this._memory;
   }
 
   /**
-   * Returns the total number of reserved input neurons
-   * @returns {number} total number of reserved input neurons
-   */
-  static get inputNeuronCount() {
-    return Brain._inputNeuronCount;
+  * Reserves a single input neuron in the brains of the given app. This
+  * function is expected to be called only once in the reservation step by
+  * systems that will be feeding sense data into the brain.
+  * @example
+  * const senseID = Brain.reserveInput(app);
+  * @param {App} app - the app to reserve the neuron in
+  * @returns {number} the ID of the reserved input neuron
+  */
+  static reserveInput(app) {
+    return app.neurons.inputs++;
   }
 
   /**
-   * Returns the total number of reserved output neurons
-   * @returns {number} total number of reserved output neurons
-   */
-  static get outputNeuronCount() {
-    return Brain._outputNeuronCount;
+  * Reserves a single output neuron in the brains of the given app. This
+  * function is expected to be called only once in the reservation step by
+  * systems that will be acting on the output of the brain.
+  * @example
+  * const actionID = Brain.reserveOutput(app);
+  * @param {App} app - the app to reserve the neuron in
+  * @returns {number} the ID of the reserved output neuron
+  */
+  static reserveOutput(app) {
+    return app.neurons.outputs++;
   }
 }
 
-/**
-* The number of input neurons that every creature's brain will be initialized
-* with
-* @type {number}
-*/
-Brain._inputNeuronCount = 0;
-
-/**
-* The number of output neurons that every creature's brain will be initialized
-* with
-* @type {number}
-*/
-Brain._outputNeuronCount = 0;
-
-Component.register(Brain);
+Component.register(Brain, "Brain");
 
 export default Brain;
@@ -7,12 +7,20 @@ import Component from "../../../ecs/Component";
 class Creature extends Component {
   /**
    * Constructs a new creature component
+   * @param {number} [generation=0] - the number of ancestors between the
+   * creature and the initial population, which is generation 0
    */
-  constructor(dna) {
+  constructor(generation = 0) {
     super("creature");
+
+    /**
+     * The generation the creature belongs to
+     * @type {number}
+     */
+    this.generation = generation;
   }
 }
 
-Component.register(Creature);
+Component.register(Creature, "Creature");
 
 export default Creature;
@@ -1,5 +1,6 @@
 import Component from "../../../ecs/Component";
 import Strand from "../../../genetics/Strand";
+import config from "../../../config";
 
 /**
  * Genetic encoding of a creature heavily inspired by the
@@ -13,14 +14,16 @@ class DNA extends Component {
    * @example
    * // Creates DNA for a creature with the current count of reserved input and
    * // output neurons
-   * const myDNA = new DNA(Brain.inputNeuronCount, Brain.outputNeuronCount, random);
+   * const myDNA = new DNA(app.neurons.inputs, app.neurons.outputs, app.random, app.innovations);
    * @param {number} inputCount - the total number of possible inputs (senses)
    * to a creature's brain
    * @param {number} outputCount - the total number of possible outputs
    * (actions) from a creature's brain
    * @param {Object} random - an instance of a random-js engine
+   * @param {InnovationRegistry} innovations - the registry that hands out
+   * innovation numbers to the genes of both strands
    */
-  constructor(inputCount, outputCount, random) {
+  constructor(inputCount, outputCount, random, innovations) {
     super("dna");
 
     if (arguments.length === 0) return;
@@ -29,24 +32,114 @@ class DNA extends Component {
      * Strand of genes describing a creature's brain
      * @type {Strand}
      */
-    this.brainStrand = new Strand(inputCount, outputCount, true, random);
+    this.brainStrand = new Strand(inputCount, outputCount, true, random, innovations);
 
     /**
      * Strand of genes describing the trait function (TF)
      * @type {Strand}
      */
-    this.traitStrand = new Strand(1, 1, true, random);
+    this.traitStrand = new Strand(1, 1, true, random, innovations);
 
     /**
      * Hox genes, or values fed into the trait function (TF) to produce usable
-     * trait values
+     * trait values, one for each configured trait
      * @private
      * @type {number[]}
      */
-    this._hoxGenes = [ random.real(0, 1, true) ];
+    this._hoxGenes = Object.keys(config.creatures.traits).map(() => random.real(0, 1, true));
+  }
+
+  /**
+   * Hox genes, or values fed into the trait function (TF) to produce usable
+   * trait values, one for each configured trait
+   * @type {number[]}
+   */
+  get hoxGenes() {
+    return this._hoxGenes;
+  }
+
+  /**
+   * Creates a deep copy of this DNA
+   * @example
+   * const childDNA = parentDNA.clone();
+   * @returns {DNA} the copied DNA
+   */
+  clone() {
+    const dna = new DNA();
+    dna.brainStrand = this.brainStrand.clone();
+    dna.traitStrand = this.traitStrand.clone();
+    dna._hoxGenes = this._hoxGenes.slice();
+    return dna;
+  }
+
+  /**
+   * Produces the DNA of a child by crossing over the strands of two parents.
+   * Each hox gene is inherited randomly from either parent.
+   * @example
+   * // dna1 belongs to the fitter parent
+   * const childDNA = DNA.crossover(dna1, dna2, random);
+   * @see {@link Strand.crossover}
+   * @param {DNA} fitter - DNA of the fitter parent
+   * @param {DNA} other - DNA of the less fit parent
+   * @param {Object} random - an instance of a random-js engine
+   * @returns {DNA} the child DNA
+   */
+  static crossover(fitter, other, random) {
+    const dna = new DNA();
+    dna.brainStrand = Strand.crossover(fitter.brainStrand, other.brainStrand, random);
+    dna.traitStrand = Strand.crossover(fitter.traitStrand, other.traitStrand, random);
+    dna._hoxGenes = fitter._hoxGenes.map((hoxGene, i) => {
+      const match = other._hoxGenes[i];
+      return (match === undefined || random.bool()) ? hoxGene : match;
+    });
+    return dna;
+  }
+
+  /**
+   * Mutates the structure of both strands, the weights and enabled states of
+   * their connection genes, and the biases and activation functions of their
+   * node genes, at the rates set in the creatures configuration. Only the
+   * brain strand may gain recurrent connections.
+   * @example
+   * dna.mutate(app.random, app.innovations);
+   * @param {Object} random - an instance of a random-js engine
+   * @param {InnovationRegistry} innovations - the registry that tracks the
+   * structural mutations
+   * @returns {DNA} this DNA
+   */
+  mutate(random, innovations) {
+    const {
+      addNodeRate,
+      addConnectionRate,
+      recurrentConnectionRate,
+      weightMutationRate,
+      weightPerturbationRate,
+      weightPerturbationPower,
+      biasMutationRate,
+      activationMutationRate,
+      enableToggleRate
+    } = config.creatures;
+
+    [this.brainStrand, this.traitStrand].forEach((strand) => {
+      if (random.bool(addNodeRate)) {
+        strand.mutateAddNode(random, innovations);
+      }
+      if (random.bool(addConnectionRate)) {
+        // The trait function is evaluated once per hox gene, so only the brain
+        // may remember anything between activations
+        const recurrent = strand === this.brainStrand && random.bool(recurrentConnectionRate);
+        strand.mutateAddConnection(random, innovations, recurrent);
+      }
+      strand.mutateWeights(random, weightMutationRate, weightPerturbationRate, weightPerturbationPower);
+      strand.mutateBiases(random, biasMutationRate, weightPerturbationRate, weightPerturbationPower);
+      strand.mutateActivations(random, activationMutationRate);
+      strand.mutateEnabled(random, enableToggleRate);
+    });
+
+    return this;
   }
 }
 
-Component.register(DNA);
+Component.register(DNA, "DNA");
 
 export default DNA;
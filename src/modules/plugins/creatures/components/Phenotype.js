@@ -0,0 +1,68 @@
+import Component from "../../../ecs/Component";
+import config from "../../../config";
+
+/**
+ * The physical traits of a creature, expressed by feeding each hox gene of its
+ * {@link DNA} through the trait function (TF) described by its trait strand
+ * @extends Component
+ */
+class Phenotype extends Component {
+  /**
+   * Constructs a new phenotype resulting from reading the trait strand of the
+   * given {@link DNA} with the supplied {@link Sequencer}. Each trait value
+   * falls within the range set in the creatures configuration, with outputs
+   * of the trait function outside of 0 and 1 capped at either end of the range.
+   * @param {DNA} dna - creature DNA
+   * @param {Sequencer} sequencer - the sequencer to use to read the trait
+   * strand from the DNA
+   */
+  constructor(dna, sequencer) {
+    super("phenotype");
+
+    if (arguments.length === 0) return;
+
+    const traits = config.creatures.traits;
+    const network = sequencer.read(dna.traitStrand);
+    const values = {};
+
+    Object.keys(traits).forEach((name, i) => {
+      const { min, max } = traits[name];
+      const [ output ] = network.activate([ dna.hoxGenes[i] ]);
+      values[name] = min + (Math.min(1, Math.max(0, output)) * (max - min));
+    });
+
+    /**
+     * Body size of the creature, relative to the size of a tile
+     * @type {number}
+     */
+    this.size = values.size;
+
+    /**
+     * Hue of the creature's body in degrees
+     * @type {number}
+     */
+    this.hue = values.hue;
+
+    /**
+     * The most energy the creature is able to store
+     * @type {number}
+     */
+    this.maxEnergy = values.maxEnergy;
+
+    /**
+     * Multiplier applied to the energy the creature expends every tick
+     * @type {number}
+     */
+    this.metabolism = values.metabolism;
+
+    /**
+     * Multiplier applied to the energy the creature expends to move one tile
+     * @type {number}
+     */
+    this.moveCostMultiplier = values.moveCostMultiplier;
+  }
+}
+
+Component.register(Phenotype, "Phenotype");
+
+export default Phenotype;
@@ -0,0 +1,28 @@
+import Component from "../../../ecs/Component";
+
+/**
+ * Membership of a creature in a species, or group of creatures with
+ * compatible genomes
+ * @extends Component
+ */
+class Species extends Component {
+  /**
+   * Constructs a new species component
+   * @example
+   * const species = new Species(4);
+   * @param {number} [id=0] - ID of the species
+   */
+  constructor(id = 0) {
+    super("species");
+
+    /**
+     * ID of the species
+     * @type {number}
+     */
+    this.id = id;
+  }
+}
+
+Component.register(Species, "Species");
+
+export default Species;
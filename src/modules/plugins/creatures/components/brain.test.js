@@ -1,16 +1,20 @@
 import Brain from "./Brain";
 import Component from "../../../ecs/Component";
+import DNA from "./DNA";
+import Entity from "../../../ecs/Entity";
+import ConnectionGene from "../../../genetics/ConnectionGene";
+import InnovationRegistry from "../../../genetics/InnovationRegistry";
+import Sequencer from "../../../genetics/Sequencer";
+import Serializable from "../../../util/Serializable";
 import { expect } from "chai";
 import { stub } from "sinon";
 
 describe("Brain", () => {
-  let sequencer, dna, network;
+  let sequencer, dna, network, app;
 
   beforeEach(() => {
     network = {
-      neurons: [],
-      connections: [],
-      standalone: stub().returns(() => undefined)
+      activate: stub().returns([])
     };
 
     sequencer = {
@@ -24,9 +28,9 @@ describe("Brain", () => {
       }
     };
 
-    // Reset reservation state each test case
-    Brain._inputNeuronCount = 0;
-    Brain._outputNeuronCount = 0;
+    app = {
+      neurons: { inputs: 0, outputs: 0 }
+    };
   });
 
   it("should extend Component", () => {
@@ -43,8 +47,14 @@ describe("Brain", () => {
     expect(brain).to.be.ok;
     expect(sequencer.read.calledWith(dna.brainStrand)).to.be.true;
     expect(brain._net).to.eql(network);
-    expect(network.standalone.calledOnce).to.be.true;
-    expect(brain._activate).to.eql(network.standalone());
+  });
+
+  it("activates its internal neural network", () => {
+    const brain = new Brain(dna, sequencer);
+    brain.input(0, 0.5);
+    brain.activate();
+    expect(network.activate.calledOnce).to.be.true;
+    expect(network.activate.calledWith(brain._inputs)).to.be.true;
   });
 
   it("can be instantiated with zero arguments", () => {
@@ -54,23 +64,33 @@ describe("Brain", () => {
 
   describe("reservation", () => {
     it("returns consecutive input/output indices with each reservation", () => {
-      expect(Brain.reserveInput()).to.equal(0);
-      expect(Brain.reserveInput()).to.equal(1);
-      expect(Brain.reserveInput()).to.equal(2);
-      expect(Brain.reserveInput()).to.equal(3);
-
-      expect(Brain.reserveOutput()).to.equal(0);
-      expect(Brain.reserveOutput()).to.equal(1);
-      expect(Brain.reserveOutput()).to.equal(2);
-      expect(Brain.reserveOutput()).to.equal(3);
+      expect(Brain.reserveInput(app)).to.equal(0);
+      expect(Brain.reserveInput(app)).to.equal(1);
+      expect(Brain.reserveInput(app)).to.equal(2);
+      expect(Brain.reserveInput(app)).to.equal(3);
+
+      expect(Brain.reserveOutput(app)).to.equal(0);
+      expect(Brain.reserveOutput(app)).to.equal(1);
+      expect(Brain.reserveOutput(app)).to.equal(2);
+      expect(Brain.reserveOutput(app)).to.equal(3);
+
+      expect(app.neurons).to.eql({ inputs: 4, outputs: 4 });
+    });
+
+    it("keeps the reservations of every app apart", () => {
+      const other = { neurons: { inputs: 0, outputs: 0 } };
+      Brain.reserveInput(app);
+      Brain.reserveOutput(app);
+      expect(Brain.reserveInput(other)).to.equal(0);
+      expect(Brain.reserveOutput(other)).to.equal(0);
     });
   });
 
   describe("I/O", () => {
     it("stores inputs ready to be activated", () => {
-      const in1 = Brain.reserveInput();
-      const in2 = Brain.reserveInput();
-      const in3 = Brain.reserveInput();
+      const in1 = Brain.reserveInput(app);
+      const in2 = Brain.reserveInput(app);
+      const in3 = Brain.reserveInput(app);
       const brain = new Brain(dna, sequencer);
 
       brain.input(in1, 0.1);
@@ -80,19 +100,55 @@ describe("Brain", () => {
     });
 
     it("produces output upon activation", () => {
-      const out1 = Brain.reserveOutput();
-      const out2 = Brain.reserveOutput();
+      const out1 = Brain.reserveOutput(app);
+      const out2 = Brain.reserveOutput(app);
       const brain = new Brain(dna, sequencer);
 
       expect(brain.output(out1)).to.be.undefined;
       expect(brain.output(out2)).to.be.undefined;
 
-      stub(brain, "_activate").returns([0.1, 0.2]);
+      network.activate.returns([0.1, 0.2]);
       brain.activate();
-      brain._activate.restore();
 
       expect(brain.output(out1)).to.equal(0.1);
       expect(brain.output(out2)).to.equal(0.2);
     });
   });
+
+  describe("serialization", () => {
+    let creature, realDNA;
+
+    beforeEach(() => {
+      realDNA = new DNA(2, 1, { real: stub().returns(0.5) }, new InnovationRegistry());
+      const strand = realDNA.brainStrand;
+      const output = strand.nodeGenes.find((gene) => gene.type === "output");
+      strand.connectionGenes.push(new ConnectionGene(output.id, output.id, 0.5, true, 99, true));
+
+      creature = new Entity();
+      creature.addComponent(realDNA);
+    });
+
+    it("reads its network from DNA again and keeps its memory when restored", () => {
+      const brain = new Brain(realDNA, new Sequencer());
+      brain.input(0, 1);
+      brain.input(1, 0.5);
+      brain.activate();
+
+      const restored = Serializable.restore(brain.serialize());
+      restored.onRestore(creature);
+      expect(restored.output(0)).to.equal(brain.output(0));
+
+      // The recurrent connection feeds the restored memory back in
+      brain.activate();
+      restored.activate();
+      expect(restored.output(0)).to.equal(brain.output(0));
+    });
+
+    it("can be restored before it was ever activated", () => {
+      const brain = new Brain(realDNA, new Sequencer());
+      const restored = Serializable.restore(brain.serialize());
+      restored.onRestore(creature);
+      expect(restored.output(0)).to.be.undefined;
+    });
+  });
 });
@@ -8,6 +8,11 @@ describe("Creature", () => {
     expect(creature instanceof Component).to.be.true;
   });
 
+  it("should belong to generation 0 unless given another", () => {
+    expect(new Creature().generation).to.equal(0);
+    expect(new Creature(3).generation).to.equal(3);
+  });
+
   it("should register its constructor with Component", () => {
     expect(Component._constructors["Creature"]).to.eql(Creature);
   });
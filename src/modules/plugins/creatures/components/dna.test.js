@@ -1,19 +1,22 @@
 import DNA from "./DNA";
 import Component from "../../../ecs/Component";
+import config from "../../../config";
+import InnovationRegistry from "../../../genetics/InnovationRegistry";
 import { expect } from "chai";
 import { stub } from "sinon";
 
 describe("DNA", () => {
-  let random;
+  let random, innovations;
 
   beforeEach(() => {
+    innovations = new InnovationRegistry();
     random = {
       real: stub().returns(0.5)
     };
   });
 
   it("should extend Component", () => {
-    const dna = new DNA(3, 4, random);
+    const dna = new DNA(3, 4, random, innovations);
     expect(dna instanceof Component).to.be.true;
   });
 
@@ -28,7 +31,7 @@ describe("DNA", () => {
 
   describe("instantiation", () => {
     it("should build 2 strands of genes (brain strand and trait strand)", () => {
-      const dna = new DNA(3, 4, random);
+      const dna = new DNA(3, 4, random, innovations);
 
       expect(dna.brainStrand).to.be.ok;
       expect(dna.brainStrand.nodeGenes).to.have.lengthOf(7);
@@ -39,10 +42,118 @@ describe("DNA", () => {
       expect(dna.traitStrand.connectionGenes).to.have.lengthOf(1);
     });
 
-    it("should contain a single, random Hox gene", () => {
-      const dna = new DNA(2, 2, random);
-      expect(dna._hoxGenes).to.have.lengthOf(1);
-      expect(dna._hoxGenes[0]).to.equal(0.5);
+    it("should contain a random Hox gene for each configured trait", () => {
+      const dna = new DNA(2, 2, random, innovations);
+      expect(dna.hoxGenes).to.have.lengthOf(Object.keys(config.creatures.traits).length);
+      dna.hoxGenes.forEach((hoxGene) => {
+        expect(hoxGene).to.equal(0.5);
+      });
+    });
+  });
+
+  it("can be cloned", () => {
+    const dna = new DNA(2, 3, random, innovations);
+    const copy = dna.clone();
+
+    expect(copy instanceof DNA).to.be.true;
+    expect(copy).to.eql(dna);
+    expect(copy.brainStrand).to.not.equal(dna.brainStrand);
+    expect(copy.traitStrand).to.not.equal(dna.traitStrand);
+    expect(copy._hoxGenes).to.not.equal(dna._hoxGenes);
+  });
+
+  it("can be crossed over with the DNA of another parent", () => {
+    const fitter = new DNA(2, 3, random, innovations);
+    const other = new DNA(2, 3, random, innovations);
+    other._hoxGenes = other._hoxGenes.map(() => 0.9);
+    random.bool = stub().returns(false);
+
+    const child = DNA.crossover(fitter, other, random);
+
+    expect(child instanceof DNA).to.be.true;
+    expect(child.brainStrand.connectionGenes).to.have.lengthOf(6);
+    expect(child.traitStrand.connectionGenes).to.have.lengthOf(1);
+    expect(child._hoxGenes).to.eql(other._hoxGenes);
+  });
+
+  describe("mutation", () => {
+    it("can add structure to both strands at the configured rates", () => {
+      const dna = new DNA(2, 2, random, innovations);
+      const { addNodeRate, addConnectionRate } = config.creatures;
+      random.bool = stub().returns(false);
+      random.bool.withArgs(addNodeRate).returns(true);
+      random.bool.withArgs(addConnectionRate).returns(true);
+      random.pick = (array) => array[0];
+
+      dna.mutate(random, innovations);
+
+      expect(dna.brainStrand.hiddenNodeGeneCount).to.equal(1);
+      expect(dna.traitStrand.hiddenNodeGeneCount).to.equal(1);
+      // One split adds two connections, plus one brand new connection
+      expect(dna.brainStrand.connectionGenes).to.have.lengthOf(4 + 3);
+      expect(dna.traitStrand.connectionGenes).to.have.lengthOf(1 + 2);
+    });
+
+    it("only adds recurrent connections to the brain strand", () => {
+      const dna = new DNA(2, 2, random, innovations);
+      const { addConnectionRate, recurrentConnectionRate } = config.creatures;
+      random.bool = stub().returns(false);
+      random.bool.withArgs(addConnectionRate).returns(true);
+      random.bool.withArgs(recurrentConnectionRate).returns(true);
+      random.pick = (array) => array[0];
+
+      dna.mutate(random, innovations);
+
+      const recurrent = (gene) => gene.recurrent;
+      expect(dna.brainStrand.connectionGenes.filter(recurrent)).to.have.lengthOf(1);
+      expect(dna.traitStrand.connectionGenes.filter(recurrent)).to.have.lengthOf(0);
+    });
+
+    it("mutates the weights of both strands at the configured rates", () => {
+      const dna = new DNA(2, 2, random, innovations);
+      const { weightMutationRate, weightPerturbationRate } = config.creatures;
+      random.bool = stub().returns(false);
+      random.bool.withArgs(weightMutationRate).returns(true);
+      random.bool.withArgs(weightPerturbationRate).returns(false);
+      random.real = stub().returns(0.25);
+
+      dna.mutate(random, innovations);
+
+      dna.brainStrand.connectionGenes.concat(dna.traitStrand.connectionGenes).forEach((gene) => {
+        expect(gene.weight).to.equal(0.25);
+        expect(gene.enabled).to.be.true;
+      });
+    });
+
+    it("mutates the neurons of both strands at the configured rates", () => {
+      const dna = new DNA(2, 2, random, innovations);
+      const { biasMutationRate, activationMutationRate } = config.creatures;
+      random.bool = stub().returns(false);
+      random.bool.withArgs(biasMutationRate).returns(true);
+      random.bool.withArgs(activationMutationRate).returns(true);
+      random.real = stub().returns(-0.25);
+      random.pick = (array) => array[array.length - 1];
+
+      dna.mutate(random, innovations);
+
+      dna.brainStrand.nodeGenes.concat(dna.traitStrand.nodeGenes).forEach((gene) => {
+        if (gene.type === "input") return;
+        expect(gene.bias).to.equal(-0.25);
+        expect(gene.activation).to.equal("gaussian");
+      });
+    });
+
+    it("toggles connection genes at the configured rate", () => {
+      const dna = new DNA(2, 2, random, innovations);
+      random.bool = stub().returns(false);
+      random.bool.withArgs(config.creatures.enableToggleRate).returns(true);
+
+      dna.mutate(random, innovations);
+
+      dna.brainStrand.connectionGenes.concat(dna.traitStrand.connectionGenes).forEach((gene) => {
+        expect(gene.weight).to.equal(0.5);
+        expect(gene.enabled).to.be.false;
+      });
     });
   });
 });
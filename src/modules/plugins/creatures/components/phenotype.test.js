@@ -0,0 +1,63 @@
+import Phenotype from "./Phenotype";
+import Component from "../../../ecs/Component";
+import config from "../../../config";
+import { expect } from "chai";
+import { stub, spy } from "sinon";
+
+describe("Phenotype", () => {
+  let sequencer, dna, activate;
+
+  beforeEach(() => {
+    // The trait function simply passes each hox gene through
+    activate = spy((inputs) => inputs);
+
+    sequencer = {
+      read: stub().returns({ activate })
+    };
+
+    dna = {
+      traitStrand: {},
+      hoxGenes: [0, 1, 0.5, 0.25, 0.75]
+    };
+  });
+
+  it("should extend Component", () => {
+    const phenotype = new Phenotype(dna, sequencer);
+    expect(phenotype instanceof Component).to.be.true;
+  });
+
+  it("should register its constructor with Component", () => {
+    expect(Component._constructors["Phenotype"]).to.eql(Phenotype);
+  });
+
+  it("can be instantiated with zero arguments", () => {
+    const phenotype = new Phenotype();
+    expect(phenotype).to.be.ok;
+  });
+
+  it("should read the trait strand of the DNA", () => {
+    const phenotype = new Phenotype(dna, sequencer);
+    expect(phenotype).to.be.ok;
+    expect(sequencer.read.calledWith(dna.traitStrand)).to.be.true;
+  });
+
+  it("should express each hox gene as a trait within its configured range", () => {
+    const { size, hue, maxEnergy, metabolism, moveCostMultiplier } = config.creatures.traits;
+    const phenotype = new Phenotype(dna, sequencer);
+
+    expect(activate.callCount).to.equal(5);
+    expect(phenotype.size).to.equal(size.min);
+    expect(phenotype.hue).to.equal(hue.max);
+    expect(phenotype.maxEnergy).to.equal((maxEnergy.min + maxEnergy.max) / 2);
+    expect(phenotype.metabolism).to.equal(metabolism.min + (metabolism.max - metabolism.min) / 4);
+    expect(phenotype.moveCostMultiplier).to.equal(moveCostMultiplier.min + (moveCostMultiplier.max - moveCostMultiplier.min) * 3 / 4);
+  });
+
+  it("should keep traits within their configured range", () => {
+    const { size, hue } = config.creatures.traits;
+    dna.hoxGenes = [-2, 3, 0, 0, 0];
+    const phenotype = new Phenotype(dna, sequencer);
+    expect(phenotype.size).to.equal(size.min);
+    expect(phenotype.hue).to.equal(hue.max);
+  });
+});
@@ -0,0 +1,19 @@
+import Species from "./Species";
+import Component from "../../../ecs/Component";
+import { expect } from "chai";
+
+describe("Species", () => {
+  it("should extend Component", () => {
+    const species = new Species();
+    expect(species instanceof Component).to.be.true;
+  });
+
+  it("should register its constructor with Component", () => {
+    expect(Component._constructors["Species"]).to.eql(Species);
+  });
+
+  it("should be instantiable with the ID of a species", () => {
+    const species = new Species(3);
+    expect(species.id).to.equal(3);
+  });
+});
@@ -25,7 +25,159 @@ const creatures = {
    * The amount of energy expended per tick regardless of action taken
    * @type {number}
    */
-  tickCost: 1
+  tickCost: 1,
+
+  /**
+   * The minimum amount of energy a creature must have to reproduce
+   * @type {number}
+   */
+  reproductionThreshold: 30,
+
+  /**
+   * The amount of energy lost by a creature in the act of reproducing
+   * @type {number}
+   */
+  reproductionCost: 5,
+
+  /**
+   * The fraction of a parent's remaining energy that is handed to its offspring
+   * @type {number}
+   */
+  offspringEnergyShare: 0.5,
+
+  /**
+   * The maximum distance in tiles between two creatures that are able to mate
+   * @type {number}
+   */
+  mateRange: 1,
+
+  /**
+   * The amount of energy each parent contributes to a child produced by mating
+   * @type {number}
+   */
+  mateEnergyContribution: 8,
+
+  /**
+   * Importance of excess genes when measuring the compatibility of two genomes
+   * @type {number}
+   */
+  excessCoefficient: 1,
+
+  /**
+   * Importance of disjoint genes when measuring the compatibility of two
+   * genomes
+   * @type {number}
+   */
+  disjointCoefficient: 1,
+
+  /**
+   * Importance of the average weight difference of matching genes when
+   * measuring the compatibility of two genomes
+   * @type {number}
+   */
+  weightCoefficient: 3,
+
+  /**
+   * The compatibility distance below which two creatures are considered
+   * members of the same species
+   * @type {number}
+   */
+  compatibilityThreshold: 1,
+
+  /**
+   * The chance that a hidden node is added to each strand of a creature's DNA
+   * when that DNA is passed on
+   * @type {number}
+   */
+  addNodeRate: 0.03,
+
+  /**
+   * The chance that a new connection is added to each strand of a creature's
+   * DNA when that DNA is passed on
+   * @type {number}
+   */
+  addConnectionRate: 0.05,
+
+  /**
+   * The chance that a new connection added to the brain strand of a creature's
+   * DNA is recurrent, feeding the previous tick's activations back into the
+   * brain as a memory
+   * @type {number}
+   */
+  recurrentConnectionRate: 0.2,
+
+  /**
+   * The chance that any one connection weight in a creature's DNA is mutated
+   * when that DNA is passed on
+   * @type {number}
+   */
+  weightMutationRate: 0.1,
+
+  /**
+   * The chance that a mutated weight or bias is nudged slightly, rather than
+   * replaced by a brand new random value
+   * @type {number}
+   */
+  weightPerturbationRate: 0.9,
+
+  /**
+   * The standard deviation of the nudge applied to a perturbed weight or bias
+   * @type {number}
+   */
+  weightPerturbationPower: 0.1,
+
+  /**
+   * The chance that the bias of any one neuron in a creature's DNA is mutated
+   * when that DNA is passed on
+   * @type {number}
+   */
+  biasMutationRate: 0.1,
+
+  /**
+   * The chance that the activation function of any one neuron in a creature's
+   * DNA is swapped for another when that DNA is passed on
+   * @type {number}
+   */
+  activationMutationRate: 0.02,
+
+  /**
+   * The chance that any one connection in a creature's DNA is toggled between
+   * enabled and disabled when that DNA is passed on
+   * @type {number}
+   */
+  enableToggleRate: 0.01,
+
+  /**
+   * The range of values each heritable trait expressed from a creature's DNA
+   * may take on. Each trait is driven by its own hox gene, in the order listed.
+   * @type {Object.<string, {min: number, max: number}>}
+   */
+  traits: {
+    /**
+     * Body size of a creature, relative to the size of a tile
+     */
+    size: { min: 0.5, max: 1 },
+
+    /**
+     * Hue of a creature's body in degrees
+     */
+    hue: { min: 0, max: 360 },
+
+    /**
+     * The most energy a creature is able to store
+     */
+    maxEnergy: { min: 40, max: 120 },
+
+    /**
+     * Multiplier applied to the energy expended every tick
+     */
+    metabolism: { min: 0.5, max: 1.5 },
+
+    /**
+     * Multiplier applied to the energy expended to move one tile
+     */
+    moveCostMultiplier: { min: 0.5, max: 1.5 }
+  }
 };
 
 export default creatures;
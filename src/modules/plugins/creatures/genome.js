@@ -0,0 +1,209 @@
+import DNA from "./components/DNA";
+import config from "../../config";
+import Strand from "../../genetics/Strand";
+import NodeGene from "../../genetics/NodeGene";
+import ConnectionGene from "../../genetics/ConnectionGene";
+
+/**
+ * Identifies a JSON document as a Genetic Sandbox genome
+ * @type {string}
+ */
+export const GENOME_FORMAT = "genetic-sandbox/genome";
+
+/**
+ * The current version of the genome format. Bump this whenever the format
+ * changes in a way older versions of importGenome() can't read.
+ * @type {number}
+ */
+export const GENOME_VERSION = 1;
+
+/**
+ * Exports the given DNA to a versioned JSON genome that does not depend on
+ * class names, so that it can be shared across runs and builds. A genome looks
+ * like this:
+ * @example
+ * {
+ *   "format": "genetic-sandbox/genome",
+ *   "version": 1,
+ *   "brain": {
+ *     "nodes": [ { "id": 1, "type": "input", "activation": "logistic", "bias": 0 }, ... ],
+ *     "connections": [
+ *       { "in": 1, "out": 2, "weight": 0.5, "enabled": true, "recurrent": false, "innovation": 1 }, ...
+ *     ]
+ *   },
+ *   "traits": { "nodes": [ ... ], "connections": [ ... ] },
+ *   "hox": [ 0.25, 0.5, ... ]
+ * }
+ * @param {DNA} dna - the DNA to export
+ * @returns {string} JSON string of the genome
+ */
+export function exportGenome(dna) {
+  return JSON.stringify({
+    format: GENOME_FORMAT,
+    version: GENOME_VERSION,
+    brain: exportStrand(dna.brainStrand),
+    traits: exportStrand(dna.traitStrand),
+    hox: dna.hoxGenes.slice()
+  });
+}
+
+/**
+ * Imports DNA from a JSON genome produced by exportGenome(). The innovation
+ * numbers of the genome only hold meaning in the run it was exported from, so
+ * every connection gene is instead given the innovation number the given
+ * registry holds for its pair of nodes, and every node ID of the genome is
+ * registered as in use. The imported DNA can then be passed to buildCreature().
+ * @example
+ * const dna = importGenome(json, app.innovations, app.neurons);
+ * app.world.addEntity(buildCreature(dna, new Coord(0, 0)));
+ * @param {string} json - JSON string of the genome
+ * @param {InnovationRegistry} innovations - the registry of the simulation
+ * the genome is imported into
+ * @param {Object} neurons - the numbers of brain neurons reserved in the
+ * simulation the genome is imported into, such as {@link App#neurons}
+ * @param {number} neurons.inputs - number of reserved input neurons
+ * @param {number} neurons.outputs - number of reserved output neurons
+ * @returns {DNA} the imported DNA
+ * @throws {Error} if the JSON is not a genome of a supported version, if it
+ * is missing a strand or its hox genes, if a strand holds a node of an
+ * unknown type or activation or a connection to a node it doesn't hold, or if
+ * the genome was exported under different plugins or config, with a brain of
+ * other than the currently reserved number of input and output neurons or
+ * other than one hox gene per configured trait
+ */
+export function importGenome(json, innovations, neurons) {
+  const genome = JSON.parse(json);
+
+  if (genome === null || genome.format !== GENOME_FORMAT) {
+    throw new Error("importGenome: not a Genetic Sandbox genome");
+  }
+  if (genome.version !== GENOME_VERSION) {
+    throw new Error("importGenome: unsupported genome version " + genome.version +
+                    " (expected " + GENOME_VERSION + ")");
+  }
+
+  checkStrand(genome.brain, "brain");
+  checkStrand(genome.traits, "traits");
+  if (!Array.isArray(genome.hox)) {
+    throw new Error("importGenome: the genome is missing its hox genes");
+  }
+
+  const countNodes = (type) => genome.brain.nodes.filter((node) => node.type === type).length;
+  const inputs = countNodes("input");
+  const outputs = countNodes("output");
+  if (inputs !== neurons.inputs || outputs !== neurons.outputs) {
+    throw new Error("importGenome: the genome's brain has " + inputs + " input and " + outputs +
+                    " output neurons, but " + neurons.inputs + " and " + neurons.outputs +
+                    " are reserved now");
+  }
+
+  const traitCount = Object.keys(config.creatures.traits).length;
+  if (genome.hox.length !== traitCount) {
+    throw new Error("importGenome: the genome has " + genome.hox.length + " hox genes, but " +
+                    traitCount + " traits are configured");
+  }
+
+  const dna = new DNA();
+  dna.brainStrand = importStrand(genome.brain, innovations);
+  dna.traitStrand = importStrand(genome.traits, innovations);
+  dna._hoxGenes = genome.hox.slice();
+  return dna;
+}
+
+/**
+ * The types a node of an imported strand may be of
+ * @private
+ * @type {string[]}
+ */
+const NODE_TYPES = ["input", "hidden", "output"];
+
+/**
+ * Checks that a strand of a genome can be imported: that it holds nodes and
+ * connections, that every node is of a known type and activation, and that
+ * every connection connects nodes of the strand
+ * @private
+ * @param {Object} data - the exported strand
+ * @param {string} name - name of the strand in the genome
+ * @throws {Error} if the strand can't be imported
+ */
+function checkStrand(data, name) {
+  if (data === null || typeof data !== "object" || !Array.isArray(data.nodes) ||
+      !Array.isArray(data.connections)) {
+    throw new Error("importGenome: the genome is missing its " + name + " strand");
+  }
+
+  const ids = new Set();
+  data.nodes.forEach((node) => {
+    if (!NODE_TYPES.includes(node.type)) {
+      throw new Error("importGenome: node " + node.id + " of the " + name +
+                      " strand is of unknown type " + node.type);
+    }
+    if (!NodeGene.activations.includes(node.activation)) {
+      throw new Error("importGenome: node " + node.id + " of the " + name +
+                      " strand has unknown activation " + node.activation);
+    }
+    ids.add(node.id);
+  });
+
+  data.connections.forEach((conn) => {
+    if (!ids.has(conn.in) || !ids.has(conn.out)) {
+      throw new Error("importGenome: connection " + conn.in + " -> " + conn.out + " of the " +
+                      name + " strand connects a node the strand doesn't hold");
+    }
+  });
+}
+
+/**
+ * Exports a strand to the plain object used by the genome format
+ * @private
+ * @param {Strand} strand - the strand to export
+ * @returns {Object} the exported strand
+ */
+function exportStrand(strand) {
+  return {
+    nodes: strand.nodeGenes.map((gene) => {
+      return {
+        id: gene.id,
+        type: gene.type,
+        activation: gene.activation,
+        bias: gene.bias
+      };
+    }),
+    connections: strand.connectionGenes.map((gene) => {
+      return {
+        in: gene.in,
+        out: gene.out,
+        weight: gene.weight,
+        enabled: gene.enabled,
+        recurrent: gene.recurrent,
+        innovation: gene.innovationNumber
+      };
+    })
+  };
+}
+
+/**
+ * Imports a strand from the plain object used by the genome format
+ * @private
+ * @param {Object} data - the exported strand
+ * @param {InnovationRegistry} innovations - the registry of the simulation
+ * the strand is imported into
+ * @returns {Strand} the imported strand
+ */
+function importStrand(data, innovations) {
+  const strand = new Strand();
+
+  strand.nodeGenes = data.nodes.map((node) => {
+    innovations.registerNodeID(node.id);
+    return new NodeGene(node.id, node.type, node.activation, node.bias);
+  });
+
+  strand.connectionGenes = data.connections.map((conn) => {
+    return new ConnectionGene(conn.in, conn.out, conn.weight, conn.enabled,
+      innovations.innovationNumber(conn.in, conn.out), conn.recurrent);
+  });
+
+  strand._nextNodeGeneID = strand.nodeGenes.reduce((max, gene) => Math.max(max, gene.id), 0) + 1;
+
+  return strand;
+}
@@ -0,0 +1,150 @@
+import { exportGenome, importGenome, GENOME_FORMAT, GENOME_VERSION } from "./genome";
+import { buildCreature } from "./assembly";
+import DNA from "./components/DNA";
+import config from "../../config";
+import Coord from "../core/components/Coord";
+import InnovationRegistry from "../../genetics/InnovationRegistry";
+import { expect } from "chai";
+import { stub } from "sinon";
+
+describe("Genome", () => {
+  let random, innovations, neurons, dna;
+
+  beforeEach(() => {
+    neurons = { inputs: 2, outputs: 2 };
+    innovations = new InnovationRegistry();
+    random = {
+      real: stub().returns(0.5),
+      bool: stub().returns(false),
+      pick: (array) => array[0]
+    };
+
+    dna = new DNA(2, 2, random, innovations);
+    dna.brainStrand.mutateAddNode(random, innovations);
+    dna.brainStrand.mutateAddConnection(random, innovations, true);
+    dna.brainStrand.nodeGenes[2].activation = "tanh";
+    dna.brainStrand.nodeGenes[2].bias = 0.3;
+  });
+
+  describe("export", () => {
+    it("produces a versioned JSON genome", () => {
+      const genome = JSON.parse(exportGenome(dna));
+      expect(genome.format).to.equal(GENOME_FORMAT);
+      expect(genome.version).to.equal(GENOME_VERSION);
+      expect(genome.hox).to.eql(dna.hoxGenes);
+    });
+
+    it("includes every gene of both strands", () => {
+      const genome = JSON.parse(exportGenome(dna));
+      expect(genome.brain.nodes).to.have.lengthOf(dna.brainStrand.nodeGenes.length);
+      expect(genome.brain.connections).to.have.lengthOf(dna.brainStrand.connectionGenes.length);
+      expect(genome.traits.nodes).to.have.lengthOf(2);
+      expect(genome.traits.connections).to.have.lengthOf(1);
+      expect(genome.brain.nodes[2]).to.eql({ id: 3, type: "output", activation: "tanh", bias: 0.3 });
+
+      const gene = dna.brainStrand.connectionGenes[0];
+      expect(genome.brain.connections[0]).to.eql({
+        in: gene.in,
+        out: gene.out,
+        weight: gene.weight,
+        enabled: gene.enabled,
+        recurrent: gene.recurrent,
+        innovation: gene.innovationNumber
+      });
+    });
+
+    it("does not depend on class names", () => {
+      expect(exportGenome(dna)).to.not.contain("ctor");
+    });
+  });
+
+  describe("import", () => {
+    it("restores the exported DNA", () => {
+      const imported = importGenome(exportGenome(dna), innovations, neurons);
+      expect(imported instanceof DNA).to.be.true;
+      expect(imported).to.eql(dna);
+    });
+
+    it("remaps innovation numbers into the importing registry", () => {
+      const other = new InnovationRegistry();
+      other.innovationNumber(100, 200);
+      const imported = importGenome(exportGenome(dna), other, neurons);
+
+      imported.brainStrand.connectionGenes.forEach((gene) => {
+        expect(gene.innovationNumber).to.equal(other.innovationNumber(gene.in, gene.out));
+      });
+      expect(imported.brainStrand.connectionGenes[0].innovationNumber).to.equal(2);
+    });
+
+    it("reserves the node IDs of the genome in the importing registry", () => {
+      const other = new InnovationRegistry();
+      importGenome(exportGenome(dna), other, neurons);
+      const maxID = Math.max(...dna.brainStrand.nodeGenes.map((gene) => gene.id));
+      expect(other.nextNodeID(1)).to.be.above(maxID);
+    });
+
+    it("produces DNA that can be built into a creature", () => {
+      const imported = importGenome(exportGenome(dna), new InnovationRegistry(), neurons);
+      const creature = buildCreature(imported, new Coord(0, 0));
+      expect(creature.getComponent("dna")).to.equal(imported);
+      expect(creature.hasComponent("brain")).to.be.true;
+    });
+
+    it("rejects documents that are not genomes", () => {
+      expect(() => importGenome("{}", innovations, neurons)).to.throw(Error, /not a Genetic Sandbox genome/);
+      expect(() => importGenome("null", innovations, neurons)).to.throw(Error, /not a Genetic Sandbox genome/);
+    });
+
+    it("rejects unsupported versions", () => {
+      const genome = JSON.parse(exportGenome(dna));
+      genome.version = GENOME_VERSION + 1;
+      expect(() => importGenome(JSON.stringify(genome), innovations, neurons)).to.throw(Error, /unsupported genome version/);
+    });
+
+    it("rejects genomes missing a strand or their hox genes", () => {
+      ["brain", "traits", "hox"].forEach((key) => {
+        const genome = JSON.parse(exportGenome(dna));
+        delete genome[key];
+        const name = key === "hox" ? "hox genes" : key + " strand";
+        expect(() => importGenome(JSON.stringify(genome), innovations, neurons)).to.throw(Error,
+          "importGenome: the genome is missing its " + name);
+      });
+    });
+
+    it("rejects genomes with nodes of an unknown type or activation", () => {
+      let genome = JSON.parse(exportGenome(dna));
+      genome.brain.nodes[2].type = "sensor";
+      expect(() => importGenome(JSON.stringify(genome), innovations, neurons)).to.throw(Error,
+        "importGenome: node " + genome.brain.nodes[2].id + " of the brain strand is of unknown type sensor");
+
+      genome = JSON.parse(exportGenome(dna));
+      genome.traits.nodes[0].activation = "softmax";
+      expect(() => importGenome(JSON.stringify(genome), innovations, neurons)).to.throw(Error,
+        "importGenome: node " + genome.traits.nodes[0].id + " of the traits strand has unknown activation softmax");
+    });
+
+    it("rejects genomes with connections to nodes their strand doesn't hold", () => {
+      const genome = JSON.parse(exportGenome(dna));
+      genome.brain.connections[0].out = 99;
+      expect(() => importGenome(JSON.stringify(genome), innovations, neurons)).to.throw(Error,
+        "importGenome: connection " + genome.brain.connections[0].in +
+        " -> 99 of the brain strand connects a node the strand doesn't hold");
+    });
+
+    it("rejects genomes whose brain doesn't match the reserved neurons", () => {
+      const json = exportGenome(dna);
+      neurons.outputs = 3;
+      expect(() => importGenome(json, innovations, neurons)).to.throw(Error,
+        "importGenome: the genome's brain has 2 input and 2 output neurons, but 2 and 3 are reserved now");
+    });
+
+    it("rejects genomes without one hox gene per configured trait", () => {
+      const genome = JSON.parse(exportGenome(dna));
+      genome.hox.push(0.5);
+      const traitCount = Object.keys(config.creatures.traits).length;
+      expect(() => importGenome(JSON.stringify(genome), innovations, neurons)).to.throw(Error,
+        "importGenome: the genome has " + (traitCount + 1) + " hox genes, but " + traitCount +
+        " traits are configured");
+    });
+  });
+});
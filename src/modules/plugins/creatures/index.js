@@ -1,5 +1,14 @@
 import Plugin from "../Plugin";
-import systems from "./systems";
+import createSystems from "./systems";
 import config from "./config";
 
-export default new Plugin("creatures", systems, config);
+/**
+ * Creates the creatures plugin, with systems of its own for one app. Every
+ * instance of the plugin shares the same config.
+ * @returns {Plugin} the plugin
+ */
+export default function createCreaturesPlugin() {
+  return new Plugin("creatures", createSystems(), config, true, {
+    dependencies: ["core", "plants"]
+  });
+}
@@ -10,19 +10,26 @@ class AgingProcessor extends System {
    * Constructs a new AgingProcessor
    */
   constructor() {
-    super("processor");
+    super("processor", { name: "AgingProcessor", after: ["EatingProcessor"] });
   }
 
   /**
-   * Saps energy from all creatures every tick, removing them if they die
+   * Saps energy from all creatures every tick, scaled by their metabolism,
+   * removing them if they die
    * @param {App} app - the currently running GS app
    */
   update(app) {
     const world = app.world;
     world.getEntitiesWith("creature").forEach((creature) => {
+      if (world.commands.isRemoving(creature)) {
+        return;
+      }
+
       const energy = creature.getComponent("energy");
-      if (energy.expend(config.creatures.tickCost) <= 0) {
-        world.removeEntity(creature);
+      const phenotype = creature.getComponent("phenotype");
+      const metabolism = phenotype === null ? 1 : phenotype.metabolism;
+      if (energy.expend(config.creatures.tickCost * metabolism) <= 0) {
+        world.commands.removeEntity(creature);
       }
     });
   }
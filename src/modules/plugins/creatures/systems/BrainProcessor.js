@@ -9,7 +9,34 @@ class BrainProcessor extends System {
    * Constructs a new BrainProcessor
    */
   constructor() {
-    super("processor");
+    super("processor", { name: "BrainProcessor" });
+  }
+
+  /**
+   * Saves the number of input and output neurons reserved, which every brain
+   * in the world was built with
+   * @param {App} app - the currently running GS app
+   * @returns {Object} the numbers of reserved neurons
+   */
+  save(app) {
+    return { inputs: app.neurons.inputs, outputs: app.neurons.outputs };
+  }
+
+  /**
+   * Checks that the systems of the loading app reserved as many neurons as
+   * those of the saved one, and in turn that every system reads and writes
+   * the neurons of the loaded brains it did before
+   * @param {App} app - the currently running GS app
+   * @param {Object} state - the numbers of neurons reserved when saved
+   * @throws {Error} if a different number of neurons is reserved
+   */
+  validate(app, state) {
+    const { inputs, outputs } = app.neurons;
+    if (state.inputs !== inputs || state.outputs !== outputs) {
+      throw new Error("BrainProcessor: the snapshot reserved " + state.inputs + " input and " +
+                      state.outputs + " output neurons, but " + inputs + " and " + outputs +
+                      " are reserved now");
+    }
   }
 
   /**
@@ -17,10 +44,10 @@ class BrainProcessor extends System {
    * @param {App} app - the currently running GS app
    */
   think(app) {
-    app.world.getEntitiesWith("brain").forEach((entity) => {
-      let brain = entity.getComponent("brain");
-      brain.activate();
-    });
+    const entities = app.world.getEntitiesWith("brain");
+    for (let i = 0; i < entities.length; i++) {
+      entities[i].getComponent("brain").activate();
+    }
   }
 }
 
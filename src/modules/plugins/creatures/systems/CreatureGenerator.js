@@ -11,24 +11,134 @@ class CreatureGenerator extends System {
    * Constructs a new CreatureGenerator
    */
   constructor() {
-    super("generator");
+    super("generator", { name: "CreatureGenerator" });
+
+    /**
+     * The app whose population is being watched for extinction, if any
+     * @private
+     * @type {App}
+     */
+    this._watchedApp = undefined;
+
+    /**
+     * Whether there were creatures at the end of the last tick
+     * @private
+     * @type {boolean}
+     */
+    this._alive = false;
+
+    /**
+     * Listener checking the population at the end of every tick
+     * @private
+     * @type {Function}
+     */
+    this._onTickEnd = ({ tick }) => this._checkPopulation(tick);
   }
 
    /**
-    * Seeds the world with creatures
+    * Seeds the world with creatures, then watches the population for
+    * extinction
     * @param {App} app - the currently running GS app
     */
   initialize(app) {
-    const { world, random } = app;
+    const { world, random, innovations, neurons } = app;
     const tiles = world.getEntitiesWith("tile");
 
     tiles.forEach((tile) => {
       if (random.bool(config.creatures.creatureRate)) {
         const coord = tile.getComponent("coord");
-        const creature = buildDefaultCreature(coord, random);
+        const creature = buildDefaultCreature(coord, random, innovations, neurons);
         world.addEntity(creature);
       }
     });
+
+    this._watchPopulation(app);
+  }
+
+  /**
+   * Resumes watching the population for extinction
+   * @param {App} app - the currently running GS app
+   */
+  onEnable(app) {
+    this._watchPopulation(app);
+  }
+
+  /**
+   * Stops watching the population for extinction, so that no extinction
+   * event fires while the generator is disabled
+   * @param {App} app - the currently running GS app
+   */
+  onDisable(app) {
+    this._unwatchPopulation();
+  }
+
+  /**
+   * Saves whether the population is being watched, and whether there were
+   * creatures at the end of the last tick
+   * @param {App} app - the currently running GS app
+   * @returns {Object} the state of the generator
+   */
+  save(app) {
+    return { watching: this._watchedApp !== undefined, alive: this._alive };
+  }
+
+  /**
+   * Resumes watching the population of a loaded world for extinction if it
+   * was being watched when saved, leaving its creatures as they are
+   * @param {App} app - the currently running GS app
+   * @param {Object} state - the state returned by save()
+   */
+  load(app, state) {
+    this._unwatchPopulation();
+    if (state.watching) {
+      this._watchPopulation(app);
+    }
+    this._alive = state.alive;
+  }
+
+  /**
+   * Watches the population of creatures of the given app, and no other, so
+   * that the app fires an extinction event at the end of the tick the last
+   * creature dies in
+   * @private
+   * @param {App} app - the currently running GS app
+   */
+  _watchPopulation(app) {
+    this._unwatchPopulation();
+    this._watchedApp = app;
+    this._alive = app.world.getEntitiesWith("creature").length > 0;
+    app.addListener("tickEnd", this._onTickEnd);
+  }
+
+  /**
+   * Stops watching the population of creatures, if it's being watched
+   * @private
+   */
+  _unwatchPopulation() {
+    if (this._watchedApp !== undefined) {
+      this._watchedApp.removeListener("tickEnd", this._onTickEnd);
+      this._watchedApp = undefined;
+    }
+  }
+
+  /**
+   * Fires an extinction event if the last creature died during the given tick
+   * @private
+   * @param {number} tick - number of the tick that just ended
+   * @fires App#extinction
+   */
+  _checkPopulation(tick) {
+    const wasAlive = this._alive;
+    this._alive = this._watchedApp.world.getEntitiesWith("creature").length > 0;
+    if (wasAlive && !this._alive) {
+      /**
+       * Fired at the end of the tick in which the last creature died
+       * @event App#extinction
+       * @type {object}
+       * @property {number} tick - number of the tick
+       */
+      this._watchedApp.emitEvent("extinction", [{ tick }]);
+    }
   }
 }
 
@@ -9,7 +9,7 @@ class EatingProcessor extends System {
    * Constructs a new EatingProcessor
    */
   constructor() {
-    super("processor");
+    super("processor", { name: "EatingProcessor", after: ["MovementProcessor"] });
   }
 
   /**
@@ -22,16 +22,21 @@ class EatingProcessor extends System {
     const creatures = world.getEntitiesWith("creature");
 
     creatures.forEach((creature) => {
+      if (world.commands.isRemoving(creature)) {
+        return;
+      }
+
       let creatureCoord = creature.getComponent("coord");
       let collisions = world.getEntitiesAt(creatureCoord);
 
       collisions.forEach((entity) => {
-        // Don't collide with self
-        if (entity.id !== creature.id && entity.hasComponent("plant")) {
+        // Don't collide with self, and don't eat plants that were already eaten
+        if (entity.id !== creature.id && entity.hasComponent("plant") &&
+            !world.commands.isRemoving(entity)) {
           let creatureEnergy = creature.getComponent("energy");
           let plantEnergy = entity.getComponent("energy");
           creatureEnergy.gain(plantEnergy.level);
-          world.removeEntity(entity);
+          world.commands.removeEntity(entity);
         }
       });
     });
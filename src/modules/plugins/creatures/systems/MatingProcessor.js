@@ -0,0 +1,91 @@
+import System from "../../../ecs/System";
+import Brain from "../../creatures/components/Brain";
+import DNA from "../components/DNA";
+import config from "../../../config";
+import { buildCreature, isVacant } from "../assembly";
+
+/**
+ * Processes sexual reproduction between nearby creatures
+ * @extends System
+ */
+class MatingProcessor extends System {
+  /**
+   * Constructs a new MatingProcessor
+   */
+  constructor() {
+    super("processor", { name: "MatingProcessor" });
+  }
+
+  /**
+   * Reserves a single output neuron signaling the will to mate
+   * @param {App} app - the currently running GS app
+   */
+  reserve(app) {
+    this._output = Brain.reserveOutput(app);
+  }
+
+  /**
+   * Pairs up creatures within mating range of each other that both signal the
+   * will to mate, and spawns a child for each pair onto a free tile next to
+   * either parent. The child's DNA is the crossover of both parents' DNA, with
+   * the parent holding more energy considered the fitter of the two. Each
+   * parent contributes energy to the child, and mates at most once per tick.
+   * The child belongs to the generation following the later of its parents'.
+   * @param {App} app - the currently running GS app
+   */
+  attempt(app) {
+    const { world, grid, random, innovations, clock } = app;
+    const { mateRange, mateEnergyContribution } = config.creatures;
+    const mated = {};
+
+    const willing = world.getEntitiesWith("creature", "brain").filter((creature) => {
+      const brain = creature.getComponent("brain");
+      const energy = creature.getComponent("energy");
+      return brain.output(this._output) > 0.5 && energy.level > mateEnergyContribution;
+    });
+
+    willing.forEach((creature) => {
+      if (mated[creature.id]) return;
+
+      const coord = creature.getComponent("coord");
+      const partners = willing.filter((other) => {
+        return other !== creature && !mated[other.id] &&
+               grid.distanceBetween(coord, other.getComponent("coord")) <= mateRange;
+      });
+
+      if (partners.length === 0) return;
+
+      const partner = random.pick(partners);
+      const partnerCoord = partner.getComponent("coord");
+      const freeTiles = grid.neighborsOf(coord).concat(grid.neighborsOf(partnerCoord)).filter((tile) => {
+        return grid.isValidCoord(tile) && isVacant(world, tile);
+      });
+
+      if (freeTiles.length === 0) return;
+
+      const energy = creature.getComponent("energy");
+      const partnerEnergy = partner.getComponent("energy");
+      let fitter = creature;
+      let other = partner;
+      if (partnerEnergy.level > energy.level) {
+        [fitter, other] = [partner, creature];
+      }
+
+      const tile = random.pick(freeTiles);
+      const dna = DNA.crossover(fitter.getComponent("dna"), other.getComponent("dna"), random).mutate(random, innovations);
+
+      energy.expend(mateEnergyContribution);
+      partnerEnergy.expend(mateEnergyContribution);
+
+      const generation = Math.max(creature.getComponent("creature").generation,
+                                  partner.getComponent("creature").generation) + 1;
+      clock.recordGeneration(generation);
+
+      world.commands.addEntity(buildCreature(dna, tile, mateEnergyContribution * 2, generation));
+      mated[creature.id] = true;
+      mated[partner.id] = true;
+    });
+  }
+}
+
+export default MatingProcessor;
@@ -12,7 +12,7 @@ class MovementProcessor extends System {
    * Constructs a new MovementProcessor
    */
   constructor() {
-    super("processor");
+    super("processor", { name: "MovementProcessor" });
   }
 
   /**
@@ -21,13 +21,13 @@ class MovementProcessor extends System {
    */
   reserve(app) {
     this._outputs = [
-      Brain.reserveOutput(),
-      Brain.reserveOutput(),
-      Brain.reserveOutput(),
-      Brain.reserveOutput(),
-      Brain.reserveOutput(),
-      Brain.reserveOutput(),
-      Brain.reserveOutput()
+      Brain.reserveOutput(app),
+      Brain.reserveOutput(app),
+      Brain.reserveOutput(app),
+      Brain.reserveOutput(app),
+      Brain.reserveOutput(app),
+      Brain.reserveOutput(app),
+      Brain.reserveOutput(app)
     ];
   }
 
@@ -47,7 +47,8 @@ class MovementProcessor extends System {
   }
 
   /**
-   * Moves creature to their planned positions
+   * Moves creature to their planned positions, expending energy scaled by
+   * their movement cost multiplier
    * @param {App} app - the currently running GS app
    */
   update(app) {
@@ -67,7 +68,9 @@ class MovementProcessor extends System {
 
         if (!alreadyOccupied) {
           let energy = creature.getComponent("energy");
-          energy.expend(config.creatures.moveCost);
+          let phenotype = creature.getComponent("phenotype");
+          let multiplier = phenotype === null ? 1 : phenotype.moveCostMultiplier;
+          energy.expend(config.creatures.moveCost * multiplier);
           coord.set(destination.x, destination.y);
         }
       }
@@ -0,0 +1,68 @@
+import System from "../../../ecs/System";
+import Brain from "../../creatures/components/Brain";
+import config from "../../../config";
+import { buildCreature, isVacant } from "../assembly";
+
+/**
+ * Processes asexual reproduction of creatures
+ * @extends System
+ */
+class ReproductionProcessor extends System {
+  /**
+   * Constructs a new ReproductionProcessor
+   */
+  constructor() {
+    super("processor", { name: "ReproductionProcessor" });
+  }
+
+  /**
+   * Reserves a single output neuron signaling the will to reproduce
+   * @param {App} app - the currently running GS app
+   */
+  reserve(app) {
+    this._output = Brain.reserveOutput(app);
+  }
+
+  /**
+   * Spawns a child with a mutated copy of its parent's DNA onto a free tile
+   * next to every creature that signals the will to reproduce and has enough
+   * energy to do so. The parent's remaining energy is split with the child,
+   * which belongs to the generation following its parent's.
+   * @param {App} app - the currently running GS app
+   */
+  attempt(app) {
+    const { world, grid, random, innovations, clock } = app;
+    const { reproductionThreshold, reproductionCost, offspringEnergyShare } = config.creatures;
+
+    world.getEntitiesWith("creature", "brain").forEach((creature) => {
+      const brain = creature.getComponent("brain");
+      const energy = creature.getComponent("energy");
+
+      if (brain.output(this._output) <= 0.5 || energy.level < reproductionThreshold) {
+        return;
+      }
+
+      const freeTiles = grid.neighborsOf(creature.getComponent("coord")).filter((coord) => {
+        return grid.isValidCoord(coord) && isVacant(world, coord);
+      });
+
+      if (freeTiles.length === 0) {
+        return;
+      }
+
+      const coord = random.pick(freeTiles);
+      const dna = creature.getComponent("dna").clone().mutate(random, innovations);
+
+      energy.expend(reproductionCost);
+      const childEnergy = energy.level * offspringEnergyShare;
+      energy.expend(childEnergy);
+
+      const generation = creature.getComponent("creature").generation + 1;
+      clock.recordGeneration(generation);
+
+      world.commands.addEntity(buildCreature(dna, coord, childEnergy, generation));
+    });
+  }
+}
+
+export default ReproductionProcessor;
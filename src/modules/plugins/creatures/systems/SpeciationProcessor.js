@@ -0,0 +1,143 @@
+import System from "../../../ecs/System";
+import Species from "../components/Species";
+import Strand from "../../../genetics/Strand";
+import Serializable from "../../../util/Serializable";
+import config from "../../../config";
+
+/**
+ * Groups creatures into species of compatible genomes
+ * @extends System
+ */
+class SpeciationProcessor extends System {
+  /**
+   * Constructs a new SpeciationProcessor
+   */
+  constructor() {
+    super("processor", { name: "SpeciationProcessor", after: ["AgingProcessor"] });
+
+    /**
+     * Brain strands representing each living species, keyed by species ID
+     * @private
+     * @type {Object.<number, Strand>}
+     */
+    this._representatives = {};
+
+    /**
+     * The ID to be given to the next new species
+     * @private
+     * @type {number}
+     */
+    this._nextSpeciesID = 1;
+  }
+
+  /**
+   * The number of species with living members
+   * @type {number}
+   */
+  get speciesCount() {
+    return Object.keys(this._representatives).length;
+  }
+
+  /**
+   * Saves the representatives of the living species, and the ID the next new
+   * species will get
+   * @param {App} app - the currently running GS app
+   * @returns {Object} the state of this system
+   */
+  save(app) {
+    const representatives = {};
+    Object.keys(this._representatives).forEach((id) => {
+      representatives[id] = JSON.parse(this._representatives[id].serialize());
+    });
+    return { representatives, nextSpeciesID: this._nextSpeciesID };
+  }
+
+  /**
+   * Restores the species saved by save()
+   * @param {App} app - the currently running GS app
+   * @param {Object} state - the state returned by save()
+   */
+  load(app, state) {
+    this._representatives = {};
+    Object.keys(state.representatives).forEach((id) => {
+      this._representatives[id] = Serializable.restore(JSON.stringify(state.representatives[id]));
+    });
+    this._nextSpeciesID = state.nextSpeciesID;
+  }
+
+  /**
+   * Tags every creature with the species its brain strand is compatible with.
+   * Creatures stay in their species for as long as they remain compatible with
+   * its representative; others join the oldest compatible species or found a
+   * new one represented by their own brain strand. Species without any
+   * remaining members go extinct.
+   * @param {App} app - the currently running GS app
+   */
+  update(app) {
+    const populations = {};
+
+    app.world.getEntitiesWith("creature", "dna").forEach((creature) => {
+      const strand = creature.getComponent("dna").brainStrand;
+      let species = creature.getComponent("species");
+
+      if (species === null) {
+        species = new Species();
+        creature.addComponent(species);
+      }
+
+      if (!this._isCompatible(strand, species.id)) {
+        species.id = this._classify(strand);
+      }
+
+      populations[species.id] = true;
+    });
+
+    Object.keys(this._representatives).forEach((id) => {
+      if (!populations[id]) {
+        delete this._representatives[id];
+      }
+    });
+  }
+
+  /**
+   * Determines the ID of the oldest species compatible with the given strand,
+   * founding a new species if there is none
+   * @private
+   * @param {Strand} strand - the brain strand to classify
+   * @returns {number} the ID of the species
+   */
+  _classify(strand) {
+    const ids = Object.keys(this._representatives).map(Number).sort((a, b) => a - b);
+    const compatible = ids.find((id) => this._isCompatible(strand, id));
+
+    if (compatible !== undefined) {
+      return compatible;
+    }
+
+    const id = this._nextSpeciesID++;
+    this._representatives[id] = strand.clone();
+    return id;
+  }
+
+  /**
+   * Checks whether the given strand is compatible with the representative of a
+   * living species
+   * @private
+   * @param {Strand} strand - the brain strand to check
+   * @param {number} id - the ID of the species
+   * @returns {boolean} true if the strand belongs to the species
+   */
+  _isCompatible(strand, id) {
+    const representative = this._representatives[id];
+    if (representative === undefined) {
+      return false;
+    }
+
+    const { excessCoefficient, disjointCoefficient, weightCoefficient, compatibilityThreshold } = config.creatures;
+    const distance = Strand.compatibilityDistance(strand, representative,
+      excessCoefficient, disjointCoefficient, weightCoefficient);
+    return distance < compatibilityThreshold;
+  }
+}
+
+export default SpeciationProcessor;
@@ -10,7 +10,7 @@ class TouchProcessor extends System {
    * Constructs a new TouchProcessor
    */
   constructor() {
-    super("processor");
+    super("processor", { name: "TouchProcessor" });
   }
 
   /**
@@ -19,12 +19,12 @@ class TouchProcessor extends System {
    */
   reserve(app) {
     this._inputs = [
-      Brain.reserveInput(),
-      Brain.reserveInput(),
-      Brain.reserveInput(),
-      Brain.reserveInput(),
-      Brain.reserveInput(),
-      Brain.reserveInput()
+      Brain.reserveInput(app),
+      Brain.reserveInput(app),
+      Brain.reserveInput(app),
+      Brain.reserveInput(app),
+      Brain.reserveInput(app),
+      Brain.reserveInput(app)
     ];
   }
 
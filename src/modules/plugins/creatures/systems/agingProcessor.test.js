@@ -2,22 +2,26 @@ import AgingProcessor from "./AgingProcessor";
 import World from "../../../ecs/World";
 import Coord from "../../core/components/Coord";
 import { buildDefaultCreature } from "../assembly";
+import config from "../../../config";
+import InnovationRegistry from "../../../genetics/InnovationRegistry";
 import { expect } from "chai";
 import { stub } from "sinon";
 
 describe("AgingProcessor", () => {
-  let sys, app, world, random, creature;
+  let sys, app, world, random, creature, innovations, neurons;
 
   beforeEach(() => {
+    innovations = new InnovationRegistry();
+    neurons = { inputs: 0, outputs: 0 };
     random = {
       real: stub().returns(0)
     };
 
     world = new World();
-    creature = buildDefaultCreature(new Coord(0, 0), random);
+    creature = buildDefaultCreature(new Coord(0, 0), random, innovations, neurons);
     world.addEntity(creature);
 
-    app = { world, random };
+    app = { world, random, innovations, neurons };
     sys = new AgingProcessor();
   });
 
@@ -34,11 +38,22 @@ describe("AgingProcessor", () => {
       expect(energy.level).to.be.below(originalEnergyLevel);
     });
 
+    it("should scale the energy sapped by the creature's metabolism", () => {
+      const energy = creature.getComponent("energy");
+      const originalEnergyLevel = energy.level;
+      creature.getComponent("phenotype").metabolism = 1.5;
+
+      sys.update(app);
+      expect(energy.level).to.equal(originalEnergyLevel - config.creatures.tickCost * 1.5);
+    });
+
     it("should destroy dead creatures", () => {
       const energy = creature.getComponent("energy");
       energy._level = 0; // Essentially kill the creature
 
       sys.update(app);
+      world.flush();
+
       expect(world.getEntitiesWith("creature")).to.have.lengthOf(0);
     });
   });
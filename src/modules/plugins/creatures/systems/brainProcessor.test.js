@@ -4,13 +4,15 @@ import DNA from "../components/DNA";
 import World from "../../../ecs/World";
 import Entity from "../../../ecs/Entity";
 import Sequencer from "../../../genetics/Sequencer";
+import InnovationRegistry from "../../../genetics/InnovationRegistry";
 import { expect } from "chai";
 import { stub, spy } from "sinon";
 
 describe("BrainProcessor", () => {
-  let app;
+  let app, innovations;
 
   beforeEach(() => {
+    innovations = new InnovationRegistry();
     const world = new World();
 
     const random = {
@@ -20,7 +22,7 @@ describe("BrainProcessor", () => {
     // Add some brains to the world
     for (let i = 0; i < 3; i++) {
       let entity = new Entity();
-      let dna = new DNA(1, 1, random);
+      let dna = new DNA(1, 1, random, innovations);
       let brain = new Brain(dna, new Sequencer());
       spy(brain, "activate");
       entity.addComponent(brain);
@@ -44,4 +46,25 @@ describe("BrainProcessor", () => {
       });
     });
   });
+
+  describe("save and validate", () => {
+    beforeEach(() => {
+      app.neurons = { inputs: 3, outputs: 2 };
+    });
+
+    it("should accept the state of an app that reserved as many neurons", () => {
+      const sys = new BrainProcessor();
+      const state = sys.save(app);
+      expect(state).to.eql({ inputs: 3, outputs: 2 });
+      expect(() => sys.validate(app, state)).to.not.throw();
+    });
+
+    it("should reject the state of an app that reserved a different number of neurons", () => {
+      const sys = new BrainProcessor();
+      const state = sys.save(app);
+      app.neurons.inputs = 4;
+      expect(() => sys.validate(app, state)).to.throw(Error,
+        "BrainProcessor: the snapshot reserved 3 input and 2 output neurons, but 4 and 2 are reserved now");
+    });
+  });
 });
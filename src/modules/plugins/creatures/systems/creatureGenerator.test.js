@@ -1,13 +1,16 @@
 import CreatureGenerator from "./CreatureGenerator";
+import App from "../../../App";
 import World from "../../../ecs/World";
 import HexGrid from "../../../grid/HexGrid";
+import InnovationRegistry from "../../../genetics/InnovationRegistry";
 import { expect } from "chai";
-import { stub } from "sinon";
+import { spy, stub } from "sinon";
 
 describe("CreatureGenerator", () => {
-  let sys, app, world, random;
+  let sys, app, world, random, innovations;
 
   beforeEach(() => {
+    innovations = new InnovationRegistry();
     world = new World();
     const grid = new HexGrid(1);
     world.addEntities(grid.buildTiles());
@@ -16,7 +19,9 @@ describe("CreatureGenerator", () => {
       bool: stub(),
       real: stub().returns(0)
     };
-    app = { world, random };
+    app = new App(world, grid);
+    app.random = random;
+    app.innovations = innovations;
     sys = new CreatureGenerator();
   });
 
@@ -38,5 +43,106 @@ describe("CreatureGenerator", () => {
       let tilesWithVegetation = world.getEntitiesWith("creature");
       expect(tilesWithVegetation).to.have.lengthOf(3);
     });
+
+    it("should fire an extinction event once the last creature dies", () => {
+      const extinction = spy();
+      app.addListener("extinction", extinction);
+      random.bool.onCall(0).returns(true);
+      sys.initialize(app);
+
+      app.emitEvent("tickEnd", [{ tick: 1 }]);
+      expect(extinction.called).to.be.false;
+
+      world.removeEntity(world.getEntitiesWith("creature")[0]);
+      app.emitEvent("tickEnd", [{ tick: 2 }]);
+      app.emitEvent("tickEnd", [{ tick: 3 }]);
+      expect(extinction.calledOnce).to.be.true;
+      expect(extinction.calledWith({ tick: 2 })).to.be.true;
+    });
+
+    it("should not fire an extinction event if there never were creatures", () => {
+      const extinction = spy();
+      app.addListener("extinction", extinction);
+      random.bool.returns(false);
+      sys.initialize(app);
+
+      app.emitEvent("tickEnd", [{ tick: 1 }]);
+      expect(extinction.called).to.be.false;
+    });
+
+    it("should fire a single extinction event when initialized again", () => {
+      const extinction = spy();
+      app.addListener("extinction", extinction);
+      random.bool.onCall(0).returns(true);
+      sys.initialize(app);
+      sys.initialize(app);
+
+      world.getEntitiesWith("creature").forEach((creature) => world.removeEntity(creature));
+      app.emitEvent("tickEnd", [{ tick: 1 }]);
+      expect(extinction.calledOnce).to.be.true;
+    });
+  });
+
+  describe("enabling and disabling", () => {
+    let extinction;
+
+    beforeEach(() => {
+      extinction = spy();
+      app.addListener("extinction", extinction);
+      random.bool.onCall(0).returns(true);
+      sys.initialize(app);
+    });
+
+    it("should not fire an extinction event while disabled", () => {
+      sys.onDisable(app);
+      world.removeEntity(world.getEntitiesWith("creature")[0]);
+      app.emitEvent("tickEnd", [{ tick: 1 }]);
+      expect(extinction.called).to.be.false;
+    });
+
+    it("should watch the population as it is once enabled again", () => {
+      sys.onDisable(app);
+      sys.onEnable(app);
+      sys.onEnable(app);
+
+      world.removeEntity(world.getEntitiesWith("creature")[0]);
+      app.emitEvent("tickEnd", [{ tick: 1 }]);
+      expect(extinction.calledOnce).to.be.true;
+    });
+  });
+
+  describe("save and load", () => {
+    it("should keep watching a loaded population for extinction", () => {
+      random.bool.onCall(0).returns(true);
+      sys.initialize(app);
+      const state = JSON.parse(JSON.stringify(sys.save(app)));
+      expect(state).to.eql({ watching: true, alive: true });
+
+      const loaded = new App(world, app.grid);
+      const extinction = spy();
+      loaded.addListener("extinction", extinction);
+      sys.load(loaded, state);
+      sys.load(loaded, state);
+
+      world.removeEntity(world.getEntitiesWith("creature")[0]);
+      app.emitEvent("tickEnd", [{ tick: 1 }]);
+      loaded.emitEvent("tickEnd", [{ tick: 1 }]);
+      expect(extinction.calledOnce).to.be.true;
+    });
+
+    it("should not watch the population of a generator saved while disabled", () => {
+      random.bool.onCall(0).returns(true);
+      sys.initialize(app);
+      sys.onDisable(app);
+      const state = sys.save(app);
+      expect(state.watching).to.be.false;
+
+      const extinction = spy();
+      app.addListener("extinction", extinction);
+      sys.load(app, state);
+      world.removeEntity(world.getEntitiesWith("creature")[0]);
+      app.emitEvent("tickEnd", [{ tick: 1 }]);
+      expect(extinction.called).to.be.false;
+    });
   });
 });
@@ -3,13 +3,16 @@ import World from "../../../ecs/World";
 import Coord from "../../core/components/Coord";
 import { buildDefaultCreature } from "../assembly";
 import { buildPlant } from "../../plants/assembly";
+import InnovationRegistry from "../../../genetics/InnovationRegistry";
 import { expect } from "chai";
 import { stub } from "sinon";
 
 describe("EatingProcessor", () => {
-  let sys, app;
+  let sys, app, innovations, neurons;
 
   beforeEach(() => {
+    innovations = new InnovationRegistry();
+    neurons = { inputs: 0, outputs: 0 };
     const world = new World();
     const random = {
       real: stub().returns(0)
@@ -17,12 +20,11 @@ describe("EatingProcessor", () => {
 
     // Create a world with one creature and one plant sharing a location,
     // and one plant in a separate location.
-    let creature = buildDefaultCreature(new Coord(0, 0), random);
+    let creature = buildDefaultCreature(new Coord(0, 0), random, innovations, neurons);
     let plant = buildPlant(10, new Coord(0, 0));
     let otherPlant = buildPlant(10, new Coord(1, 0));
     world.addEntities([ creature, plant, otherPlant ]);
 
-    world.update();
     app = { world };
 
     sys = new EatingProcessor();
@@ -39,8 +41,26 @@ describe("EatingProcessor", () => {
     expect(app.world.getEntitiesWith("plant")).to.have.lengthOf(2);
 
     sys.update(app);
+    app.world.flush();
 
     expect(energy.level).to.equal(originalEnergyLevel + 10);
     expect(app.world.getEntitiesWith("plant")).to.have.lengthOf(1);
   });
+
+  it("should not let two creatures eat the same plant", () => {
+    const random = {
+      real: stub().returns(0)
+    };
+    const creature = app.world.getEntitiesWith("creature")[0];
+    const other = buildDefaultCreature(new Coord(0, 0), random, innovations, neurons);
+    app.world.addEntity(other);
+    const total = () => creature.getComponent("energy").level + other.getComponent("energy").level;
+    const originalTotal = total();
+
+    sys.update(app);
+    app.world.flush();
+
+    expect(total()).to.equal(originalTotal + 10);
+    expect(app.world.getEntitiesWith("plant")).to.have.lengthOf(1);
+  });
 });
@@ -2,16 +2,26 @@ import CreatureGenerator from "./CreatureGenerator";
 import TouchProcessor from "./TouchProcessor";
 import BrainProcessor from "./BrainProcessor";
 import MovementProcessor from "./MovementProcessor";
+import ReproductionProcessor from "./ReproductionProcessor";
+import MatingProcessor from "./MatingProcessor";
 import EatingProcessor from "./EatingProcessor";
 import AgingProcessor from "./AgingProcessor";
+import SpeciationProcessor from "./SpeciationProcessor";
 
-const systems = [
-  new CreatureGenerator(),
-  new TouchProcessor(),
-  new BrainProcessor(),
-  new MovementProcessor(),
-  new EatingProcessor(),
-  new AgingProcessor()
-];
-
-export default systems;
+/**
+ * Creates the systems of the creatures plugin, for a plugin of its own
+ * @returns {System[]} the systems
+ */
+export default function createSystems() {
+  return [
+    new CreatureGenerator(),
+    new TouchProcessor(),
+    new BrainProcessor(),
+    new MovementProcessor(),
+    new ReproductionProcessor(),
+    new MatingProcessor(),
+    new EatingProcessor(),
+    new AgingProcessor(),
+    new SpeciationProcessor()
+  ];
+}
@@ -0,0 +1,137 @@
+import MatingProcessor from "./MatingProcessor";
+import Brain from "../../creatures/components/Brain";
+import World from "../../../ecs/World";
+import HexGrid from "../../../grid/HexGrid";
+import Coord from "../../core/components/Coord";
+import config from "../../../config";
+import { buildDefaultCreature } from "../assembly";
+import InnovationRegistry from "../../../genetics/InnovationRegistry";
+import Clock from "../../../Clock";
+import { expect } from "chai";
+import { stub } from "sinon";
+
+describe("MatingProcessor", () => {
+  let sys, reserveStub, app, world, random, creature1, creature2, creature3, innovations, neurons;
+
+  const childrenOf = (world) => {
+    return world.getEntitiesWith("creature").filter((creature) => {
+      return ![creature1, creature2, creature3].includes(creature);
+    });
+  };
+
+  beforeEach(() => {
+    innovations = new InnovationRegistry();
+    neurons = { inputs: 0, outputs: 1 };
+    world = new World();
+    const grid = new HexGrid(2);
+    random = {
+      real: stub().returns(0),
+      bool: stub().returns(false),
+      pick: (array) => array[0]
+    };
+
+    creature1 = buildDefaultCreature(new Coord(0, 0), random, innovations, neurons);
+    creature2 = buildDefaultCreature(new Coord(1, 0), random, innovations, neurons);
+    creature3 = buildDefaultCreature(new Coord(-2, 0), random, innovations, neurons);
+    world.addEntities([ creature1, creature2, creature3 ]);
+
+    app = { world, grid, random, innovations, clock: new Clock(), neurons };
+
+    sys = new MatingProcessor();
+    reserveStub = stub(Brain, "reserveOutput").returns(0);
+    sys.reserve(app);
+    sys.initialize(app);
+    reserveStub.restore();
+
+    // Every creature wants to mate, but only the first two are close enough
+    [creature1, creature2, creature3].forEach((creature) => {
+      stub(creature.getComponent("brain"), "output").returns(1);
+    });
+  });
+
+  it("should be tagged as 'processor'", () => {
+    expect(sys.tag).to.equal("processor");
+  });
+
+  it("reserves 1 output neuron signaling the will to mate", () => {
+    expect(reserveStub.callCount).to.equal(1);
+  });
+
+  describe("attempt", () => {
+    it("spawns one child for a pair of nearby creatures willing to mate", () => {
+      sys.attempt(app);
+      world.flush();
+
+      const children = childrenOf(world);
+      expect(children).to.have.lengthOf(1);
+      expect(children[0].getComponent("coord")).to.eql(new Coord(0, 1));
+    });
+
+    it("takes the configured energy contribution from both parents", () => {
+      const { initialEnergy, mateEnergyContribution } = config.creatures;
+
+      sys.attempt(app);
+      world.flush();
+
+      const child = childrenOf(world)[0];
+      expect(child.getComponent("energy").level).to.equal(mateEnergyContribution * 2);
+      expect(creature1.getComponent("energy").level).to.equal(initialEnergy - mateEnergyContribution);
+      expect(creature2.getComponent("energy").level).to.equal(initialEnergy - mateEnergyContribution);
+      expect(creature3.getComponent("energy").level).to.equal(initialEnergy);
+    });
+
+    it("gives the child the crossover of its parents' DNA", () => {
+      const dna1 = creature1.getComponent("dna");
+      const dna2 = creature2.getComponent("dna");
+      dna2.brainStrand.connectionGenes.forEach((gene) => { gene.weight = 0.9; });
+      // Creature 2 is fitter, but random.bool() always picks the matching
+      // genes of the other parent (creature 1)
+      creature2.getComponent("energy").gain(10);
+
+      sys.attempt(app);
+      world.flush();
+
+      const childDNA = childrenOf(world)[0].getComponent("dna");
+      expect(childDNA).to.not.equal(dna1);
+      expect(childDNA).to.not.equal(dna2);
+      childDNA.brainStrand.connectionGenes.forEach((gene) => {
+        expect(gene.weight).to.equal(0);
+      });
+    });
+
+    it("places the child in the generation following the later of its parents'", () => {
+      creature1.getComponent("creature").generation = 2;
+      creature2.getComponent("creature").generation = 5;
+      sys.attempt(app);
+      world.flush();
+
+      expect(childrenOf(world)[0].getComponent("creature").generation).to.equal(6);
+      expect(app.clock.generation).to.equal(6);
+    });
+
+    it("does nothing for creatures that don't signal the will to mate", () => {
+      creature2.getComponent("brain").output.returns(0.2);
+      sys.attempt(app);
+      world.flush();
+      expect(childrenOf(world)).to.have.lengthOf(0);
+    });
+
+    it("does nothing for creatures without enough energy to contribute", () => {
+      creature2.getComponent("energy").expend(config.creatures.initialEnergy);
+      sys.attempt(app);
+      world.flush();
+      expect(childrenOf(world)).to.have.lengthOf(0);
+    });
+
+    it("respects the configured mating range", () => {
+      const mateRange = config.creatures.mateRange;
+      config.creatures.mateRange = 2;
+      sys.attempt(app);
+      world.flush();
+      config.creatures.mateRange = mateRange;
+
+      // Creature 3 still can't mate, as creature 1 and 2 mate at most once
+      expect(childrenOf(world)).to.have.lengthOf(1);
+    });
+  });
+});
@@ -4,27 +4,30 @@ import World from "../../../ecs/World";
 import HexGrid from "../../../grid/HexGrid";
 import Coord from "../../core/components/Coord";
 import Velocity from "../../core/components/Velocity";
+import config from "../../../config";
 import { buildDefaultCreature } from "../assembly";
+import InnovationRegistry from "../../../genetics/InnovationRegistry";
 import { expect } from "chai";
 import { stub } from "sinon";
 
 describe("MovementProcessor", () => {
-  let sys, reserveStub, app, creature1, creature2;
+  let sys, reserveStub, app, creature1, creature2, innovations, neurons;
 
   beforeEach(() => {
+    innovations = new InnovationRegistry();
+    neurons = { inputs: 0, outputs: 7 };
     const world = new World();
     const grid = new HexGrid(1);
     const random = {
       real: stub().returns(0)
     };
 
-    creature1 = buildDefaultCreature(new Coord(0, 0), random);
-    creature2 = buildDefaultCreature(new Coord(1, 0), random);
+    creature1 = buildDefaultCreature(new Coord(0, 0), random, innovations, neurons);
+    creature2 = buildDefaultCreature(new Coord(1, 0), random, innovations, neurons);
     world.addEntity(creature1);
     world.addEntity(creature2);
-    world.update();
 
-    app = { world, grid, random };
+    app = { world, grid, random, innovations, neurons };
 
     sys = new MovementProcessor();
     reserveStub = stub(Brain, "reserveOutput").returns(0);
@@ -189,6 +192,20 @@ describe("MovementProcessor", () => {
       expect(energy2.level).to.equal(originalEnergyLevel2);
     });
 
+    it("scales the energy expended by the creature's movement cost multiplier", () => {
+      let velocity1 = creature1.getComponent("velocity");
+      velocity1.x = -1;
+      velocity1.y = 1;
+      creature1.getComponent("phenotype").moveCostMultiplier = 0.5;
+
+      let energy1 = creature1.getComponent("energy");
+      let originalEnergyLevel1 = energy1.level;
+
+      sys.update(app);
+
+      expect(energy1.level).to.equal(originalEnergyLevel1 - config.creatures.moveCost * 0.5);
+    });
+
     it("does not allow a creature to move out of bounds", () => {
       // Signals a move from (1, 0) to (2, 0) which is out of bounds
       let velocity2 = creature2.getComponent("velocity");
@@ -0,0 +1,162 @@
+import ReproductionProcessor from "./ReproductionProcessor";
+import MatingProcessor from "./MatingProcessor";
+import Brain from "../../creatures/components/Brain";
+import World from "../../../ecs/World";
+import HexGrid from "../../../grid/HexGrid";
+import Coord from "../../core/components/Coord";
+import config from "../../../config";
+import { buildDefaultCreature } from "../assembly";
+import InnovationRegistry from "../../../genetics/InnovationRegistry";
+import Clock from "../../../Clock";
+import { expect } from "chai";
+import { stub } from "sinon";
+
+describe("ReproductionProcessor", () => {
+  let sys, reserveStub, app, world, creature1, creature2, innovations, neurons;
+
+  const childrenOf = (world) => {
+    return world.getEntitiesWith("creature").filter((creature) => {
+      return creature !== creature1 && creature !== creature2;
+    });
+  };
+
+  beforeEach(() => {
+    innovations = new InnovationRegistry();
+    neurons = { inputs: 0, outputs: 1 };
+    world = new World();
+    const grid = new HexGrid(1);
+    const random = {
+      real: stub().returns(0),
+      bool: stub().returns(false),
+      pick: (array) => array[0]
+    };
+
+    creature1 = buildDefaultCreature(new Coord(0, 0), random, innovations, neurons);
+    creature2 = buildDefaultCreature(new Coord(1, 0), random, innovations, neurons);
+    world.addEntity(creature1);
+    world.addEntity(creature2);
+
+    app = { world, grid, random, innovations, clock: new Clock(), neurons };
+
+    sys = new ReproductionProcessor();
+    reserveStub = stub(Brain, "reserveOutput").returns(0);
+    sys.reserve(app);
+    sys.initialize(app);
+    reserveStub.restore();
+
+    // Creature 1 wants to reproduce and can afford it, creature 2 does not
+    creature1.getComponent("energy").gain(40 - config.creatures.initialEnergy);
+    stub(creature1.getComponent("brain"), "output").returns(1);
+    stub(creature2.getComponent("brain"), "output").returns(0);
+  });
+
+  it("should be tagged as 'processor'", () => {
+    expect(sys.tag).to.equal("processor");
+  });
+
+  it("reserves 1 output neuron signaling the will to reproduce", () => {
+    expect(reserveStub.callCount).to.equal(1);
+  });
+
+  describe("attempt", () => {
+    it("spawns a child onto a free neighboring tile", () => {
+      sys.attempt(app);
+      world.flush();
+
+      const children = childrenOf(world);
+      expect(children).to.have.lengthOf(1);
+      expect(children[0].getComponent("coord")).to.eql(new Coord(0, 1));
+    });
+
+    it("gives the child a copy of its parent's DNA", () => {
+      sys.attempt(app);
+      world.flush();
+
+      const parentDNA = creature1.getComponent("dna");
+      const childDNA = childrenOf(world)[0].getComponent("dna");
+      expect(childDNA).to.not.equal(parentDNA);
+      expect(childDNA).to.eql(parentDNA);
+    });
+
+    it("places the child in the generation following its parent's", () => {
+      creature1.getComponent("creature").generation = 3;
+      sys.attempt(app);
+      world.flush();
+
+      expect(childrenOf(world)[0].getComponent("creature").generation).to.equal(4);
+      expect(app.clock.generation).to.equal(4);
+    });
+
+    it("splits the parent's remaining energy with the child", () => {
+      const { reproductionCost, offspringEnergyShare } = config.creatures;
+      const remaining = 40 - reproductionCost;
+
+      sys.attempt(app);
+      world.flush();
+
+      const child = childrenOf(world)[0];
+      expect(child.getComponent("energy").level).to.equal(remaining * offspringEnergyShare);
+      expect(creature1.getComponent("energy").level).to.equal(remaining * (1 - offspringEnergyShare));
+    });
+
+    it("does nothing for creatures that don't signal the will to reproduce", () => {
+      creature1.getComponent("brain").output.returns(0.2);
+      sys.attempt(app);
+      world.flush();
+      expect(childrenOf(world)).to.have.lengthOf(0);
+    });
+
+    it("does nothing for creatures without enough energy", () => {
+      creature1.getComponent("energy").expend(40);
+      creature1.getComponent("energy").gain(config.creatures.reproductionThreshold - 1);
+      sys.attempt(app);
+      world.flush();
+      expect(childrenOf(world)).to.have.lengthOf(0);
+    });
+
+    it("does nothing when there are no free neighboring tiles", () => {
+      app.grid = new HexGrid(0);
+      sys.attempt(app);
+      world.flush();
+      expect(childrenOf(world)).to.have.lengthOf(0);
+      expect(creature1.getComponent("energy").level).to.equal(40);
+    });
+
+    it("never places two children on the same tile", () => {
+      creature2.getComponent("energy").gain(40 - config.creatures.initialEnergy);
+      creature2.getComponent("brain").output.returns(1);
+
+      sys.attempt(app);
+      world.flush();
+
+      const coords = childrenOf(world).map((child) => child.getComponent("coord"));
+      expect(coords).to.have.lengthOf(2);
+      expect(coords[0].equalTo(coords[1])).to.be.false;
+    });
+
+    it("never places a child on a tile claimed by a mated child in the same phase", () => {
+      // Leave a single tile free, next to both creature 1 and creature 2,
+      // and surround creature 1 with creatures willing to mate
+      const random = app.random;
+      [new Coord(1, -1), new Coord(0, -1), new Coord(-1, 0), new Coord(-1, 1)].forEach((coord) => {
+        const creature = buildDefaultCreature(coord, random, innovations, neurons);
+        stub(creature.getComponent("brain"), "output").returns(1);
+        world.addEntity(creature);
+      });
+      const mating = new MatingProcessor();
+      const reserveStub = stub(Brain, "reserveOutput").returns(0);
+      mating.reserve(app);
+      reserveStub.restore();
+
+      sys.attempt(app);
+      mating.attempt(app);
+      world.flush();
+
+      const children = childrenOf(world).filter((creature) => {
+        return creature.getComponent("creature").generation > 0;
+      });
+      expect(children).to.have.lengthOf(1);
+      expect(world.getEntitiesAt(new Coord(0, 1))).to.have.lengthOf(1);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+import SpeciationProcessor from "./SpeciationProcessor";
+import World from "../../../ecs/World";
+import Coord from "../../core/components/Coord";
+import DNA from "../components/DNA";
+import { buildCreature } from "../assembly";
+import InnovationRegistry from "../../../genetics/InnovationRegistry";
+import { expect } from "chai";
+import { stub } from "sinon";
+
+describe("SpeciationProcessor", () => {
+  let sys, app, world, creature1, creature2, innovations;
+
+  const speciesOf = (creature) => creature.getComponent("species").id;
+  const diverge = (creature) => {
+    creature.getComponent("dna").brainStrand.connectionGenes.forEach((gene) => {
+      gene.weight = 1;
+    });
+  };
+
+  beforeEach(() => {
+    innovations = new InnovationRegistry();
+    const random = {
+      real: stub().returns(0)
+    };
+
+    world = new World();
+    creature1 = buildCreature(new DNA(2, 2, random, innovations), new Coord(0, 0));
+    creature2 = buildCreature(new DNA(2, 2, random, innovations), new Coord(1, 0));
+    world.addEntity(creature1);
+    world.addEntity(creature2);
+
+    app = { world, random, innovations };
+    sys = new SpeciationProcessor();
+  });
+
+  it("should be tagged as 'processor'", () => {
+    expect(sys.tag).to.equal("processor");
+  });
+
+  describe("update", () => {
+    it("should tag every creature with a species", () => {
+      sys.update(app);
+      expect(creature1.hasComponent("species")).to.be.true;
+      expect(creature2.hasComponent("species")).to.be.true;
+    });
+
+    it("should group compatible creatures into the same species", () => {
+      sys.update(app);
+      expect(speciesOf(creature1)).to.equal(speciesOf(creature2));
+      expect(sys.speciesCount).to.equal(1);
+    });
+
+    it("should separate incompatible creatures into different species", () => {
+      diverge(creature2);
+      sys.update(app);
+      expect(speciesOf(creature1)).to.not.equal(speciesOf(creature2));
+      expect(sys.speciesCount).to.equal(2);
+    });
+
+    it("should keep creatures in their species across ticks", () => {
+      sys.update(app);
+      const species = speciesOf(creature1);
+      world.removeEntity(creature2);
+      sys.update(app);
+      expect(speciesOf(creature1)).to.equal(species);
+    });
+
+    it("should reassign creatures whose genome has drifted away", () => {
+      sys.update(app);
+      const species = speciesOf(creature2);
+      diverge(creature2);
+      sys.update(app);
+      expect(speciesOf(creature1)).to.equal(species);
+      expect(speciesOf(creature2)).to.not.equal(species);
+    });
+
+    it("should drop species without living members", () => {
+      diverge(creature2);
+      sys.update(app);
+      world.removeEntity(creature2);
+      sys.update(app);
+      expect(sys.speciesCount).to.equal(1);
+    });
+  });
+});
@@ -5,29 +5,31 @@ import HexGrid from "../../../grid/HexGrid";
 import Coord from "../../core/components/Coord";
 import { buildDefaultCreature } from "../assembly";
 import { buildPlant } from "../../plants/assembly";
+import InnovationRegistry from "../../../genetics/InnovationRegistry";
 import { expect } from "chai";
 import { stub, spy } from "sinon";
 
 describe("TouchProcessor", () => {
-  let app, creature1, creature2, plant, reserveStub;
+  let app, creature1, creature2, plant, reserveStub, innovations, neurons;
 
   beforeEach(() => {
+    innovations = new InnovationRegistry();
+    neurons = { inputs: 6, outputs: 0 };
     const world = new World();
     const grid = new HexGrid(1);
     const random = {
       real: stub().returns(0)
     };
 
-    creature1 = buildDefaultCreature(new Coord(0, 0), random);
-    creature2 = buildDefaultCreature(new Coord(1, 0), random);
+    creature1 = buildDefaultCreature(new Coord(0, 0), random, innovations, neurons);
+    creature2 = buildDefaultCreature(new Coord(1, 0), random, innovations, neurons);
     plant = buildPlant(10, new Coord(-1, 0));
 
     world.addEntity(creature1);
     world.addEntity(creature2);
     world.addEntity(plant);
-    world.update();
 
-    app = { world, grid, random };
+    app = { world, grid, random, innovations, neurons };
 
     reserveStub = stub(Brain, "reserveInput").returns(0);
   });
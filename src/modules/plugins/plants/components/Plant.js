@@ -13,6 +13,6 @@ class Plant extends Component {
   }
 }
 
-Component.register(Plant);
+Component.register(Plant, "Plant");
 
 export default Plant;
@@ -1,5 +1,14 @@
 import Plugin from "../Plugin";
-import systems from "./systems";
+import createSystems from "./systems";
 import config from "./config";
 
-export default new Plugin("plants", systems, config);
+/**
+ * Creates the plants plugin, with systems of its own for one app. Every
+ * instance of the plugin shares the same config.
+ * @returns {Plugin} the plugin
+ */
+export default function createPlantsPlugin() {
+  return new Plugin("plants", createSystems(), config, true, {
+    dependencies: ["core"]
+  });
+}
@@ -11,7 +11,7 @@ class PlantGenerator extends System {
    * Constructs a new PlantGenerator
    */
   constructor() {
-    super("generator");
+    super("generator", { name: "PlantGenerator" });
   }
 
    /**
@@ -30,6 +30,13 @@ class PlantGenerator extends System {
       }
     });
   }
+
+  /**
+   * Leaves the plants of a loaded world as they are
+   * @param {App} app - the currently running GS app
+   */
+  load(app) {
+  }
 }
 
 export default PlantGenerator;
@@ -1,7 +1,11 @@
 import PlantGenerator from "./PlantGenerator";
 
-const systems = [
-  new PlantGenerator()
-];
-
-export default systems;
+/**
+ * Creates the systems of the plants plugin, for a plugin of its own
+ * @returns {System[]} the systems
+ */
+export default function createSystems() {
+  return [
+    new PlantGenerator()
+  ];
+}
@@ -1,4 +1,5 @@
 import Plugin from "./Plugin";
+import { plugins } from "../config";
 import { expect } from "chai";
 
 describe("Plugin", () => {
@@ -11,10 +12,71 @@ describe("Plugin", () => {
     expect(plugin.systems).to.eql(systems);
     expect(plugin.config).to.eql(config);
     expect(plugin.enabled).to.be.true;
+    expect(plugin.dependencies).to.eql([]);
+    expect(plugin.requiredConfig).to.eql([]);
   });
 
   it("can be disabled", () => {
     const plugin = new Plugin("fake", systems, config, false);
     expect(plugin.enabled).to.be.false;
   });
+
+  it("can declare dependencies and required config keys", () => {
+    const plugin = new Plugin("fake", systems, config, true, {
+      dependencies: ["core"],
+      requiredConfig: ["core.gridRadius"]
+    });
+    expect(plugin.dependencies).to.eql(["core"]);
+    expect(plugin.requiredConfig).to.eql(["core.gridRadius"]);
+  });
+
+  describe("resolve", () => {
+    let core, plants, creatures;
+
+    beforeEach(() => {
+      core = new Plugin("core", systems, { gridRadius: 25, theme: { name: "elemental" } });
+      plants = new Plugin("plants", systems, {}, true, { dependencies: ["core"] });
+      creatures = new Plugin("creatures", systems, {}, true, {
+        dependencies: ["core", "plants"],
+        requiredConfig: ["core.gridRadius", "core.theme.name"]
+      });
+    });
+
+    it("sorts plugins after the plugins they depend on", () => {
+      expect(Plugin.resolve([creatures, plants, core])).to.eql([core, plants, creatures]);
+      expect(Plugin.resolve([plants, creatures, core])).to.eql([core, plants, creatures]);
+    });
+
+    it("keeps the given order of plugins where dependencies allow", () => {
+      const other = new Plugin("other", systems, {});
+      expect(Plugin.resolve([other, core, plants])).to.eql([other, core, plants]);
+      expect(Plugin.resolve([plants, other, core])).to.eql([other, core, plants]);
+    });
+
+    it("can resolve the built-in plugins", () => {
+      expect(Plugin.resolve(plugins).map((plugin) => plugin.name)).to.eql(["core", "plants", "creatures"]);
+    });
+
+    it("throws if a dependency is missing", () => {
+      expect(() => Plugin.resolve([core, creatures])).to.throw(Error,
+        "Plugin: \"creatures\" depends on plugin \"plants\", which is missing");
+    });
+
+    it("throws if a required config key is missing", () => {
+      delete core.config.theme;
+      expect(() => Plugin.resolve([core, plants, creatures])).to.throw(Error,
+        "Plugin: \"creatures\" requires config key \"core.theme.name\", which is missing");
+    });
+
+    it("throws if plugin dependencies form a cycle", () => {
+      core.dependencies = ["creatures"];
+      expect(() => Plugin.resolve([core, plants, creatures])).to.throw(Error,
+        "Plugin: cyclic dependencies between plugins core, plants, creatures");
+    });
+
+    it("throws if two plugins share a name", () => {
+      expect(() => Plugin.resolve([core, new Plugin("core", systems, {})])).to.throw(Error,
+        "Plugin: more than one plugin is named \"core\"");
+    });
+  });
 });
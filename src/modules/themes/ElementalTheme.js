@@ -1,14 +1,18 @@
-import { Color } from "paper";
 import config from "../config";
 
 /**
- * An elemental inspired theme
+ * An elemental inspired theme. Colors are created through the paper scope
+ * handed to each sprite rather than an import of Paper.js, so that the theme
+ * can be loaded where there is no canvas to draw on.
  */
 const ElementalTheme = {
   backgroundStyle: {
-    fillColor: new Color("#18303D")
+    fillColor: "#18303D"
   },
 
+  // Cached creature symbols, keyed by their size and hue bucket
+  _creatureSymbols: {},
+
   sprites: {
     // The default sprite drawn when a request is made for a sprite that does
     // not exist
@@ -32,7 +36,7 @@ const ElementalTheme = {
     // Tile sprite
     tile(paper) {
       if (ElementalTheme._tileSymbol === undefined) {
-        const { Path, Symbol, Point } = paper;
+        const { Path, Symbol, Point, Color } = paper;
 
         let path = new Path.RegularPolygon(new Point(0, 0), 6, config.core.hexRadius);
         path.style = {
@@ -50,7 +54,7 @@ const ElementalTheme = {
     // Plant sprite
     plant(paper) {
       if (ElementalTheme._plantSymbol === undefined) {
-        const { Path, Symbol, Group } = paper;
+        const { Path, Symbol, Group, Color } = paper;
 
         let petals = new Group();
         let petalCount = 4;
@@ -75,20 +79,30 @@ const ElementalTheme = {
       return rasterized;
     },
 
-    // Creature sprite
-    creature(paper) {
-      if (ElementalTheme._creatureSymbol === undefined) {
-        const { Path, Symbol } = paper;
+    // Creature sprite, optionally sized and colored by the creature's traits.
+    // Traits are rounded into buckets of similar size and hue that share a
+    // symbol, so that there's a handful of symbols rather than one per creature.
+    creature(paper, options) {
+      const size = options.size === undefined ? 1 : Math.round(options.size * 20) / 20;
+      const hue = options.hue === undefined ? undefined : Math.round(options.hue / 10) * 10 % 360;
+      const key = size + "," + hue;
+
+      if (!ElementalTheme._creatureSymbols.hasOwnProperty(key)) {
+        const { Path, Symbol, Color } = paper;
 
         const path = new Path.Circle({
-          radius: config.core.hexRadius - 5,
-          fillColor: new Color("#D4964B")
+          radius: (config.core.hexRadius - 5) * size,
+          fillColor: hue === undefined ? new Color("#D4964B") : new Color({
+            hue,
+            saturation: 0.65,
+            brightness: 0.83
+          })
         });
 
-        ElementalTheme._creatureSymbol = new Symbol(path);
+        ElementalTheme._creatureSymbols[key] = new Symbol(path);
       }
 
-      let placedSymbol = ElementalTheme._creatureSymbol.place();
+      let placedSymbol = ElementalTheme._creatureSymbols[key].place();
       let rasterized = placedSymbol.rasterize();
       placedSymbol.remove();
       return rasterized;
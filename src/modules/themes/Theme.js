@@ -38,12 +38,14 @@ const Theme = {
    * sprite if the given name is not defined
    * @param {string} name - name of the sprite
    * @param {PaperScope} paper - an active paper scope
+   * @param {Object} [options={}] - options to customize the sprite with, as
+   * understood by the current theme
    * @returns {Item} a Paper.js Item instance
    */
-  getSprite(name, paper) {
+  getSprite(name, paper, options = {}) {
     const sprites = this.current.sprites;
     const spriteFunc = sprites[name] ? sprites[name] : sprites["default"];
-    return spriteFunc(paper);
+    return spriteFunc(paper, options);
   }
 };
 
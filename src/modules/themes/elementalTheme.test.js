@@ -0,0 +1,49 @@
+import ElementalTheme from "./ElementalTheme";
+import { expect } from "chai";
+import { stub } from "sinon";
+
+describe("ElementalTheme", () => {
+  let paper;
+
+  beforeEach(() => {
+    ElementalTheme._creatureSymbols = {};
+    paper = {
+      Path: {
+        Circle: stub()
+      },
+      Color: stub(),
+      Symbol: stub().returns({
+        place: () => ({
+          rasterize: () => "fakeRaster",
+          remove: stub()
+        })
+      })
+    };
+  });
+
+  describe("creature sprite", () => {
+    const { creature } = ElementalTheme.sprites;
+
+    it("draws a rasterized creature", () => {
+      expect(creature(paper, {})).to.equal("fakeRaster");
+      expect(creature(paper, { size: 0.5, hue: 120 })).to.equal("fakeRaster");
+    });
+
+    it("shares a symbol between creatures of similar size and hue", () => {
+      creature(paper, { size: 0.71, hue: 121 });
+      creature(paper, { size: 0.69, hue: 119 });
+      creature(paper, { size: 0.7, hue: 359 });
+      creature(paper, { size: 0.7, hue: 1 });
+      expect(paper.Symbol.callCount).to.equal(2);
+      expect(paper.Path.Circle.callCount).to.equal(2);
+    });
+
+    it("draws creatures of different size or hue with different symbols", () => {
+      creature(paper, { size: 0.7, hue: 120 });
+      creature(paper, { size: 0.9, hue: 120 });
+      creature(paper, { size: 0.7, hue: 240 });
+      creature(paper, {});
+      expect(paper.Symbol.callCount).to.equal(4);
+    });
+  });
+});
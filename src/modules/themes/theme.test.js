@@ -18,6 +18,9 @@ describe("Theme", () => {
       default(paper) {
         // Pretend to place a new symbol
         return paper.Symbol().place();
+      },
+      sized(paper, options) {
+        return options.size;
       }
     }
   };
@@ -40,4 +43,9 @@ describe("Theme", () => {
     Theme.setTheme("fake");
     expect(Theme.getSprite("default", paper)).to.equal("fakeItem");
   });
+
+  it("passes options on to sprites", () => {
+    Theme.setTheme("fake");
+    expect(Theme.getSprite("sized", paper, { size: 3 })).to.equal(3);
+  });
 });
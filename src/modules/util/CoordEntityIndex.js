@@ -1,5 +1,8 @@
 /**
- * An index providing fast lookup of Entities by their coordinate position
+ * An index providing fast lookup of Entities by their coordinate position.
+ * The index is kept current incrementally by adding, removing and moving
+ * entities one at a time, so keeping it up to date costs only as much as the
+ * number of entities that actually change.
  */
 class CoordEntityIndex {
   /**
@@ -12,6 +15,13 @@ class CoordEntityIndex {
      * @type {Object}
      */
     this._map = {};
+
+    /**
+     * Map from entity ID to the hashed coordinate the entity is indexed under
+     * @private
+     * @type {Object}
+     */
+    this._hashes = {};
   }
 
   /**
@@ -23,16 +33,57 @@ class CoordEntityIndex {
   rebuild(entities) {
     this._clear();
     entities.forEach((entity) => {
-      if (entity.hasComponent("coord")) {
-        let hash = this._hashCoord(entity.getComponent("coord"));
-        if (this._map[hash] === undefined) {
-          this._map[hash] = [];
-        }
-        this._map[hash].push(entity);
-      }
+      this.add(entity);
     });
   }
 
+  /**
+   * Adds the given entity to the index under its current coordinates, or does
+   * nothing if the entity has no Coord component or is already indexed
+   * @param {Entity} entity - the entity to add
+   */
+  add(entity) {
+    if (entity.hasComponent("coord") && !this._hashes.hasOwnProperty(entity.id)) {
+      let hash = this._hashCoord(entity.getComponent("coord"));
+      if (this._map[hash] === undefined) {
+        this._map[hash] = [];
+      }
+      this._map[hash].push(entity);
+      this._hashes[entity.id] = hash;
+    }
+  }
+
+  /**
+   * Removes the given entity from the index, or does nothing if the entity is
+   * not indexed. The entity does not need to still have its Coord component.
+   * @param {Entity} entity - the entity to remove
+   */
+  remove(entity) {
+    if (this._hashes.hasOwnProperty(entity.id)) {
+      let hash = this._hashes[entity.id];
+      let entities = this._map[hash];
+      entities.splice(entities.indexOf(entity), 1);
+      if (entities.length === 0) {
+        delete this._map[hash];
+      }
+      delete this._hashes[entity.id];
+    }
+  }
+
+  /**
+   * Moves the given entity to the index entry of its current coordinates.
+   * Should be called whenever the Coord component of an indexed entity
+   * changes.
+   * @param {Entity} entity - the entity that moved
+   */
+  move(entity) {
+    if (this._hashes.hasOwnProperty(entity.id) &&
+        this._hashes[entity.id] !== this._hashCoord(entity.getComponent("coord"))) {
+      this.remove(entity);
+      this.add(entity);
+    }
+  }
+
   /**
    * Returns an array of entities that are located at the given coordinate
    * @param {Coord} coord - coordinate
@@ -40,7 +91,21 @@ class CoordEntityIndex {
    */
   findEntitiesAt(coord) {
     let hash = this._hashCoord(coord);
-    return this._map[hash] !== undefined ? this._map[hash] : [];
+    return this._map[hash] !== undefined ? this._map[hash].slice() : [];
+  }
+
+  /**
+   * Returns every entity in the index, grouped by coordinate. Entities sharing
+   * a coordinate appear in the order they were indexed at that coordinate, so
+   * adding them to an empty index in this order reproduces this index.
+   * @returns {Entity[]} array of every entity in the index
+   */
+  getEntities() {
+    const entities = [];
+    Object.keys(this._map).forEach((hash) => {
+      entities.push(...this._map[hash]);
+    });
+    return entities;
   }
 
   /**
@@ -48,9 +113,7 @@ class CoordEntityIndex {
    * @returns {number} current number of entities stored in the index
    */
   get length() {
-    return Object.keys(this._map).reduce((prev, curr) => {
-      return prev + this._map[curr].length;
-    }, 0);
+    return Object.keys(this._hashes).length;
   }
 
   /**
@@ -59,6 +122,7 @@ class CoordEntityIndex {
    */
   _clear() {
     this._map = {};
+    this._hashes = {};
   }
 
   /**
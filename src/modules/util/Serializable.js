@@ -17,7 +17,9 @@ class Serializable {
   /**
    * Serializes this object to JSON with an optional array of blacklisted
    * fields that will not be included in the output. This function will be
-   * called recursively for nested Serializable objects.
+   * called recursively for nested Serializable objects, including those in
+   * arrays. The object is identified by the name its constructor was
+   * registered under.
    * @example
    * let coord = new Coord(1, 2);
    * coord.serialize() // '{"ctor":"Coord","data":{"x":1,"y":2}}'
@@ -28,19 +30,14 @@ class Serializable {
    */
   serialize(blacklist = []) {
     let output = {
-      ctor: this.constructor.name,
+      ctor: Serializable._names.has(this.constructor)
+        ? Serializable._names.get(this.constructor) : this.constructor.name,
       data: {}
     };
 
     Object.keys(this).forEach((key) => {
       if (!blacklist.includes(key) && !key.startsWith("!")) {
-        let member = this[key];
-        // Drill down into nested objects recursively
-        if (member instanceof Serializable) {
-          output.data[key] = JSON.parse(member.serialize(blacklist));
-        } else {
-          output.data[key] = member;
-        }
+        output.data[key] = Serializable._serializeMember(this[key], blacklist);
       }
     });
 
@@ -48,18 +45,43 @@ class Serializable {
   }
 
   /**
-  * Registers the given constructor so that it can later be properly restored
-  * from JSON using Serializable.restore()
+   * Prepares a single member for serialization, drilling down into nested
+   * Serializable objects and arrays recursively
+   * @private
+   * @param {*} member - the member to prepare
+   * @param {string[]} blacklist - keys to exclude from nested objects
+   * @returns {*} the member, ready for JSON.stringify()
+   */
+  static _serializeMember(member, blacklist) {
+    if (member instanceof Serializable) {
+      return JSON.parse(member.serialize(blacklist));
+    } else if (Array.isArray(member)) {
+      return member.map((element) => Serializable._serializeMember(element, blacklist));
+    }
+    return member;
+  }
+
+  /**
+  * Registers the given constructor under the given name so that it can later
+  * be properly restored from JSON using Serializable.restore(). Serialized
+  * objects refer to their constructor by that name, so it must stay the same
+  * for saved JSON to be restored.
+  * @example
+  * Serializable.register(Clock, "Clock");
   * @param {Function} ctor - constructor function for a subclass of Serializable
+  * @param {string} [name=ctor.name] - name to register the constructor under.
+  * Class names don't survive minification, so set this for any class whose
+  * objects are saved.
   */
-  static register(ctor) {
-    Serializable._constructors[ctor.name] = ctor;
+  static register(ctor, name = ctor.name) {
+    Serializable._constructors[name] = ctor;
+    Serializable._names.set(ctor, name);
   }
 
   /**
   * Restores a Serializable object from its JSON string, obtained by originally
   * calling serialize() on that object. Also restores nested Serializable
-  * objects..
+  * objects, including those in arrays.
   * @example
   * const coord = new Coord(5, 6);
   * const restored = Serializable.restore(coord.serialize());
@@ -74,21 +96,34 @@ class Serializable {
     const Ctor = Serializable._constructors[ctor];
     let object = new Ctor();
     Object.keys(data).forEach((key) => {
-      let member = data[key];
-      // Restore nested Serializable objects. This is admittedly a bit of a "hack".
-      // Basically, if it looks like a serialzed object, and it is contained
-      // in the registered constructors map, try to restore it as a Serializable
-      // instance.
-      if (member.hasOwnProperty("ctor") &&
-      member.hasOwnProperty("data") &&
-      Serializable._constructors.hasOwnProperty(member.ctor)) {
-        object[key] = Serializable.restore(JSON.stringify(member));
-      } else {
-        object[key] = data[key];
-      }
+      object[key] = Serializable._restoreMember(data[key]);
     });
     return object;
   }
+
+  /**
+   * Restores a single member of a serialized object, along with any nested
+   * Serializable objects and arrays
+   * @private
+   * @param {*} member - the member as parsed from JSON
+   * @returns {*} the restored member
+   */
+  static _restoreMember(member) {
+    if (Array.isArray(member)) {
+      return member.map((element) => Serializable._restoreMember(element));
+    }
+    // Restore nested Serializable objects. This is admittedly a bit of a "hack".
+    // Basically, if it looks like a serialzed object, and it is contained
+    // in the registered constructors map, try to restore it as a Serializable
+    // instance.
+    if (member !== null && typeof member === "object" &&
+    member.hasOwnProperty("ctor") &&
+    member.hasOwnProperty("data") &&
+    Serializable._constructors.hasOwnProperty(member.ctor)) {
+      return Serializable.restore(JSON.stringify(member));
+    }
+    return member;
+  }
 }
 
 /**
@@ -98,4 +133,11 @@ class Serializable {
  */
 Serializable._constructors = {};
 
+/**
+ * The names constructors are registered under, keyed by constructor
+ * @type {Map}
+ * @private
+ */
+Serializable._names = new Map();
+
 export default Serializable;
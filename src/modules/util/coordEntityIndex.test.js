@@ -52,6 +52,44 @@ describe("CoordEntityIndex", () => {
     });
   });
 
+  it("can add and remove entities one at a time", () => {
+    const coordEntityIndex = new CoordEntityIndex();
+    entities.forEach((entity) => coordEntityIndex.add(entity));
+    coordEntityIndex.add(entities[0]);
+
+    expect(coordEntityIndex.length).to.equal(5);
+    expect(coordEntityIndex.findEntitiesAt(new Coord(-1, -1))).to.eql([entities[0], entities[1]]);
+
+    coordEntityIndex.remove(entities[0]);
+    coordEntityIndex.remove(entities[5]);
+    expect(coordEntityIndex.length).to.equal(4);
+    expect(coordEntityIndex.findEntitiesAt(new Coord(-1, -1))).to.eql([entities[1]]);
+
+    coordEntityIndex.remove(entities[1]);
+    expect(coordEntityIndex._map).to.not.have.property("-1,-1");
+  });
+
+  it("can move an entity to the entry of its current coordinates", () => {
+    const coordEntityIndex = new CoordEntityIndex();
+    coordEntityIndex.rebuild(entities);
+
+    entities[4].getComponent("coord").set(0, 0);
+    coordEntityIndex.move(entities[4]);
+
+    expect(coordEntityIndex.length).to.equal(5);
+    expect(coordEntityIndex.findEntitiesAt(new Coord(1, 1))).to.have.lengthOf(0);
+    expect(coordEntityIndex.findEntitiesAt(new Coord(0, 0))).to.include(entities[4]);
+  });
+
+  it("can list every entity in the index, grouped by coordinate", () => {
+    const coordEntityIndex = new CoordEntityIndex();
+    [4, 2, 0, 3, 1, 5].forEach((i) => coordEntityIndex.add(entities[i]));
+
+    expect(coordEntityIndex.getEntities()).to.eql([
+      entities[4], entities[2], entities[3], entities[0], entities[1]
+    ]);
+  });
+
   it("can completely clear the index", () => {
     const coordEntityIndex = new CoordEntityIndex();
     coordEntityIndex.rebuild(entities);
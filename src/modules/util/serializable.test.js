@@ -42,6 +42,21 @@ describe("Serializable", () => {
     expect(Serializable._constructors["Bologna"]).to.eql(Bologna);
   });
 
+  it("identifies objects by the name their constructor was registered under", () => {
+    // Stands in for a class whose name was mangled by minification
+    class T extends Serializable {
+      constructor() {
+        super();
+        this.a = "apple";
+      }
+    }
+    Serializable.register(T, "Tangerine");
+
+    const json = new T().serialize();
+    expect(json).to.equal('{"ctor":"Tangerine","data":{"a":"apple"}}');
+    expect(Serializable.restore(json)).to.be.an.instanceof(T);
+  });
+
   describe("serialize", () => {
     it("should output JSON for arbitrary subclasses", () => {
       const json = phony.serialize();
@@ -59,6 +74,13 @@ describe("Serializable", () => {
       expect(json).to.equal('{"ctor":"Bologna","data":{"nested":{"ctor":"Phony","data":{"c":{"fruit":"orange"},"d":[1,2,3]}}}}');
     });
 
+    it("is called recursively on Serializable instances in arrays", () => {
+      const bologna = new Bologna();
+      bologna.nested = [new Phony(), 4];
+      const json = bologna.serialize(["a", "b", "c"]);
+      expect(json).to.equal('{"ctor":"Bologna","data":{"nested":[{"ctor":"Phony","data":{"d":[1,2,3]}},4]}}');
+    });
+
     it("skips properties that begin with a bang (!)", () => {
       phony["!graphics"] = { color: "red" };
       const json = phony.serialize();
@@ -83,5 +105,14 @@ describe("Serializable", () => {
       expect(restoredBologna.nested.e(2, 1)).to.equal(3);
       expect(restoredBologna.nested.f()).to.equal("appleorange");
     });
+
+    it("should restore Serializable instances in arrays", () => {
+      const bologna = new Bologna();
+      bologna.nested = [phony, [phony], null, 7];
+      const restoredBologna = Serializable.restore(bologna.serialize());
+      expect(restoredBologna).to.eql(bologna);
+      expect(restoredBologna.nested[0].f()).to.equal("appleorange");
+      expect(restoredBologna.nested[1][0].f()).to.equal("appleorange");
+    });
   });
 });